@@ -0,0 +1,61 @@
+// OpenID Connect providers for social login, configured from the
+// environment. List the provider ids in OIDC_PROVIDERS and give each one its
+// settings, prefixed with its upper-cased id:
+//
+//   OIDC_PROVIDERS=google,microsoft
+//   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+//   OIDC_GOOGLE_CLIENT_ID=...
+//   OIDC_GOOGLE_CLIENT_SECRET=...
+//   OIDC_GOOGLE_NAME=Google                 (optional, shown to users)
+//   OIDC_GOOGLE_SCOPES=openid email profile (optional)
+//   OIDC_GOOGLE_TRUST_EMAIL=true            (optional, for providers that
+//                                            do not send email_verified)
+//
+// Endpoints are discovered from the issuer, so any compliant provider works,
+// including a local mock server during development and tests.
+
+const getRedirectUri = (id) => {
+  const baseUrl =
+    process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${baseUrl.replace(/\/$/, "")}/api/auth/oidc/${id}/callback`;
+};
+
+const getProviders = () => {
+  const ids = (process.env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = {};
+
+  for (const id of ids) {
+    const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`;
+    const setting = (name) => process.env[prefix + name];
+
+    if (!setting("ISSUER") || !setting("CLIENT_ID")) {
+      console.warn(`OIDC provider "${id}" is missing its issuer or client id`);
+      continue;
+    }
+
+    providers[id] = {
+      id,
+      name: setting("NAME") || id,
+      issuer: setting("ISSUER").replace(/\/$/, ""),
+      clientId: setting("CLIENT_ID"),
+      clientSecret: setting("CLIENT_SECRET"),
+      scopes: setting("SCOPES") || "openid email profile",
+      trustEmail: setting("TRUST_EMAIL") === "true",
+      redirectUri: getRedirectUri(id),
+    };
+  }
+
+  return providers;
+};
+
+// Get a configured provider by id, or null
+const getProvider = (id) => getProviders()[id] || null;
+
+module.exports = {
+  getProviders,
+  getProvider,
+};
@@ -0,0 +1,84 @@
+// Roles and the permissions they grant. Routes check permissions (see
+// requirePermission in middleware/auth.js) rather than role names, so a new
+// role only needs an entry here.
+//
+// Permissions:
+//   user:manage                 list, block, unlock and otherwise manage users
+//   role:assign                 change a user's role
+//   user:impersonate            sign in as another user for support
+//   api-key:manage              create, list and revoke API keys
+//   audit:read                  read the audit log
+//   site:manage                 sliders, projects and "why us" images
+//   blog:write                  write posts and edit/delete your own
+//   blog:edit-any               edit/delete posts written by others
+//   blog:publish                publish and unpublish posts
+//   blog:moderate               moderate post feedback
+//   course:teach                create courses and edit/delete your own
+//   course:manage               edit/delete any course
+//   course:moderate             moderate course feedback
+//   consultation:read           see every consultation
+//   consultation:update-status  move consultations through their statuses
+//   consultation:assign         assign consultations to consultants
+//   consultation:manage         edit/delete any consultation
+//   enrollment:review           see and process course enrollment requests
+//   testimonial:moderate        edit/delete any testimonial
+const PERMISSIONS = [
+  "user:manage",
+  "role:assign",
+  "user:impersonate",
+  "api-key:manage",
+  "audit:read",
+  "site:manage",
+  "blog:write",
+  "blog:edit-any",
+  "blog:publish",
+  "blog:moderate",
+  "course:teach",
+  "course:manage",
+  "course:moderate",
+  "consultation:read",
+  "consultation:update-status",
+  "consultation:assign",
+  "consultation:manage",
+  "enrollment:review",
+  "testimonial:moderate",
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  editor: ["blog:write", "blog:edit-any", "blog:publish", "blog:moderate"],
+  instructor: ["course:teach", "course:moderate", "enrollment:review"],
+  consultant: ["consultation:read", "consultation:update-status"],
+  // Admins hold every permission
+  admin: ["*"],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Permissions an API key never carries, whatever its scopes: a leaked key
+// must not be able to delete users, hand out roles or mint more keys
+const API_KEY_EXCLUDED_PERMISSIONS = [
+  "user:manage",
+  "role:assign",
+  "user:impersonate",
+  "api-key:manage",
+];
+
+// Get the permissions granted to a role
+const getRolePermissions = (role) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes("*") ? [...PERMISSIONS] : [...permissions];
+};
+
+// Check whether a role grants a permission
+const roleHasPermission = (role, permission) =>
+  getRolePermissions(role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  API_KEY_EXCLUDED_PERMISSIONS,
+  getRolePermissions,
+  roleHasPermission,
+};
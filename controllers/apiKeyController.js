@@ -0,0 +1,164 @@
+const ApiKey = require("../models/ApiKey");
+const AuditLog = require("../models/AuditLog");
+const asyncHandler = require("../middleware/async");
+const ErrorResponse = require("../utils/errorResponse");
+const { hasPermission } = require("../middleware/auth");
+const {
+  PERMISSIONS,
+  API_KEY_EXCLUDED_PERMISSIONS,
+} = require("../config/roles");
+
+// @desc    Create an API key
+// @route   POST /api/api-keys
+// @access  Private/Admin
+exports.createApiKey = asyncHandler(async (req, res, next) => {
+  const { name, scopes, expiresInDays, rateLimit } = req.body;
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return next(new ErrorResponse("Please provide a list of scopes", 400));
+  }
+
+  const unknown = scopes.filter((scope) => !PERMISSIONS.includes(scope));
+  if (unknown.length > 0) {
+    return next(
+      new ErrorResponse(`Unknown scopes: ${unknown.join(", ")}`, 400)
+    );
+  }
+
+  const excluded = scopes.filter((scope) =>
+    API_KEY_EXCLUDED_PERMISSIONS.includes(scope)
+  );
+  if (excluded.length > 0) {
+    return next(
+      new ErrorResponse(
+        `These scopes cannot be given to API keys: ${excluded.join(", ")}`,
+        400
+      )
+    );
+  }
+
+  // A key can never do more than the admin creating it
+  const notHeld = scopes.filter((scope) => !hasPermission(req, scope));
+  if (notHeld.length > 0) {
+    return next(
+      new ErrorResponse(
+        `You cannot grant scopes you do not hold: ${notHeld.join(", ")}`,
+        403
+      )
+    );
+  }
+
+  const days =
+    expiresInDays !== undefined
+      ? Number(expiresInDays)
+      : parseInt(process.env.API_KEY_EXPIRE_DAYS) || 365;
+
+  if (!Number.isFinite(days) || days <= 0) {
+    return next(
+      new ErrorResponse("expiresInDays must be a positive number", 400)
+    );
+  }
+
+  const { apiKey, key } = await ApiKey.generate({
+    name,
+    scopes: [...new Set(scopes)],
+    owner: req.user._id,
+    rateLimit,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+  });
+
+  await AuditLog.record(req, "api-key.create", {
+    targetType: "ApiKey",
+    target: apiKey._id,
+    details: {
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      expiresAt: apiKey.expiresAt,
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Store this key now, it will not be shown again",
+    data: {
+      ...apiKey.toPublic(),
+      key,
+    },
+  });
+});
+
+// @desc    Get API keys
+// @route   GET /api/api-keys
+// @access  Private/Admin
+exports.getApiKeys = asyncHandler(async (req, res, next) => {
+  const query = {};
+
+  // ?active=true hides revoked and expired keys
+  if (req.query.active === "true") {
+    query.revokedAt = null;
+    query.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+  }
+
+  const apiKeys = await ApiKey.find(query)
+    .populate("owner", "name email")
+    .sort("-createdAt");
+
+  res.status(200).json({
+    success: true,
+    count: apiKeys.length,
+    data: apiKeys.map((apiKey) => apiKey.toPublic()),
+  });
+});
+
+// @desc    Get single API key
+// @route   GET /api/api-keys/:id
+// @access  Private/Admin
+exports.getApiKey = asyncHandler(async (req, res, next) => {
+  const apiKey = await ApiKey.findById(req.params.id).populate(
+    "owner",
+    "name email"
+  );
+
+  if (!apiKey) {
+    return next(new ErrorResponse("API key not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: apiKey.toPublic(),
+  });
+});
+
+// @desc    Revoke an API key
+// @route   DELETE /api/api-keys/:id
+// @access  Private/Admin
+exports.revokeApiKey = asyncHandler(async (req, res, next) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+
+  if (!apiKey) {
+    return next(new ErrorResponse("API key not found", 404));
+  }
+
+  if (apiKey.revokedAt) {
+    return next(new ErrorResponse("API key is already revoked", 400));
+  }
+
+  apiKey.revokedAt = new Date();
+  apiKey.revokedBy = req.user._id;
+  await apiKey.save();
+
+  await AuditLog.record(req, "api-key.revoke", {
+    targetType: "ApiKey",
+    target: apiKey._id,
+    details: {
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+    },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: apiKey.toPublic(),
+  });
+});
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+const asyncHandler = require("../middleware/async");
+const ErrorResponse = require("../utils/errorResponse");
+
+// @desc    Get audit log entries
+// @route   GET /api/audit-logs
+// @access  Private/Admin
+exports.getAuditLogs = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const skip = (page - 1) * limit;
+
+  const query = {};
+
+  if (req.query.action) {
+    query.action = req.query.action;
+  }
+
+  for (const field of ["actor", "target"]) {
+    if (req.query[field]) {
+      if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+        return next(new ErrorResponse(`Invalid ${field} id`, 400));
+      }
+      query[field] = req.query[field];
+    }
+  }
+
+  const entries = await AuditLog.find(query)
+    .populate("actor", "name email role")
+    .sort("-createdAt")
+    .skip(skip)
+    .limit(limit);
+
+  const total = await AuditLog.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: entries,
+  });
+});
@@ -1,15 +1,44 @@
 const User = require("../models/User");
+const Session = require("../models/Session");
+const LoginAttempt = require("../models/LoginAttempt");
+const Invitation = require("../models/Invitation");
+const AuditLog = require("../models/AuditLog");
 const { validationResult } = require("express-validator");
 const {
-  generateToken,
-  generateRefreshToken,
+  hashToken,
+  generateTwoFactorChallengeToken,
 } = require("../utils/generateToken");
+const { createSession, issueSessionTokens } = require("../utils/sessionTokens");
+const {
+  REFRESH_COOKIE,
+  sendAuthTokens,
+  clearAuthCookies,
+  hasValidCsrfToken,
+} = require("../utils/authCookies");
 const { sendEmail, emailTemplates } = require("../utils/sendEmail");
+const { generateSecret, buildOtpauthUri } = require("../utils/totp");
+const { isMissingRequiredTwoFactor } = require("../middleware/auth");
+const { sendAttemptRestriction } = require("../utils/attemptRestriction");
+const { buildAccountExport, getAvatarPath } = require("../utils/accountData");
+const archiver = require("archiver");
 const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const path = require("path");
 const fs = require("fs");
 
+// Email a fresh verification link to the user
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save();
+
+  const verifyUrl = `${process.env.CLIENT_URL}/verify-email/${verificationToken}`;
+
+  await sendEmail({
+    to: user.email,
+    ...emailTemplates.emailVerification(user.name, verifyUrl),
+  });
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -33,27 +62,29 @@ exports.register = async (req, res, next) => {
       password,
       phone,
       avatar: "public/images/default.png",
+      isEmailVerified: false,
     });
 
-    await user.save();
-
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Send verification email (the account stays usable if this fails,
+    // the user can request a new link later)
+    try {
+      await sendVerificationEmail(user);
+    } catch (emailError) {
+      console.error("Failed to send verification email:", emailError);
+    }
 
-    // Save refresh token
-    user.refreshToken = refreshToken;
-    await user.save();
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
-      token,
-      refreshToken,
+      ...sendAuthTokens(req, res, { token, refreshToken }),
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        isEmailVerified: user.isEmailVerified,
       },
     });
   } catch (error) {
@@ -70,37 +101,47 @@ exports.login = async (req, res, next) => {
     const { email, password } = req.body;
 
     // Validation
-    if (!email || !password) {
+    if (
+      !email ||
+      !password ||
+      typeof email !== "string" ||
+      typeof password !== "string"
+    ) {
       return res.status(400).json({
         success: false,
         message: "Please provide email and password",
       });
     }
 
+    // Refuse early while the account or IP is locked out or cooling down
+    const attempt = { scope: "login", email, ip: req.ip };
+    const restriction = await LoginAttempt.check(attempt);
+    if (restriction) {
+      return sendAttemptRestriction(res, restriction);
+    }
+
     // Check for user and explicitly select password and block-related fields
     const user = await User.findOne({ email }).select(
       "+password +isBlocked +blockExpiresAt +blockReason"
     );
     if (!user) {
+      // Unknown addresses count too, so probing for accounts is throttled
+      await LoginAttempt.recordFailure(attempt);
       return res.status(401).json({
         success: false,
         message: "Invalid credentials",
       });
     }
 
-    // Check if user is blocked
-    if (user.isBlocked) {
-      const blockInfo = {
-        reason: user.blockReason || "No reason provided",
-        expiresAt: user.blockExpiresAt
-          ? new Date(user.blockExpiresAt).toISOString()
-          : "permanent",
-      };
+    // Check if user is blocked, lifting timed blocks that have run out
+    await user.liftExpiredBlock();
 
+    if (user.isCurrentlyBlocked()) {
       return res.status(403).json({
         success: false,
+        code: "ACCOUNT_BLOCKED",
         message: "Account is blocked",
-        blockInfo,
+        blockInfo: user.getBlockInfo(),
       });
     }
 
@@ -108,30 +149,46 @@ exports.login = async (req, res, next) => {
     const isMatch = await user.matchPassword(password);
 
     if (!isMatch) {
+      const failure = await LoginAttempt.recordFailure({
+        ...attempt,
+        user: user._id,
+      });
+      if (failure && failure.locked) {
+        return sendAttemptRestriction(res, failure);
+      }
+
       return res.status(401).json({
         success: false,
         message: "Invalid credentials",
       });
     }
 
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    await LoginAttempt.clearAccount(attempt);
 
-    // Save refresh token
-    user.refreshToken = refreshToken;
-    await user.save();
+    // With two-factor enabled the password alone is not enough: hand out a
+    // challenge token to be exchanged at /2fa/verify along with a code
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallengeToken(user._id),
+      });
+    }
+
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
-      token,
-      refreshToken,
+      ...sendAuthTokens(req, res, { token, refreshToken }),
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        isEmailVerified: user.isEmailVerified !== false,
       },
+      ...(isMissingRequiredTwoFactor(user) && { twoFactorSetupRequired: true }),
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -139,21 +196,315 @@ exports.login = async (req, res, next) => {
   }
 };
 
+// @desc    Email a one-time sign-in link
+// @route   POST /api/auth/magic-link
+// @access  Public
+exports.requestMagicLink = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide email address",
+      });
+    }
+
+    // Every request counts, whether or not the address exists
+    const attempt = { scope: "magic-link", email, ip: req.ip };
+    const restriction = await LoginAttempt.check(attempt);
+    if (restriction) {
+      return sendAttemptRestriction(res, restriction);
+    }
+    await LoginAttempt.recordFailure(attempt);
+
+    // Same answer for unknown, locked out and blocked accounts (which get no
+    // link) so the endpoint cannot be used to find out who has an account
+    const response = {
+      success: true,
+      message:
+        "If an account exists for this email, a sign-in link is on its way",
+    };
+
+    // A locked out account cannot sign in any other way either
+    const lockout = await LoginAttempt.check({ scope: "login", email });
+    if (lockout && lockout.locked) {
+      return res.json(response);
+    }
+
+    const user = await User.findOne({ email }).select(
+      "+isBlocked +blockExpiresAt +blockReason"
+    );
+
+    if (!user) {
+      return res.json(response);
+    }
+
+    await user.liftExpiredBlock();
+
+    if (user.isCurrentlyBlocked()) {
+      return res.json(response);
+    }
+
+    const magicToken = user.getMagicLinkToken();
+    await user.save();
+
+    const signInUrl = `${process.env.CLIENT_URL}/magic-link/${magicToken}`;
+    const expiresInMinutes = Math.round(
+      (user.magicLinkExpire - Date.now()) / 60000
+    );
+
+    try {
+      await sendEmail({
+        to: user.email,
+        ...emailTemplates.magicLink(user.name, signInUrl, expiresInMinutes),
+      });
+
+      res.json(response);
+    } catch (emailError) {
+      console.error("Failed to send magic link email:", emailError);
+
+      // Reset the fields if email fails
+      user.magicLinkToken = undefined;
+      user.magicLinkExpire = undefined;
+      await user.save();
+
+      return res.status(500).json({
+        success: false,
+        message: "Email could not be sent",
+      });
+    }
+  } catch (error) {
+    console.error("Magic link error:", error);
+    next(error);
+  }
+};
+
+// @desc    Sign in with a one-time link
+// @route   POST /api/auth/magic-link/:token
+// @access  Public
+exports.verifyMagicLink = async (req, res, next) => {
+  try {
+    // Guessing tokens is throttled per IP like guessing passwords
+    const ipRestriction = await LoginAttempt.check({
+      scope: "login",
+      ip: req.ip,
+    });
+    if (ipRestriction) {
+      return sendAttemptRestriction(res, ipRestriction);
+    }
+
+    // Get hashed token
+    const magicLinkToken = crypto
+      .createHash("sha256")
+      .update(req.params.token)
+      .digest("hex");
+
+    const user = await User.findOne({
+      magicLinkToken,
+      magicLinkExpire: { $gt: Date.now() },
+    }).select("+isBlocked +blockExpiresAt +blockReason");
+
+    if (!user) {
+      await LoginAttempt.recordFailure({ scope: "login", ip: req.ip });
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired link",
+      });
+    }
+
+    const attempt = { scope: "login", email: user.email, ip: req.ip };
+    const restriction = await LoginAttempt.check(attempt);
+    if (restriction && restriction.locked) {
+      return sendAttemptRestriction(res, restriction);
+    }
+
+    await user.liftExpiredBlock();
+
+    if (user.isCurrentlyBlocked()) {
+      return res.status(403).json({
+        success: false,
+        code: "ACCOUNT_BLOCKED",
+        message: "Account is blocked",
+        blockInfo: user.getBlockInfo(),
+      });
+    }
+
+    // The link works once
+    user.magicLinkToken = undefined;
+    user.magicLinkExpire = undefined;
+
+    // Opening the link proves access to the mailbox
+    if (user.isEmailVerified === false) {
+      user.isEmailVerified = true;
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpire = undefined;
+    }
+    await user.save();
+
+    await LoginAttempt.clearAccount(attempt);
+
+    // The link stands in for the password only, the second factor is still
+    // required
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallengeToken(user._id),
+      });
+    }
+
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      success: true,
+      ...sendAuthTokens(req, res, { token, refreshToken }),
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified !== false,
+      },
+      ...(isMissingRequiredTwoFactor(user) && { twoFactorSetupRequired: true }),
+    });
+  } catch (error) {
+    console.error("Magic link sign-in error:", error);
+    next(error);
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refresh = async (req, res, next) => {
+  try {
+    let { refreshToken } = req.body;
+
+    // Cookie mode clients send the refresh token as a cookie
+    if (!refreshToken && req.cookies && req.cookies[REFRESH_COOKIE]) {
+      refreshToken = req.cookies[REFRESH_COOKIE];
+      req.authMode = "cookie";
+
+      if (!hasValidCsrfToken(req)) {
+        return res.status(403).json({
+          success: false,
+          code: "CSRF_TOKEN_INVALID",
+          message: "Invalid or missing CSRF token",
+        });
+      }
+    }
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a refresh token",
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    const session = await Session.findById(decoded.sid).select("+refreshToken");
+    if (!session || !session.isActive() || !session.user.equals(decoded.id)) {
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token has been revoked",
+      });
+    }
+
+    // Only the most recently issued token of a session may be exchanged
+    if (session.refreshToken !== hashToken(refreshToken)) {
+      // An already rotated token is being replayed, so whoever holds the
+      // newer one cannot be trusted either
+      console.warn(
+        `Refresh token reuse detected for session ${session._id}, revoking it`
+      );
+      await session.revoke("token-reuse");
+
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token has been revoked",
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    await user.liftExpiredBlock();
+
+    if (user.isCurrentlyBlocked()) {
+      return res.status(403).json({
+        success: false,
+        code: "ACCOUNT_BLOCKED",
+        message: "Account is blocked",
+        blockInfo: user.getBlockInfo(),
+      });
+    }
+
+    // Rotate: the presented token is retired, the session carries on
+    session.ip = req.ip;
+    session.userAgent = req.get("user-agent");
+    const tokens = await issueSessionTokens(user, session);
+
+    res.json({
+      success: true,
+      ...sendAuthTokens(req, res, tokens),
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    next(error);
+  }
+};
+
+// Close the impersonation session of the request and record who ended it
+const finishImpersonation = async (req, reason) => {
+  const session = await Session.findById(req.sessionId);
+  if (session && !session.revokedAt) {
+    await session.revoke(reason);
+  }
+
+  await AuditLog.record(req, "user.impersonate-end", {
+    targetType: "User",
+    target: req.user._id,
+    details: { session: req.sessionId, reason },
+  });
+};
+
 // @desc    Logout user
 // @route   POST /api/auth/logout
 // @access  Private
 exports.logout = async (req, res, next) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
+    // Only the session the request was made from is ended
+    if (req.impersonator) {
+      await finishImpersonation(req, "logout");
+    } else if (req.sessionId) {
+      const session = await Session.findOne({
+        _id: req.sessionId,
+        user: req.user.id,
       });
+      if (session && !session.revokedAt) {
+        await session.revoke("logout");
+      }
     }
 
-    user.refreshToken = null;
-    await user.save();
+    if (req.authMode === "cookie") {
+      clearAuthCookies(res);
+    }
 
     res.json({
       success: true,
@@ -165,6 +516,30 @@ exports.logout = async (req, res, next) => {
   }
 };
 
+// @desc    Stop impersonating a user
+// @route   POST /api/auth/impersonation/end
+// @access  Private (impersonation token)
+exports.endImpersonation = async (req, res, next) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(400).json({
+        success: false,
+        message: "You are not impersonating anyone",
+      });
+    }
+
+    await finishImpersonation(req, "impersonation-end");
+
+    res.json({
+      success: true,
+      message: "Impersonation ended",
+    });
+  } catch (error) {
+    console.error("End impersonation error:", error);
+    next(error);
+  }
+};
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -193,7 +568,22 @@ exports.getMe = async (req, res, next) => {
         avatar: user.avatar,
         blockHistory: user.blockHistory,
         level: user.level,
+        isEmailVerified: user.isEmailVerified !== false,
+        pendingEmail: user.pendingEmail,
+        linkedProviders: user.oidcIdentities.map((identity) => ({
+          provider: identity.provider,
+          email: identity.email,
+          linkedAt: identity.linkedAt,
+        })),
+        deletionScheduledFor: user.deletionScheduledFor,
       },
+      ...(req.impersonator && {
+        impersonatedBy: {
+          id: req.impersonator._id,
+          name: req.impersonator.name,
+          email: req.impersonator.email,
+        },
+      }),
     });
   } catch (error) {
     console.error("GetMe error:", error);
@@ -206,9 +596,16 @@ exports.getMe = async (req, res, next) => {
 // @access  Private
 exports.updateDetails = async (req, res, next) => {
   try {
+    // Email changes must be confirmed, see requestEmailChange
+    if (req.body.email && req.body.email.toLowerCase() !== req.user.email) {
+      return res.status(400).json({
+        success: false,
+        message: "Use POST /api/auth/email-change to change your email address",
+      });
+    }
+
     const fieldsToUpdate = {
       name: req.body.name,
-      email: req.body.email,
       phone: req.body.phone,
     };
 
@@ -321,18 +718,13 @@ exports.updatePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
-    // Generate new tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
-
-    // Save refresh token
-    user.refreshToken = refreshToken;
-    await user.save();
+    // Sign every other device out and start a fresh session for this one
+    await Session.revokeAll(user._id, { reason: "password-change" });
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
-      token,
-      refreshToken,
+      ...sendAuthTokens(req, res, { token, refreshToken }),
       message: "Password updated successfully",
     });
   } catch (error) {
@@ -348,13 +740,21 @@ exports.forgotPassword = async (req, res, next) => {
   try {
     const { email } = req.body;
 
-    if (!email) {
+    if (!email || typeof email !== "string") {
       return res.status(400).json({
         success: false,
         message: "Please provide email address",
       });
     }
 
+    // Every request counts, whether or not the address exists
+    const attempt = { scope: "password-reset", email, ip: req.ip };
+    const restriction = await LoginAttempt.check(attempt);
+    if (restriction) {
+      return sendAttemptRestriction(res, restriction);
+    }
+    await LoginAttempt.recordFailure(attempt);
+
     const user = await User.findOne({ email });
 
     if (!user) {
@@ -439,18 +839,16 @@ exports.resetPassword = async (req, res, next) => {
     user.resetPasswordExpire = undefined;
     await user.save();
 
-    // Generate new tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Proving access to the mailbox lifts any login lockout
+    await LoginAttempt.clearAccount({ scope: "login", email: user.email });
 
-    // Save refresh token
-    user.refreshToken = refreshToken;
-    await user.save();
+    // Sign every device out and start a fresh session for this one
+    await Session.revokeAll(user._id, { reason: "password-reset" });
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
-      token,
-      refreshToken,
+      ...sendAuthTokens(req, res, { token, refreshToken }),
       message: "Password reset successful",
     });
   } catch (error) {
@@ -459,4 +857,1004 @@ exports.resetPassword = async (req, res, next) => {
   }
 };
 
+// @desc    Get active sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.getActiveSessions(req.user.id);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => session.toPublic(req.sessionId)),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    next(error);
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res, next) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid session ID format",
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    await session.revoke("revoked-by-user");
+
+    res.json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    next(error);
+  }
+};
+
+// @desc    Log out everywhere except the current device
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revoked = await Session.revokeAll(req.user.id, {
+      except: req.sessionId,
+      reason: "revoked-by-user",
+    });
+
+    res.json({
+      success: true,
+      revoked,
+      message: "Logged out from all other devices",
+    });
+  } catch (error) {
+    console.error("Revoke other sessions error:", error);
+    next(error);
+  }
+};
 
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    // Get hashed token
+    const emailVerificationToken = crypto
+      .createHash("sha256")
+      .update(req.params.token)
+      .digest("hex");
+
+    const user = await User.findOne({
+      emailVerificationToken,
+      emailVerificationExpire: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired token",
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save();
+
+    // Welcome the user now that we know the address is theirs
+    try {
+      await sendEmail({
+        to: user.email,
+        ...emailTemplates.welcome(user.name),
+      });
+    } catch (emailError) {
+      console.error("Failed to send welcome email:", emailError);
+    }
+
+    res.json({
+      success: true,
+      message: "Email verified successfully",
+    });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    next(error);
+  }
+};
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.isEmailVerified !== false) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already verified",
+      });
+    }
+
+    // Throttle resends
+    const interval =
+      (parseInt(process.env.EMAIL_VERIFICATION_RESEND_INTERVAL) || 60) * 1000;
+    const lastSent = user.emailVerificationSentAt
+      ? user.emailVerificationSentAt.getTime()
+      : 0;
+    const retryAfter = Math.ceil((lastSent + interval - Date.now()) / 1000);
+
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another email`,
+        retryAfter,
+      });
+    }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (emailError) {
+      console.error("Failed to send verification email:", emailError);
+
+      return res.status(500).json({
+        success: false,
+        message: "Email could not be sent",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Verification email sent",
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    next(error);
+  }
+};
+
+// @desc    Complete a two-factor login
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the challenge token and a code",
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== "2fa") {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired challenge, please log in again",
+      });
+    }
+
+    const user = await User.findById(decoded.id).select(
+      "+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep"
+    );
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired challenge, please log in again",
+      });
+    }
+
+    // Codes are guessable too, so they share the login lockout
+    const attempt = { scope: "login", email: user.email, ip: req.ip };
+    const restriction = await LoginAttempt.check(attempt);
+    if (restriction) {
+      return sendAttemptRestriction(res, restriction);
+    }
+
+    await user.liftExpiredBlock();
+
+    if (user.isCurrentlyBlocked()) {
+      return res.status(403).json({
+        success: false,
+        code: "ACCOUNT_BLOCKED",
+        message: "Account is blocked",
+        blockInfo: user.getBlockInfo(),
+      });
+    }
+
+    const method = user.verifyTwoFactorCode(code);
+    if (!method) {
+      const failure = await LoginAttempt.recordFailure({
+        ...attempt,
+        user: user._id,
+      });
+      if (failure && failure.locked) {
+        return sendAttemptRestriction(res, failure);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid two-factor code",
+      });
+    }
+    await user.save();
+    await LoginAttempt.clearAccount(attempt);
+
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      success: true,
+      ...sendAuthTokens(req, res, { token, refreshToken }),
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified !== false,
+      },
+      ...(method === "recovery" && {
+        recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+      }),
+    });
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    next(error);
+  }
+};
+
+// @desc    Start two-factor enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    // Nothing changes until the user proves their app holds the secret
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: process.env.TWO_FACTOR_ISSUER || "Construction Company",
+        }),
+      },
+    });
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    next(error);
+  }
+};
+
+// @desc    Confirm two-factor enrolment with a first code
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+exports.confirmTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a code from your authenticator app",
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(
+      "+twoFactorPendingSecret"
+    );
+
+    if (!user || !user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Please start two-factor setup first",
+      });
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorLastUsedStep = undefined;
+    user.twoFactorRecoveryCodes = [];
+
+    if (user.verifyTwoFactorCode(String(code)) !== "totp") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid two-factor code",
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorPendingSecret = undefined;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    console.error("Two-factor confirm error:", error);
+    next(error);
+  }
+};
+
+// @desc    Replace the recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id).select(
+      "+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep"
+    );
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    // A stolen session must not be able to guess codes either
+    const attempt = { scope: "2fa", email: user.email, ip: req.ip };
+    const restriction = await LoginAttempt.check(attempt);
+    if (restriction) {
+      return sendAttemptRestriction(res, restriction);
+    }
+
+    if (!user.verifyTwoFactorCode(code)) {
+      const failure = await LoginAttempt.recordFailure({
+        ...attempt,
+        user: user._id,
+      });
+      if (failure && failure.locked) {
+        return sendAttemptRestriction(res, failure);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid two-factor code",
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+    await LoginAttempt.clearAccount(attempt);
+
+    res.json({
+      success: true,
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    next(error);
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide your password and a two-factor code",
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(
+      "+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep"
+    );
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (process.env.REQUIRE_ADMIN_2FA === "true" && user.role === "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is mandatory for admin accounts",
+      });
+    }
+
+    const attempt = { scope: "2fa", email: user.email, ip: req.ip };
+    const restriction = await LoginAttempt.check(attempt);
+    if (restriction) {
+      return sendAttemptRestriction(res, restriction);
+    }
+
+    const isMatch = await user.matchPassword(password);
+    if (!isMatch || !user.verifyTwoFactorCode(code)) {
+      const failure = await LoginAttempt.recordFailure({
+        ...attempt,
+        user: user._id,
+      });
+      if (failure && failure.locked) {
+        return sendAttemptRestriction(res, failure);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid password or two-factor code",
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    await user.save();
+    await LoginAttempt.clearAccount(attempt);
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.error("Two-factor disable error:", error);
+    next(error);
+  }
+};
+
+// @desc    Get the details of a pending invitation
+// @route   GET /api/auth/invitations/:token
+// @access  Public
+exports.getInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findPendingByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invitation",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: invitation.email,
+        name: invitation.name,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Get invitation error:", error);
+    next(error);
+  }
+};
+
+// @desc    Accept an invitation and create the account
+// @route   POST /api/auth/invitations/:token/accept
+// @access  Public
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    const { password, phone } = req.body;
+
+    const invitation = await Invitation.findPendingByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invitation",
+      });
+    }
+
+    const name = req.body.name || invitation.name;
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide your name",
+      });
+    }
+
+    const userExists = await User.findOne({ email: invitation.email });
+    if (userExists) {
+      return res.status(400).json({
+        success: false,
+        message: "User already exists",
+      });
+    }
+
+    // The link was sent to this address, so it counts as verified
+    const user = await User.create({
+      name,
+      email: invitation.email,
+      password,
+      phone,
+      role: invitation.role,
+      avatar: "public/images/default.png",
+      isEmailVerified: true,
+    });
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedUser = user._id;
+    await invitation.save();
+
+    await AuditLog.record(req, "invitation.accept", {
+      actor: user._id,
+      targetType: "Invitation",
+      target: invitation._id,
+      details: { email: user.email, role: user.role },
+    });
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      ...sendAuthTokens(req, res, { token, refreshToken }),
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified,
+      },
+    });
+  } catch (error) {
+    console.error("Accept invitation error:", error);
+    next(error);
+  }
+};
+
+// @desc    Download a copy of the current user's personal data
+// @route   GET /api/auth/me/export
+// @access  Private
+exports.exportMe = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const data = await buildAccountExport(user);
+    const fileName = `account-export-${new Date().toISOString().slice(0, 10)}`;
+
+    // ?format=zip bundles the data with the uploaded avatar
+    if (req.query.format !== "zip") {
+      res.attachment(`${fileName}.json`);
+      return res.type("json").send(JSON.stringify(data, null, 2));
+    }
+
+    const archive = archiver("zip");
+    archive.on("error", next);
+
+    res.attachment(`${fileName}.zip`);
+    archive.pipe(res);
+    archive.append(JSON.stringify(data, null, 2), { name: "data.json" });
+
+    const avatarPath = getAvatarPath(user.avatar);
+    if (avatarPath) {
+      archive.file(avatarPath, { name: `avatar${path.extname(avatarPath)}` });
+    }
+
+    await archive.finalize();
+  } catch (error) {
+    console.error("Export account error:", error);
+    next(error);
+  }
+};
+
+// @desc    Schedule the deletion of the current user's account
+// @route   DELETE /api/auth/me
+// @access  Private
+exports.deleteMe = async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: "Please confirm with your password",
+      });
+    }
+
+    const user = await User.findById(req.user.id).select("+password");
+
+    if (!(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    if (user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: "Account deletion is already scheduled",
+      });
+    }
+
+    // Prevent deleting the last admin user
+    if (user.role === "admin") {
+      const adminCount = await User.countDocuments({ role: "admin" });
+      if (adminCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot delete the last admin account",
+        });
+      }
+    }
+
+    const graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = new Date(
+      Date.now() + graceDays * 24 * 60 * 60 * 1000
+    );
+    await user.save();
+
+    // Sign out everywhere else; this device stays signed in so the deletion
+    // can still be cancelled
+    await Session.revokeAll(user._id, {
+      except: req.sessionId,
+      reason: "account-deletion",
+    });
+
+    try {
+      await sendEmail({
+        to: user.email,
+        ...emailTemplates.accountDeletionScheduled(
+          user.name,
+          user.deletionScheduledFor.toDateString()
+        ),
+      });
+    } catch (emailError) {
+      console.error("Failed to send account deletion email:", emailError);
+    }
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted in ${graceDays} days`,
+      data: {
+        deletionScheduledFor: user.deletionScheduledFor,
+      },
+    });
+  } catch (error) {
+    console.error("Delete account error:", error);
+    next(error);
+  }
+};
+
+// @desc    Cancel a scheduled account deletion
+// @route   POST /api/auth/me/cancel-deletion
+// @access  Private
+exports.cancelDeletion = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: "Account deletion is not scheduled",
+      });
+    }
+
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Account deletion cancelled",
+    });
+  } catch (error) {
+    console.error("Cancel account deletion error:", error);
+    next(error);
+  }
+};
+
+// @desc    Request a change of email address
+// @route   POST /api/auth/email-change
+// @access  Private
+exports.requestEmailChange = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the new email address and your password",
+      });
+    }
+
+    const user = await User.findById(req.user.id).select("+password");
+
+    if (!(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    const newEmail = email.trim().toLowerCase();
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: "This is already your email address",
+      });
+    }
+
+    const emailTaken = await User.findOne({ email: newEmail });
+    if (emailTaken) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already in use",
+      });
+    }
+
+    const { confirmToken, revertToken } = user.getEmailChangeTokens(newEmail);
+    // A new request replaces the revert window of an earlier change
+    user.previousEmail = undefined;
+    await user.save();
+
+    const confirmUrl = `${process.env.CLIENT_URL}/confirm-email-change/${confirmToken}`;
+    const revertUrl = `${process.env.CLIENT_URL}/revert-email-change/${revertToken}`;
+
+    try {
+      await sendEmail({
+        to: newEmail,
+        ...emailTemplates.emailChangeConfirmation(
+          user.name,
+          newEmail,
+          confirmUrl
+        ),
+      });
+    } catch (emailError) {
+      console.error("Failed to send email change confirmation:", emailError);
+
+      // Reset the fields if email fails
+      user.clearPendingEmail();
+      user.emailRevertToken = undefined;
+      user.emailRevertExpire = undefined;
+      await user.save();
+
+      return res.status(500).json({
+        success: false,
+        message: "Email could not be sent",
+      });
+    }
+
+    // The old address is told about the change and can undo it
+    try {
+      await sendEmail({
+        to: user.email,
+        ...emailTemplates.emailChangeNotice(user.name, newEmail, revertUrl),
+      });
+    } catch (emailError) {
+      console.error("Failed to send email change notice:", emailError);
+    }
+
+    res.json({
+      success: true,
+      message: `Please confirm the change from ${newEmail}`,
+      data: {
+        pendingEmail: user.pendingEmail,
+      },
+    });
+  } catch (error) {
+    console.error("Request email change error:", error);
+    next(error);
+  }
+};
+
+// @desc    Cancel a pending email change
+// @route   DELETE /api/auth/email-change
+// @access  Private
+exports.cancelEmailChange = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user.pendingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: "No email change is pending",
+      });
+    }
+
+    user.clearPendingEmail();
+    user.emailRevertToken = undefined;
+    user.emailRevertExpire = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Email change cancelled",
+    });
+  } catch (error) {
+    console.error("Cancel email change error:", error);
+    next(error);
+  }
+};
+
+// @desc    Confirm an email change from the new address
+// @route   POST /api/auth/email-change/confirm/:token
+// @access  Public
+exports.confirmEmailChange = async (req, res, next) => {
+  try {
+    // Get hashed token
+    const emailChangeToken = crypto
+      .createHash("sha256")
+      .update(req.params.token)
+      .digest("hex");
+
+    const user = await User.findOne({
+      emailChangeToken,
+      emailChangeExpire: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired token",
+      });
+    }
+
+    // The address may have been taken since the change was requested
+    const emailTaken = await User.findOne({ email: user.pendingEmail });
+    if (emailTaken) {
+      user.clearPendingEmail();
+      await user.save();
+
+      return res.status(400).json({
+        success: false,
+        message: "Email is already in use",
+      });
+    }
+
+    user.previousEmail = user.email;
+    user.email = user.pendingEmail;
+    user.isEmailVerified = true;
+    user.clearPendingEmail();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Email address changed successfully",
+      data: {
+        email: user.email,
+      },
+    });
+  } catch (error) {
+    console.error("Confirm email change error:", error);
+    next(error);
+  }
+};
+
+const sendPreviousEmailTaken = (res) =>
+  res.status(409).json({
+    success: false,
+    message:
+      "Your previous email address is now used by another account, please contact support",
+  });
+
+// @desc    Undo an email change from the old address
+// @route   POST /api/auth/email-change/revert/:token
+// @access  Public
+exports.revertEmailChange = async (req, res, next) => {
+  try {
+    // Get hashed token
+    const emailRevertToken = crypto
+      .createHash("sha256")
+      .update(req.params.token)
+      .digest("hex");
+
+    const user = await User.findOne({
+      emailRevertToken,
+      emailRevertExpire: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired token",
+      });
+    }
+
+    // Already confirmed: go back to the old address, unless another account
+    // has taken it since
+    if (user.previousEmail) {
+      const emailTaken = await User.exists({
+        email: user.previousEmail,
+        _id: { $ne: user._id },
+      });
+      if (emailTaken) {
+        return sendPreviousEmailTaken(res);
+      }
+
+      user.email = user.previousEmail;
+    }
+
+    user.clearPendingEmail();
+    user.previousEmail = undefined;
+    user.emailRevertToken = undefined;
+    user.emailRevertExpire = undefined;
+    // Whoever asked for the change may be signed in, so sign everyone out
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    try {
+      await user.save();
+    } catch (error) {
+      // Taken between the check above and now
+      if (error.code === 11000) {
+        return sendPreviousEmailTaken(res);
+      }
+      throw error;
+    }
+
+    await Session.revokeAll(user._id, { reason: "email-change-reverted" });
+
+    res.json({
+      success: true,
+      message:
+        "Email change undone and all devices signed out. We recommend resetting your password.",
+      data: {
+        email: user.email,
+      },
+    });
+  } catch (error) {
+    console.error("Revert email change error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,488 @@
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const app = require("../app");
+const memoryDb = require("../test/memoryDb");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const LoginAttempt = require("../models/LoginAttempt");
+const { generateTotp } = require("../utils/totp");
+const {
+  PASSWORD,
+  createUser,
+  login,
+  createSignedInUser,
+  getCookies,
+} = require("../test/helpers");
+
+beforeAll(memoryDb.connect);
+beforeEach(memoryDb.clear);
+
+const getMe = (token) =>
+  request(app).get("/api/auth/me").set("Authorization", `Bearer ${token}`);
+
+const refresh = (refreshToken) =>
+  request(app).post("/api/auth/refresh").send({ refreshToken });
+
+describe("refresh tokens", () => {
+  it("rotates the refresh token and keeps the session", async () => {
+    const { refreshToken } = await createSignedInUser();
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).toBeDefined();
+    expect(res.body.refreshToken).not.toBe(refreshToken);
+    expect(jwt.decode(res.body.refreshToken).sid).toBe(
+      jwt.decode(refreshToken).sid
+    );
+    expect((await getMe(res.body.token)).status).toBe(200);
+  });
+
+  it("revokes the session when a rotated token is used again", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const { refreshToken } = await createSignedInUser();
+    const rotated = await refresh(refreshToken);
+
+    const replay = await refresh(refreshToken);
+
+    expect(replay.status).toBe(401);
+    const session = await Session.findById(jwt.decode(refreshToken).sid);
+    expect(session.revokedReason).toBe("token-reuse");
+    // Whoever holds the newer tokens is signed out too
+    expect((await refresh(rotated.body.refreshToken)).status).toBe(401);
+    expect((await getMe(rotated.body.token)).status).toBe(401);
+    console.warn.mockRestore();
+  });
+
+  it("refuses access tokens as refresh tokens", async () => {
+    const { token } = await createSignedInUser();
+
+    expect((await refresh(token)).status).toBe(401);
+  });
+});
+
+describe("ending sessions", () => {
+  it("ends the access token of a revoked session", async () => {
+    const user = await createUser();
+    const laptop = (await login(user)).body;
+    const phone = (await login(user)).body;
+
+    const res = await request(app)
+      .delete(`/api/auth/sessions/${jwt.decode(phone.token).sid}`)
+      .set("Authorization", `Bearer ${laptop.token}`);
+
+    expect(res.status).toBe(200);
+    const me = await getMe(phone.token);
+    expect(me.status).toBe(401);
+    expect(me.body.message).toBe("Session has ended, please log in again");
+    expect((await getMe(laptop.token)).status).toBe(200);
+  });
+
+  it("ends the access token on logout", async () => {
+    const { token, refreshToken } = await createSignedInUser();
+
+    const res = await request(app)
+      .post("/api/auth/logout")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect((await getMe(token)).status).toBe(401);
+    expect((await refresh(refreshToken)).status).toBe(401);
+  });
+
+  it("keeps the current session when signing out other devices", async () => {
+    const user = await createUser();
+    const laptop = (await login(user)).body;
+    const phone = (await login(user)).body;
+
+    const res = await request(app)
+      .delete("/api/auth/sessions")
+      .set("Authorization", `Bearer ${laptop.token}`);
+
+    expect(res.body.revoked).toBe(1);
+    expect((await getMe(laptop.token)).status).toBe(200);
+    expect((await getMe(phone.token)).status).toBe(401);
+  });
+});
+
+describe("token version", () => {
+  it("is bumped by a password change, revoking older access tokens", async () => {
+    const user = await createUser();
+    const laptop = (await login(user)).body;
+    const phone = (await login(user)).body;
+
+    const res = await request(app)
+      .put("/api/auth/updatepassword")
+      .set("Authorization", `Bearer ${laptop.token}`)
+      .send({ currentPassword: PASSWORD, newPassword: "N3wPassword!" });
+
+    expect(res.status).toBe(200);
+    expect((await User.findById(user._id)).tokenVersion).toBe(1);
+    expect((await getMe(laptop.token)).status).toBe(401);
+    expect((await getMe(phone.token)).status).toBe(401);
+    // The fresh tokens of the device that made the change carry on
+    expect((await getMe(res.body.token)).status).toBe(200);
+  });
+
+  it("is not bumped by other profile changes", async () => {
+    const { user, token } = await createSignedInUser();
+
+    await request(app)
+      .put("/api/auth/updatedetails")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ name: "New Name" });
+
+    expect((await User.findById(user._id)).tokenVersion).toBe(0);
+    expect((await getMe(token)).status).toBe(200);
+  });
+
+  it("is bumped when an admin signs a user out everywhere", async () => {
+    const admin = await createSignedInUser({ role: "admin" });
+    const { user, token } = await createSignedInUser();
+
+    const res = await request(app)
+      .delete(`/api/users/${user._id}/sessions`)
+      .set("Authorization", `Bearer ${admin.token}`);
+
+    expect(res.status).toBe(200);
+    expect((await User.findById(user._id)).tokenVersion).toBe(1);
+    const me = await getMe(token);
+    expect(me.status).toBe(401);
+    expect(me.body.message).toBe("Token has been revoked, please log in again");
+  });
+});
+
+describe("cookie mode", () => {
+  const signInWithCookies = async () => {
+    const user = await createUser();
+    const res = await login(user, { "X-Auth-Mode": "cookie" });
+    const cookies = getCookies(res);
+    const cookieHeader = Object.entries(cookies)
+      .map(([name, value]) => `${name}=${value}`)
+      .join("; ");
+    return { res, cookies, cookieHeader };
+  };
+
+  it("sets the tokens as cookies instead of returning them", async () => {
+    const { res, cookies } = await signInWithCookies();
+
+    expect(res.body.token).toBeUndefined();
+    expect(res.body.refreshToken).toBeUndefined();
+    expect(cookies.token).toBeDefined();
+    expect(cookies.refreshToken).toBeDefined();
+    expect(cookies.csrfToken).toBe(res.body.csrfToken);
+    expect(res.headers["set-cookie"].join()).toMatch(
+      /refreshToken=[^;]+;.*Path=\/api\/auth;.*HttpOnly/
+    );
+  });
+
+  it("lets safe requests through without the CSRF header", async () => {
+    const { cookieHeader } = await signInWithCookies();
+
+    const res = await request(app)
+      .get("/api/auth/me")
+      .set("Cookie", cookieHeader);
+
+    expect(res.status).toBe(200);
+  });
+
+  it("refuses state-changing requests without a matching CSRF header", async () => {
+    const { cookies, cookieHeader } = await signInWithCookies();
+
+    const missing = await request(app)
+      .post("/api/auth/logout")
+      .set("Cookie", cookieHeader);
+    const wrong = await request(app)
+      .post("/api/auth/logout")
+      .set("Cookie", cookieHeader)
+      .set("X-CSRF-Token", "0".repeat(cookies.csrfToken.length));
+
+    expect(missing.status).toBe(403);
+    expect(missing.body.code).toBe("CSRF_TOKEN_INVALID");
+    expect(wrong.status).toBe(403);
+
+    const res = await request(app)
+      .post("/api/auth/logout")
+      .set("Cookie", cookieHeader)
+      .set("X-CSRF-Token", cookies.csrfToken);
+
+    expect(res.status).toBe(200);
+  });
+
+  it("checks the CSRF header when refreshing from the cookie", async () => {
+    const { cookies, cookieHeader } = await signInWithCookies();
+
+    const refused = await request(app)
+      .post("/api/auth/refresh")
+      .set("Cookie", cookieHeader);
+    const res = await request(app)
+      .post("/api/auth/refresh")
+      .set("Cookie", cookieHeader)
+      .set("X-CSRF-Token", cookies.csrfToken);
+
+    expect(refused.status).toBe(403);
+    expect(refused.body.code).toBe("CSRF_TOKEN_INVALID");
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeUndefined();
+    expect(getCookies(res).csrfToken).toBe(res.body.csrfToken);
+  });
+});
+
+describe("two-factor authentication", () => {
+  // Enrol a signed-in user; the code used to confirm has been spent
+  const enrol = async () => {
+    const signedIn = await createSignedInUser();
+    const auth = { Authorization: `Bearer ${signedIn.token}` };
+    const setup = await request(app).post("/api/auth/2fa/setup").set(auth);
+    const { secret } = setup.body.data;
+    const code = generateTotp(secret);
+    const confirm = await request(app)
+      .post("/api/auth/2fa/confirm")
+      .set(auth)
+      .send({ code });
+    expect(confirm.status).toBe(200);
+    return {
+      ...signedIn,
+      auth,
+      secret,
+      usedCode: code,
+      recoveryCodes: confirm.body.data.recoveryCodes,
+    };
+  };
+
+  // The code of the next time step, which the server still accepts
+  const nextCode = (secret) => generateTotp(secret, Date.now() + 30000);
+
+  const challenge = async (user) => (await login(user)).body.challengeToken;
+
+  const verify = (challengeToken, code) =>
+    request(app).post("/api/auth/2fa/verify").send({ challengeToken, code });
+
+  it("is enabled only once a code from the app is confirmed", async () => {
+    const { user, token } = await createSignedInUser();
+    const auth = { Authorization: `Bearer ${token}` };
+
+    const setup = await request(app).post("/api/auth/2fa/setup").set(auth);
+
+    expect(setup.status).toBe(200);
+    expect(setup.body.data.otpauthUrl).toMatch(
+      new RegExp(`^otpauth://totp/.*secret=${setup.body.data.secret}`)
+    );
+    expect((await User.findById(user._id)).twoFactorEnabled).toBe(false);
+
+    const wrong = await request(app)
+      .post("/api/auth/2fa/confirm")
+      .set(auth)
+      .send({ code: "000000" });
+    const res = await request(app)
+      .post("/api/auth/2fa/confirm")
+      .set(auth)
+      .send({ code: generateTotp(setup.body.data.secret) });
+
+    expect(wrong.status).toBe(400);
+    expect(res.status).toBe(200);
+    expect(res.body.data.recoveryCodes).toHaveLength(10);
+    expect((await User.findById(user._id)).twoFactorEnabled).toBe(true);
+  });
+
+  it("asks for a code before issuing tokens", async () => {
+    const { user, secret } = await enrol();
+
+    const first = await login(user);
+
+    expect(first.status).toBe(200);
+    expect(first.body.twoFactorRequired).toBe(true);
+    expect(first.body.token).toBeUndefined();
+    // The challenge token is no access token
+    expect((await getMe(first.body.challengeToken)).status).toBe(401);
+
+    const res = await verify(first.body.challengeToken, nextCode(secret));
+
+    expect(res.status).toBe(200);
+    expect((await getMe(res.body.token)).status).toBe(200);
+  });
+
+  it("refuses a code that was already used", async () => {
+    const { user, usedCode } = await enrol();
+
+    const res = await verify(await challenge(user), usedCode);
+
+    expect(res.status).toBe(401);
+    expect(res.body.token).toBeUndefined();
+  });
+
+  it("accepts each recovery code once", async () => {
+    const { user, recoveryCodes } = await enrol();
+
+    const res = await verify(await challenge(user), recoveryCodes[0]);
+    const replay = await verify(await challenge(user), recoveryCodes[0]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.recoveryCodesRemaining).toBe(9);
+    expect(replay.status).toBe(401);
+  });
+
+  it("replaces the recovery codes", async () => {
+    const { user, auth, secret, recoveryCodes } = await enrol();
+
+    const res = await request(app)
+      .post("/api/auth/2fa/recovery-codes")
+      .set(auth)
+      .send({ code: nextCode(secret) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.recoveryCodes).toHaveLength(10);
+    expect((await verify(await challenge(user), recoveryCodes[1])).status).toBe(
+      401
+    );
+    const fresh = await verify(
+      await challenge(user),
+      res.body.data.recoveryCodes[0]
+    );
+    expect(fresh.status).toBe(200);
+  });
+
+  it("is disabled only with the password and a code", async () => {
+    const { user, auth, recoveryCodes } = await enrol();
+
+    const wrongPassword = await request(app)
+      .post("/api/auth/2fa/disable")
+      .set(auth)
+      .send({ password: "Wr0ngPassword!", code: recoveryCodes[0] });
+    const res = await request(app)
+      .post("/api/auth/2fa/disable")
+      .set(auth)
+      .send({ password: PASSWORD, code: recoveryCodes[0] });
+
+    expect(wrongPassword.status).toBe(401);
+    expect(res.status).toBe(200);
+    expect((await User.findById(user._id)).twoFactorEnabled).toBe(false);
+    expect((await login(user)).body.token).toBeDefined();
+  });
+
+  it("counts wrong codes from signed-in users towards a lockout", async () => {
+    const { user, auth, secret, recoveryCodes } = await enrol();
+
+    const wrong = await request(app)
+      .post("/api/auth/2fa/recovery-codes")
+      .set(auth)
+      .send({ code: "000000" });
+
+    expect(wrong.status).toBe(401);
+    const counter = await LoginAttempt.findOne({
+      key: `2fa:account:${user.email}`,
+    });
+    expect(counter.failures).toBe(1);
+
+    for (let i = 1; i < 5; i += 1) {
+      await LoginAttempt.recordFailure({ scope: "2fa", email: user.email });
+    }
+
+    // Even the right codes are refused while locked
+    const regenerate = await request(app)
+      .post("/api/auth/2fa/recovery-codes")
+      .set(auth)
+      .send({ code: nextCode(secret) });
+    const disable = await request(app)
+      .post("/api/auth/2fa/disable")
+      .set(auth)
+      .send({ password: PASSWORD, code: recoveryCodes[0] });
+
+    expect(regenerate.status).toBe(423);
+    expect(regenerate.body.code).toBe("ACCOUNT_LOCKED");
+    expect(disable.status).toBe(423);
+    expect((await User.findById(user._id)).twoFactorEnabled).toBe(true);
+  });
+});
+
+describe("brute-force protection", () => {
+  let now;
+
+  beforeEach(() => {
+    now = Date.now();
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  const loginWith = (email, password) =>
+    request(app).post("/api/auth/login").send({ email, password });
+
+  it("makes the next attempt wait from the third failure", async () => {
+    const user = await createUser();
+
+    for (let i = 0; i < 3; i += 1) {
+      expect((await loginWith(user.email, "Wr0ngPassword!")).status).toBe(401);
+    }
+    const res = await login(user);
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe("TOO_MANY_ATTEMPTS");
+    expect(res.headers["retry-after"]).toBe("1");
+
+    now += 1000;
+    expect((await login(user)).status).toBe(200);
+  });
+
+  it("locks the account, telling the lockout apart from a block", async () => {
+    const user = await createUser();
+
+    let res;
+    for (let i = 0; i < 5; i += 1) {
+      now += 60 * 1000;
+      res = await loginWith(user.email, "Wr0ngPassword!");
+    }
+
+    expect(res.status).toBe(423);
+    expect(res.body).toMatchObject({
+      code: "ACCOUNT_LOCKED",
+      lockInfo: { scope: "account", retryAfter: 15 * 60 },
+    });
+    // The right password does not get through either
+    expect((await login(user)).status).toBe(423);
+
+    // Past the delay the failures put on this address
+    now += 60 * 1000;
+    const blocked = await createUser({ isBlocked: true });
+    const refused = await login(blocked);
+    expect(refused.status).toBe(403);
+    expect(refused.body.code).toBe("ACCOUNT_BLOCKED");
+  });
+
+  it("counts attempts on unknown addresses", async () => {
+    await loginWith("nobody@example.com", "Wr0ngPassword!");
+
+    const counter = await LoginAttempt.findOne({
+      key: "login:account:nobody@example.com",
+    });
+    expect(counter.failures).toBe(1);
+  });
+
+  it("forgets the failures after a successful login", async () => {
+    const user = await createUser();
+    await loginWith(user.email, "Wr0ngPassword!");
+    await loginWith(user.email, "Wr0ngPassword!");
+
+    expect((await login(user)).status).toBe(200);
+
+    const counter = await LoginAttempt.findOne({
+      key: `login:account:${user.email}`,
+    });
+    expect(counter.failures).toBe(0);
+  });
+
+  it("refuses addresses that are not strings", async () => {
+    const responses = await Promise.all([
+      loginWith({ $ne: "" }, PASSWORD),
+      loginWith(["user@example.com"], PASSWORD),
+      request(app)
+        .post("/api/auth/forgotpassword")
+        .send({ email: { $gt: "" } }),
+      request(app)
+        .post("/api/auth/magic-link")
+        .send({ email: ["user@example.com"] }),
+    ]);
+
+    expect(responses.map((res) => res.status)).toEqual([400, 400, 400, 400]);
+    expect(await LoginAttempt.countDocuments()).toBe(0);
+  });
+});
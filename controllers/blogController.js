@@ -1,11 +1,68 @@
 const Blog = require("../models/Blog");
+const BlogRevision = require("../models/BlogRevision");
+const BlogComment = require("../models/BlogComment");
+const BlogView = require("../models/BlogView");
+const BlogDailyStat = require("../models/BlogDailyStat");
+const RelatedBlogCache = require("../models/RelatedBlogCache");
+const SlugHistory = require("../models/SlugHistory");
 const asyncHandler = require("../middleware/async");
 const ErrorResponse = require("../utils/errorResponse");
-const path = require("path");
-const fs = require("fs");
+const { hasPermission } = require("../middleware/auth");
+const User = require("../models/User");
+const { getRolePermissions } = require("../config/roles");
+const { getRequestLanguage } = require("../utils/language");
+const { getViewerId } = require("../utils/spamFilter");
+
+const BLOG_STATUSES = Blog.schema.path("status").enumValues;
+
+// Without publish rights, writers can only move their posts between draft
+// and review
+const WRITER_STATUSES = ["draft", "in_review"];
+
+const canEditBlog = (req, blog) =>
+  blog.author.toString() === req.user.id || hasPermission(req, "blog:edit-any");
+
+// Parse a publishAt date, which must lie in the future
+const parsePublishAt = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && date > Date.now() ? date : null;
+};
+
+// Reviewers never review their own posts, and only the assigned reviewer
+// reviews a post once one is assigned
+const checkReviewer = (req, blog) => {
+  if (blog.author.toString() === req.user.id) {
+    return new ErrorResponse("You cannot review your own blog", 403);
+  }
+
+  if (blog.reviewer && !blog.reviewer.equals(req.user._id)) {
+    return new ErrorResponse("This blog is assigned to another reviewer", 403);
+  }
+
+  if (blog.status !== "in_review") {
+    return new ErrorResponse("Only blogs in review can be reviewed", 400);
+  }
+
+  return null;
+};
+
+// Crawlers, link previews and headless browsers don't count as views
+const BOT_USER_AGENT =
+  /bot|crawl|spider|slurp|preview|facebookexternalhit|headless|lighthouse|curl|wget|python-requests/i;
+
+// The other published language versions of a post, for language switchers
+const getTranslations = async (blog) => {
+  if (!blog.translationGroup) return [];
+
+  return await Blog.find({
+    translationGroup: blog.translationGroup,
+    _id: { $ne: blog._id },
+    status: "published",
+  }).select("title slug lang");
+};
 
 // @desc    Get all blogs
-// @route   GET /api/blogs
+// @route   GET /api/blog
 // @access  Public
 exports.getBlogs = asyncHandler(async (req, res, next) => {
   try {
@@ -13,23 +70,42 @@ exports.getBlogs = asyncHandler(async (req, res, next) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const query = { isPublished: true };
+    const query = { status: "published" };
 
     // Add category filter if provided
     if (req.query.category) {
       query.category = req.query.category;
     }
 
-    const blogs = await Blog.find(query)
-      .populate("author", "name avatar")
-      .select(
-        "title slug excerpt category coverImage author publishedAt readTime views isPublished"
-      )
-      .sort("-publishedAt")
-      .skip(skip)
-      .limit(limit);
+    const select =
+      "title slug excerpt category coverImage author publishedAt readTime views isPublished lang";
 
-    const total = await Blog.countDocuments(query);
+    // With ?lang= or Accept-Language, each post is listed once, in that
+    // language when translated (?fallback=false drops untranslated posts)
+    const lang = getRequestLanguage(req);
+    res.vary("Accept-Language");
+
+    let blogs;
+    let total;
+
+    if (lang) {
+      ({ blogs, total } = await Blog.getLocalizedBlogs(query, lang, {
+        skip,
+        limit,
+        select,
+        fallback: req.query.fallback !== "false",
+      }));
+      res.set("Content-Language", lang);
+    } else {
+      blogs = await Blog.find(query)
+        .populate("author", "name avatar")
+        .select(select)
+        .sort("-publishedAt")
+        .skip(skip)
+        .limit(limit);
+
+      total = await Blog.countDocuments(query);
+    }
 
     res.status(200).json({
       success: true,
@@ -49,27 +125,55 @@ exports.getBlogs = asyncHandler(async (req, res, next) => {
 });
 
 // @desc    Get single blog
-// @route   GET /api/blogs/:id
-// @access  Public
+// @route   GET /api/blog/:id
+// @access  Public (unpublished: author, or blog:edit-any)
 exports.getBlog = asyncHandler(async (req, res, next) => {
   try {
-    const blog = await Blog.findById(req.params.id).populate(
-      "author",
-      "name email avatar"
-    );
+    let blog = await Blog.findById(req.params.id);
 
-    if (!blog) {
+    // Posts that are not published yet are only shown to those who can edit
+    // them
+    if (
+      !blog ||
+      (blog.status !== "published" && !(req.user && canEditBlog(req, blog)))
+    ) {
       return res.status(404).json({
         success: false,
         message: "Blog not found",
       });
     }
 
-    await blog.save();
+    await blog.populate("author", "name email avatar");
+
+    // Switch to the translation in the requested language; without one the
+    // post is returned as it is, marked as a fallback
+    const lang = getRequestLanguage(req);
+    res.vary("Accept-Language");
+
+    let fallback = false;
+    if (lang && blog.lang !== lang) {
+      const translation =
+        blog.translationGroup &&
+        (await Blog.findOne({
+          translationGroup: blog.translationGroup,
+          lang,
+          status: "published",
+        }).populate("author", "name email avatar"));
+
+      if (translation) {
+        blog = translation;
+      } else {
+        fallback = true;
+      }
+    }
+
+    res.set("Content-Language", blog.lang);
 
     res.status(200).json({
       success: true,
       data: blog,
+      translations: await getTranslations(blog),
+      ...(lang && { fallback }),
     });
   } catch (error) {
     console.error("Get blog error:", error);
@@ -80,8 +184,43 @@ exports.getBlog = asyncHandler(async (req, res, next) => {
   }
 });
 
+// @desc    Get single published blog by slug
+// @route   GET /api/blog/slug/:slug
+// @access  Public
+exports.getBlogBySlug = asyncHandler(async (req, res, next) => {
+  const blog = await Blog.findOne({
+    slug: req.params.slug,
+    status: "published",
+  }).populate("author", "name email avatar");
+
+  if (blog) {
+    res.set("Content-Language", blog.lang);
+    return res.status(200).json({
+      success: true,
+      data: blog,
+      translations: await getTranslations(blog),
+    });
+  }
+
+  // Old slugs of renamed posts point to the current one
+  const target = await SlugHistory.findTarget("Blog", req.params.slug);
+  const renamed =
+    target &&
+    (await Blog.findOne({ _id: target, status: "published" }).select("slug"));
+
+  if (!renamed) {
+    return next(new ErrorResponse("Blog not found", 404));
+  }
+
+  res.status(301).location(`${req.baseUrl}/slug/${renamed.slug}`).json({
+    success: false,
+    message: "This blog has moved",
+    slug: renamed.slug,
+  });
+});
+
 // @desc    Create new blog
-// @route   POST /api/blogs
+// @route   POST /api/blog
 // @access  Private/Admin
 exports.createBlog = asyncHandler(async (req, res, next) => {
   try {
@@ -108,6 +247,75 @@ exports.createBlog = asyncHandler(async (req, res, next) => {
       blogData.isPublished = blogData.isPublished === "true";
     }
 
+    // Older clients send isPublished instead of a status
+    const status =
+      blogData.status || (blogData.isPublished ? "published" : "draft");
+
+    if (!BLOG_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${BLOG_STATUSES.join(", ")}`,
+      });
+    }
+
+    // Writers without publish rights can only save drafts or submit them
+    blogData.status =
+      hasPermission(req, "blog:publish") || WRITER_STATUSES.includes(status)
+        ? status
+        : "draft";
+
+    if (blogData.status === "scheduled") {
+      blogData.publishAt = parsePublishAt(blogData.publishAt);
+
+      if (!blogData.publishAt) {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide a future publishAt date to schedule a blog",
+        });
+      }
+    } else {
+      delete blogData.publishAt;
+    }
+
+    // A translation joins the translation group of the post it translates
+    delete blogData.translationGroup;
+    if (blogData.translationOf) {
+      const original = await Blog.findById(blogData.translationOf);
+
+      if (!original) {
+        return res.status(404).json({
+          success: false,
+          message: "The blog to translate was not found",
+        });
+      }
+
+      const translationGroup = original.translationGroup || original._id;
+
+      if (!blogData.lang || blogData.lang === original.lang) {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide the language of the translation",
+        });
+      }
+
+      if (await Blog.exists({ translationGroup, lang: blogData.lang })) {
+        return res.status(400).json({
+          success: false,
+          message: `This blog already has a translation in ${blogData.lang}`,
+        });
+      }
+
+      blogData.translationGroup = translationGroup;
+    }
+    delete blogData.translationOf;
+
+    delete blogData.isPublished;
+    delete blogData.publishedAt;
+    delete blogData.reviewer;
+    blogData.statusHistory = [
+      { status: blogData.status, changedBy: req.user.id },
+    ];
+
     // Add author
     blogData.author = req.user.id;
 
@@ -119,6 +327,7 @@ exports.createBlog = asyncHandler(async (req, res, next) => {
     // Create blog
     const blog = new Blog(blogData);
     const savedBlog = await blog.save();
+    await BlogRevision.record(savedBlog, req.user.id);
 
     // Populate author info for response
     await savedBlog.populate("author", "name email avatar");
@@ -163,6 +372,9 @@ exports.createBlog = asyncHandler(async (req, res, next) => {
   }
 });
 
+// @desc    Update blog
+// @route   PUT /api/blog/:id
+// @access  Private/Admin
 exports.updateBlog = asyncHandler(async (req, res, next) => {
   try {
     let blog = await Blog.findById(req.params.id);
@@ -174,122 +386,87 @@ exports.updateBlog = asyncHandler(async (req, res, next) => {
       });
     }
 
-    // Parse the request body and handle special fields
-    const updateData = { ...req.body };
-
-    // Parse tags if they're sent as JSON string
-    if (updateData.tags && typeof updateData.tags === "string") {
-      try {
-        updateData.tags = JSON.parse(updateData.tags);
-      } catch (error) {
-        console.error("Error parsing tags:", error);
-        updateData.tags = [];
-      }
-    }
-
-    // Ensure tags is an array
-    if (!Array.isArray(updateData.tags)) {
-      updateData.tags = [];
-    }
-
-    // Convert string boolean to actual boolean
-    if (typeof updateData.isPublished === "string") {
-      updateData.isPublished = updateData.isPublished === "true";
-    }
-
-    // Handle cover image
-    if (req.file) {
-      updateData.coverImage = `/uploads/${req.file.filename}`;
-    }
-
-    // Update the blog
-    blog = await Blog.findByIdAndUpdate(req.params.id, updateData, {
-      new: true,
-      runValidators: true,
-    }).populate("author", "name email avatar");
-
-    res.status(200).json({
-      success: true,
-      data: blog,
-    });
-  } catch (error) {
-    console.error("Update blog error:", error);
-
-    // Handle validation errors
-    if (error.name === "ValidationError") {
-      const errors = Object.values(error.errors).map((err) => ({
-        path: err.path,
-        msg: err.message,
-      }));
-
-      return res.status(400).json({
+    // Check if user owns the blog or may edit any blog
+    if (
+      blog.author.toString() !== req.user.id &&
+      !hasPermission(req, "blog:edit-any")
+    ) {
+      return res.status(403).json({
         success: false,
-        message: "Validation Error",
-        errors: errors,
+        message: "Not authorized to update this blog",
       });
     }
 
-    res.status(500).json({
-      success: false,
-      message: "Server Error",
-      error:
-        process.env.NODE_ENV === "development"
-          ? error.message
-          : "Internal Server Error",
-    });
-  }
-});
-
-// @desc    Update blog
-// @route   PUT /api/blogs/:id
-// @access  Private/Admin
-exports.updateBlog = asyncHandler(async (req, res, next) => {
-  try {
-    let blog = await Blog.findById(req.params.id);
-
-    if (!blog) {
-      return res.status(404).json({
+    // Clean up the request body. The workflow fields change through the
+    // status and review routes, and pinned related posts through their own.
+    const {
+      coverImage,
+      isPublished,
+      status,
+      statusHistory,
+      publishAt,
+      publishedAt,
+      reviewer,
+      slug,
+      translationGroup,
+      relatedPosts,
+      ...updateData
+    } = req.body;
+
+    // Moving a post to another language must not clash with a translation
+    if (
+      updateData.lang &&
+      updateData.lang !== blog.lang &&
+      (await Blog.exists({
+        translationGroup: blog.translationGroup,
+        lang: updateData.lang,
+      }))
+    ) {
+      return res.status(400).json({
         success: false,
-        message: "Blog not found",
+        message: `This blog already has a translation in ${updateData.lang}`,
       });
     }
 
-    // Check if user owns the blog or is admin
-    if (blog.author.toString() !== req.user.id && req.user.role !== "admin") {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to update this blog",
-      });
+    // Older clients publish and unpublish with isPublished, which needs
+    // publish rights
+    let legacyStatus;
+    if (isPublished !== undefined && hasPermission(req, "blog:publish")) {
+      legacyStatus =
+        isPublished === true || isPublished === "true" ? "published" : "draft";
+
+      if (legacyStatus === blog.status) {
+        legacyStatus = undefined;
+      } else if (!blog.canChangeStatus(legacyStatus)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status transition from ${blog.status} to ${legacyStatus}`,
+        });
+      }
     }
 
-    // Clean up the request body
-    const { coverImage, ...updateData } = req.body;
+    // Posts written before revisions existed keep their original copy
+    if (!(await BlogRevision.exists({ blog: blog._id }))) {
+      await BlogRevision.record(blog, blog.author);
+    }
 
-    // Handle cover image if uploaded
+    // Handle cover image if uploaded. The old one stays on disk for
+    // revisions until they are pruned.
     if (req.file) {
-      // Delete old cover image if it exists
-      if (blog.coverImage) {
-        const oldImagePath = path.join(__dirname, "..", blog.coverImage);
-        if (fs.existsSync(oldImagePath)) {
-          try {
-            fs.unlinkSync(oldImagePath);
-          } catch (deleteError) {
-            console.error("❌ Error deleting old cover image:", deleteError);
-          }
-        }
-      }
       updateData.coverImage = `/uploads/${req.file.filename}`;
     }
 
-    // Update blog
-    const updatedBlog = await Blog.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      {
-        new: true,
-        runValidators: true,
-      }
-    ).populate("author", "name email avatar");
+    // Update blog. Saving runs the hooks that keep the slug (the old one
+    // keeps redirecting), read time and search text in step with the copy.
+    blog.set(updateData);
+    await blog.save();
+    const updatedBlog = await blog.populate("author", "name email avatar");
+
+    await BlogRevision.record(updatedBlog, req.user.id);
+
+    if (legacyStatus) {
+      await updatedBlog.updateStatus(legacyStatus, req.user.id);
+    }
 
     res.status(200).json({
       success: true,
@@ -324,7 +501,7 @@ exports.updateBlog = asyncHandler(async (req, res, next) => {
 });
 
 // @desc    Delete blog
-// @route   DELETE /api/blogs/:id
+// @route   DELETE /api/blog/:id
 // @access  Private/Admin
 exports.deleteBlog = asyncHandler(async (req, res, next) => {
   try {
@@ -337,8 +514,11 @@ exports.deleteBlog = asyncHandler(async (req, res, next) => {
       });
     }
 
-    // Check if user owns the blog or is admin
-    if (blog.author.toString() !== req.user.id && req.user.role !== "admin") {
+    // Check if user owns the blog or may edit any blog
+    if (
+      blog.author.toString() !== req.user.id &&
+      !hasPermission(req, "blog:edit-any")
+    ) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to delete this blog",
@@ -347,6 +527,15 @@ exports.deleteBlog = asyncHandler(async (req, res, next) => {
 
     // The pre('remove') middleware in the schema will handle file deletion
     await Blog.findByIdAndDelete(req.params.id);
+    await BlogRevision.deleteMany({ blog: blog._id });
+    await BlogComment.deleteMany({ blog: blog._id });
+    await BlogView.deleteMany({ blog: blog._id });
+    await BlogDailyStat.deleteMany({ blog: blog._id });
+    await RelatedBlogCache.invalidate(blog._id);
+    await Blog.updateMany(
+      { relatedPosts: blog._id },
+      { $pull: { relatedPosts: blog._id } }
+    );
 
     res.status(200).json({
       success: true,
@@ -366,7 +555,7 @@ exports.deleteBlog = asyncHandler(async (req, res, next) => {
 });
 
 // @desc    Get popular blogs
-// @route   GET /api/blogs/popular
+// @route   GET /api/blog/popular
 // @access  Public
 exports.getPopularBlogs = asyncHandler(async (req, res, next) => {
   const blogs = await Blog.getPopularBlogs(req.query.limit);
@@ -379,7 +568,7 @@ exports.getPopularBlogs = asyncHandler(async (req, res, next) => {
 });
 
 // @desc    Get blogs by category
-// @route   GET /api/blogs/category/:category
+// @route   GET /api/blog/category/:category
 // @access  Public
 exports.getBlogsByCategory = asyncHandler(async (req, res, next) => {
   const blogs = await Blog.getBlogsByCategory(req.params.category);
@@ -392,14 +581,15 @@ exports.getBlogsByCategory = asyncHandler(async (req, res, next) => {
 });
 
 // @desc    Search blogs
-// @route   GET /api/blogs/search
+// @route   GET /api/blog/search
 // @access  Public
 exports.searchBlogs = asyncHandler(async (req, res, next) => {
   if (!req.query.q) {
     return next(new ErrorResponse("Please provide a search query", 400));
   }
 
-  const blogs = await Blog.searchBlogs(req.query.q);
+  const blogs = await Blog.searchBlogs(req.query.q, getRequestLanguage(req));
+  res.vary("Accept-Language");
 
   res.status(200).json({
     success: true,
@@ -409,7 +599,7 @@ exports.searchBlogs = asyncHandler(async (req, res, next) => {
 });
 
 // @desc    Get all blogs (admin only)
-// @route   GET /api/blogs/admin/all
+// @route   GET /api/blog/admin/all
 // @access  Private/Admin
 exports.getAllBlogs = asyncHandler(async (req, res, next) => {
   try {
@@ -425,10 +615,21 @@ exports.getAllBlogs = asyncHandler(async (req, res, next) => {
       query.category = req.query.category;
     }
 
+    // Workflow filters, e.g. ?status=in_review&reviewer=me
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    if (req.query.reviewer) {
+      query.reviewer =
+        req.query.reviewer === "me" ? req.user._id : req.query.reviewer;
+    }
+
     const blogs = await Blog.find(query)
       .populate("author", "name avatar")
+      .populate("reviewer", "name")
       .select(
-        "title excerpt category coverImage author publishedAt isPublished"
+        "title excerpt category coverImage author publishedAt isPublished status publishAt reviewer"
       )
       .sort("-createdAt")
       .skip(skip)
@@ -454,110 +655,430 @@ exports.getAllBlogs = asyncHandler(async (req, res, next) => {
   }
 });
 
-// @desc    Add feedback to a blog
-// @route   POST /api/blogs/:id/feedback
-// @access  Public (previously Private)
-exports.addFeedback = async (req, res) => {
-  try {
-    const blog = await Blog.findById(req.params.id);
-
-    if (!blog) {
-      return res.status(404).json({
-        error: "Blog not found",
-        id: req.params.id,
-        message: "The blog ID you provided does not exist in the database",
-      });
-    }
+// @desc    Move a blog through the editorial workflow
+// @route   PATCH /api/blog/:id/status
+// @access  Private (author for draft/review, otherwise blog:publish)
+exports.updateBlogStatus = asyncHandler(async (req, res, next) => {
+  const { status, reason, publishAt } = req.body;
 
-    const { rating, comment } = req.body;
-    if (!rating || !comment) {
-      return res.status(400).json({
-        error: "Rating and comment are required",
-        received: { rating, comment },
-      });
-    }
+  const blog = await Blog.findById(req.params.id);
 
-    // Removed the check for existing feedback by user, as feedback is now public and can be anonymous.
+  if (!blog) {
+    return next(new ErrorResponse("Blog not found", 404));
+  }
 
-    // Add new feedback
-    blog.feedback.push({
-      rating,
-      comment,
-    });
+  if (!BLOG_STATUSES.includes(status)) {
+    return next(
+      new ErrorResponse(
+        `Status must be one of: ${BLOG_STATUSES.join(", ")}`,
+        400
+      )
+    );
+  }
 
-    // Calculate new average rating
-    blog.calculateAverageRating();
+  if (!hasPermission(req, "blog:publish")) {
+    if (!canEditBlog(req, blog)) {
+      return next(new ErrorResponse("Not authorized to update this blog", 403));
+    }
 
-    await blog.save();
+    if (
+      !WRITER_STATUSES.includes(blog.status) ||
+      !WRITER_STATUSES.includes(status)
+    ) {
+      return next(
+        new ErrorResponse(
+          `Missing permission blog:publish to move this blog to ${status}`,
+          403
+        )
+      );
+    }
+  }
 
-    const addedFeedback = blog.feedback[blog.feedback.length - 1];
+  if (status === "scheduled") {
+    blog.publishAt = parsePublishAt(publishAt);
 
-    res.status(201).json({
-      success: true,
-      data: addedFeedback,
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: "Error adding feedback",
-      details: error.message,
-    });
+    if (!blog.publishAt) {
+      return next(
+        new ErrorResponse(
+          "Please provide a future publishAt date to schedule a blog",
+          400
+        )
+      );
+    }
   }
-};
 
-// @desc    Get feedback for a blog
-// @route   GET /api/blogs/:id/feedback
-// @access  Public (previously Private)
-exports.getFeedback = async (req, res) => {
   try {
-    const blog = await Blog.findById(req.params.id).select(
-      "feedback averageRating"
+    const { oldStatus, newStatus } = await blog.updateStatus(
+      status,
+      req.user.id,
+      reason
     );
 
-    if (!blog) {
-      return res.status(404).json({ error: "Blog not found" });
-    }
-
     res.status(200).json({
       success: true,
-      data: blog.feedback,
-      averageRating: blog.averageRating,
+      data: blog,
+      statusChange: {
+        oldStatus,
+        newStatus,
+        changedBy: req.user.name,
+        reason,
+        changedAt: new Date(),
+      },
     });
   } catch (error) {
-    console.error("Error in getFeedback:", error);
-    res.status(500).json({ error: "Error fetching feedback" });
+    return next(new ErrorResponse(error.message, 400));
   }
-};
+});
 
-// @desc    Delete feedback from a blog
-// @route   DELETE /api/blogs/:id/feedback/:feedbackId
-// @access  Private/Admin
-exports.deleteFeedback = asyncHandler(async (req, res, next) => {
+// @desc    Assign a reviewer to a blog
+// @route   PUT /api/blog/:id/reviewer
+// @access  Private (blog:publish)
+exports.assignBlogReviewer = asyncHandler(async (req, res, next) => {
+  const blog = await Blog.findById(req.params.id);
+
+  if (!blog) {
+    return next(new ErrorResponse("Blog not found", 404));
+  }
+
+  // A null reviewer removes the assignment
+  if (req.body.reviewer) {
+    const reviewer = await User.findById(req.body.reviewer);
+
+    if (!reviewer || reviewer.deletedAt) {
+      return next(new ErrorResponse("Reviewer not found", 404));
+    }
+
+    if (!getRolePermissions(reviewer.role).includes("blog:publish")) {
+      return next(
+        new ErrorResponse("The reviewer needs the blog:publish permission", 400)
+      );
+    }
+
+    if (blog.author.equals(reviewer._id)) {
+      return next(
+        new ErrorResponse("The author cannot review their own blog", 400)
+      );
+    }
+
+    blog.reviewer = reviewer._id;
+  } else {
+    blog.reviewer = undefined;
+  }
+
+  await blog.save();
+  await blog.populate("reviewer", "name email");
+
+  res.status(200).json({
+    success: true,
+    data: blog,
+  });
+});
+
+// @desc    Approve a blog in review, publishing or scheduling it
+// @route   POST /api/blog/:id/approve
+// @access  Private (blog:publish)
+exports.approveBlog = asyncHandler(async (req, res, next) => {
   const blog = await Blog.findById(req.params.id);
 
   if (!blog) {
     return next(new ErrorResponse("Blog not found", 404));
   }
 
-  // Find the feedback index
-  const feedbackIndex = blog.feedback.findIndex(
-    (f) => f._id.toString() === req.params.feedbackId
+  const reviewError = checkReviewer(req, blog);
+  if (reviewError) {
+    return next(reviewError);
+  }
+
+  // Without a future publishAt the blog goes live right away
+  const publishAt = req.body.publishAt
+    ? parsePublishAt(req.body.publishAt)
+    : parsePublishAt(blog.publishAt);
+
+  if (req.body.publishAt && !publishAt) {
+    return next(new ErrorResponse("publishAt must be in the future", 400));
+  }
+
+  if (publishAt) {
+    blog.publishAt = publishAt;
+  }
+
+  const { oldStatus, newStatus } = await blog.updateStatus(
+    publishAt ? "scheduled" : "published",
+    req.user.id,
+    req.body.comment || "Approved"
+  );
+
+  res.status(200).json({
+    success: true,
+    data: blog,
+    statusChange: { oldStatus, newStatus },
+  });
+});
+
+// @desc    Send a blog in review back to its author
+// @route   POST /api/blog/:id/request-changes
+// @access  Private (blog:publish)
+exports.requestBlogChanges = asyncHandler(async (req, res, next) => {
+  const { comment } = req.body;
+
+  if (!comment || !comment.trim()) {
+    return next(new ErrorResponse("Please describe the changes you need", 400));
+  }
+
+  const blog = await Blog.findById(req.params.id);
+
+  if (!blog) {
+    return next(new ErrorResponse("Blog not found", 404));
+  }
+
+  const reviewError = checkReviewer(req, blog);
+  if (reviewError) {
+    return next(reviewError);
+  }
+
+  const { oldStatus, newStatus } = await blog.updateStatus(
+    "draft",
+    req.user.id,
+    comment.trim()
   );
 
-  if (feedbackIndex === -1) {
-    return next(new ErrorResponse("Feedback not found", 404));
+  res.status(200).json({
+    success: true,
+    data: blog,
+    statusChange: { oldStatus, newStatus },
+  });
+});
+
+// @desc    Get the status history of a blog
+// @route   GET /api/blog/:id/status-history
+// @access  Private (author, or blog:edit-any)
+exports.getBlogStatusHistory = asyncHandler(async (req, res, next) => {
+  const blog = await Blog.findById(req.params.id)
+    .populate("statusHistory.changedBy", "name")
+    .select("author statusHistory");
+
+  if (!blog) {
+    return next(new ErrorResponse("Blog not found", 404));
+  }
+
+  if (!canEditBlog(req, blog)) {
+    return next(new ErrorResponse("Not authorized to view this blog", 403));
   }
 
-  // Remove the feedback
-  blog.feedback.splice(feedbackIndex, 1);
+  res.status(200).json({
+    success: true,
+    data: blog.statusHistory,
+  });
+});
+
+// Find a blog the current user may edit, for the revision routes
+const findEditableBlog = async (req) => {
+  const blog = await Blog.findById(req.params.id);
 
-  // Recalculate average rating
-  blog.calculateAverageRating();
+  if (!blog) {
+    throw new ErrorResponse("Blog not found", 404);
+  }
+
+  if (!canEditBlog(req, blog)) {
+    throw new ErrorResponse("Not authorized to access this blog", 403);
+  }
+
+  return blog;
+};
+
+const findRevision = async (blog, number) => {
+  const revision = Number.isInteger(Number(number))
+    ? await BlogRevision.findOne({ blog: blog._id, number: Number(number) })
+    : null;
+
+  if (!revision) {
+    throw new ErrorResponse(`Revision ${number} not found`, 404);
+  }
+
+  return revision;
+};
+
+// @desc    List the revisions of a blog
+// @route   GET /api/blog/:id/revisions
+// @access  Private (author, or blog:edit-any)
+exports.getBlogRevisions = asyncHandler(async (req, res, next) => {
+  const blog = await findEditableBlog(req);
+
+  const revisions = await BlogRevision.find({ blog: blog._id })
+    .select("-content")
+    .populate("editor", "name")
+    .sort("-number");
+
+  res.status(200).json({
+    success: true,
+    count: revisions.length,
+    data: revisions,
+  });
+});
+
+// @desc    Get one revision of a blog
+// @route   GET /api/blog/:id/revisions/:number
+// @access  Private (author, or blog:edit-any)
+exports.getBlogRevision = asyncHandler(async (req, res, next) => {
+  const blog = await findEditableBlog(req);
+  const revision = await findRevision(blog, req.params.number);
+  await revision.populate("editor", "name");
+
+  res.status(200).json({
+    success: true,
+    data: revision,
+  });
+});
+
+// @desc    Compare two revisions field by field
+// @route   GET /api/blog/:id/revisions/diff?from=1&to=2
+// @access  Private (author, or blog:edit-any)
+exports.diffBlogRevisions = asyncHandler(async (req, res, next) => {
+  const blog = await findEditableBlog(req);
+
+  if (!req.query.from) {
+    return next(new ErrorResponse("Please provide a revision to compare", 400));
+  }
+
+  const from = await findRevision(blog, req.query.from);
+
+  // Compare with the latest revision by default
+  const to = req.query.to
+    ? await findRevision(blog, req.query.to)
+    : await BlogRevision.findOne({ blog: blog._id }).sort("-number");
+
+  res.status(200).json({
+    success: true,
+    data: {
+      from: from.number,
+      to: to.number,
+      changes: from.diff(to),
+    },
+  });
+});
+
+// @desc    Restore a revision, which becomes the newest revision
+// @route   POST /api/blog/:id/revisions/:number/restore
+// @access  Private (author, or blog:edit-any)
+exports.restoreBlogRevision = asyncHandler(async (req, res, next) => {
+  const blog = await findEditableBlog(req);
+  const revision = await findRevision(blog, req.params.number);
+
+  blog.title = revision.title;
+  blog.excerpt = revision.excerpt;
+  blog.content = revision.content;
+  // Revisions from before content formats hold HTML
+  blog.contentFormat = revision.contentFormat || "html";
+  blog.tags = revision.tags;
+  blog.coverImage = revision.coverImage;
+  await blog.save();
+
+  const restored = await BlogRevision.record(blog, req.user.id, {
+    restoredFrom: revision.number,
+  });
+
+  await blog.populate("author", "name email avatar");
+
+  res.status(200).json({
+    success: true,
+    data: blog,
+    revision: restored.number,
+  });
+});
+
+// @desc    Record a view of a blog and how far it was read. Clients call it
+//          when the post is opened and again with the furthest completion
+//          (0-100) as it is read.
+// @route   POST /api/blog/:id/views
+// @access  Public
+exports.trackBlogView = asyncHandler(async (req, res, next) => {
+  const blog = await Blog.exists({ _id: req.params.id, status: "published" });
+
+  if (!blog) {
+    return next(new ErrorResponse("Blog not found", 404));
+  }
+
+  const userAgent = req.get("user-agent");
+  if (!userAgent || BOT_USER_AGENT.test(userAgent)) {
+    return res.status(200).json({ success: true, counted: false });
+  }
+
+  const counted = await BlogView.track(blog._id, getViewerId(req), {
+    referrer: req.body.referrer,
+    completion: req.body.completion,
+  });
+
+  res.status(200).json({ success: true, counted });
+});
+
+// @desc    Get a blog's views per day, read completion and referrers over
+//          the last ?days= days (30 by default)
+// @route   GET /api/blog/:id/stats
+// @access  Private (author, or blog:edit-any)
+exports.getBlogStats = asyncHandler(async (req, res, next) => {
+  const blog = await findEditableBlog(req);
+  const days = Math.min(parseInt(req.query.days) || 30, 365);
+
+  const stats = await BlogDailyStat.getStats(blog._id, days);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      totalViews: blog.views,
+      ...stats,
+    },
+  });
+});
+
+// @desc    Get posts related to a published blog, pinned ones first
+// @route   GET /api/blog/:id/related
+// @access  Public
+exports.getRelatedBlogs = asyncHandler(async (req, res, next) => {
+  const blog = await Blog.findOne({ _id: req.params.id, status: "published" });
+
+  if (!blog) {
+    return next(new ErrorResponse("Blog not found", 404));
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 5, 10);
+  const related = await Blog.getRelatedBlogs(blog, limit);
+
+  res.status(200).json({
+    success: true,
+    count: related.length,
+    data: related,
+  });
+});
+
+// @desc    Pin related posts to a blog, in order (an empty list unpins all)
+// @route   PUT /api/blog/:id/related
+// @access  Private (author, or blog:edit-any)
+exports.setRelatedBlogs = asyncHandler(async (req, res, next) => {
+  const blog = await findEditableBlog(req);
+  const { posts } = req.body;
+
+  if (!Array.isArray(posts) || posts.length > 10) {
+    return next(
+      new ErrorResponse("Please provide a list of up to 10 blog ids", 400)
+    );
+  }
+
+  const ids = [...new Set(posts.map(String))];
+
+  if (ids.includes(blog._id.toString())) {
+    return next(new ErrorResponse("A blog cannot be related to itself", 400));
+  }
+
+  const found = await Blog.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    return next(new ErrorResponse("Some of the blogs were not found", 404));
+  }
 
+  blog.relatedPosts = ids;
   await blog.save();
 
   res.status(200).json({
     success: true,
-    data: {},
-    message: "Feedback deleted successfully",
+    data: blog.relatedPosts,
   });
 });
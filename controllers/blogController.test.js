@@ -0,0 +1,151 @@
+const request = require("supertest");
+const app = require("../app");
+const memoryDb = require("../test/memoryDb");
+const Blog = require("../models/Blog");
+const RelatedBlogCache = require("../models/RelatedBlogCache");
+const { createBlog, createUser } = require("../test/helpers");
+
+beforeAll(memoryDb.connect);
+beforeEach(memoryDb.clear);
+
+describe("slug URLs", () => {
+  it("finds a published post by its slug", async () => {
+    await createBlog({ title: "Building With Timber" });
+
+    const res = await request(app).get("/api/blog/slug/building-with-timber");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.title).toBe("Building With Timber");
+  });
+
+  it("redirects the old slugs of a renamed post permanently", async () => {
+    const blog = await createBlog({ title: "Building With Timber" });
+    blog.title = "Timber Frame Houses";
+    await blog.save();
+    blog.title = "Timber Frame Homes";
+    await blog.save();
+
+    for (const slug of ["building-with-timber", "timber-frame-houses"]) {
+      const res = await request(app).get(`/api/blog/slug/${slug}`);
+
+      expect(res.status).toBe(301);
+      expect(res.headers.location).toBe("/api/blog/slug/timber-frame-homes");
+      expect(res.body.slug).toBe("timber-frame-homes");
+    }
+  });
+
+  it("does not reveal unpublished posts through old slugs", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const blog = await createBlog({ title: "Building With Timber" });
+    blog.title = "Timber Frame Homes";
+    blog.status = "draft";
+    await blog.save();
+
+    const oldSlug = await request(app).get(
+      "/api/blog/slug/building-with-timber"
+    );
+    const current = await request(app).get("/api/blog/slug/timber-frame-homes");
+
+    expect(oldSlug.status).toBe(404);
+    expect(current.status).toBe(404);
+    console.error.mockRestore();
+  });
+});
+
+describe("related posts", () => {
+  let author;
+
+  beforeEach(async () => {
+    author = await createUser({ role: "editor" });
+  });
+
+  // Posts need 50 characters of content; these words are all ignored when
+  // comparing posts
+  const content = (title) =>
+    `${title}. They would have been there with some more of the same.`;
+
+  const post = (title, fields = {}) =>
+    createBlog({
+      title,
+      content: content(title),
+      author: author._id,
+      ...fields,
+    });
+
+  const related = async (blog) =>
+    (await request(app).get(`/api/blog/${blog._id}/related`)).body.data.map(
+      (item) => item.title
+    );
+
+  it("lists similar published posts in the same language, best first", async () => {
+    const blog = await post("Timber frame houses", { tags: ["timber"] });
+    await post("Timber frame extensions", { tags: ["timber"] });
+    await post("Timber decking");
+    await post("Timber frame garages", { status: "draft" });
+    await post("Timber frame sheds", { lang: "ar" });
+
+    expect(await related(blog)).toEqual([
+      "Timber frame extensions",
+      "Timber decking",
+    ]);
+  });
+
+  it("lists pinned posts first", async () => {
+    const blog = await post("Timber frame houses");
+    await post("Timber frame extensions");
+    const pinned = await post("Site safety", { category: "industry-news" });
+    blog.relatedPosts = [pinned._id];
+    await blog.save();
+
+    const res = await request(app).get(`/api/blog/${blog._id}/related`);
+
+    expect(res.body.data.map(({ title, pinned }) => [title, pinned])).toEqual([
+      ["Site safety", true],
+      ["Timber frame extensions", false],
+    ]);
+  });
+
+  it("computes them again when a listed post changes", async () => {
+    const blog = await post("Timber frame houses");
+    const other = await post("Timber frame extensions");
+    const unrelated = await post("Concrete", { category: "renovation" });
+    await related(blog);
+    await related(unrelated);
+    expect(await RelatedBlogCache.countDocuments()).toBe(2);
+
+    other.title = "Concrete foundations";
+    other.content = content("Concrete foundations");
+    other.excerpt = "Concrete foundations";
+    other.category = "renovation";
+    await other.save();
+
+    // Only the results the post appeared in are dropped
+    expect(await RelatedBlogCache.exists({ blog: blog._id })).toBeNull();
+    expect(
+      await RelatedBlogCache.exists({ blog: unrelated._id })
+    ).not.toBeNull();
+    expect(await related(blog)).toEqual([]);
+  });
+
+  it("computes them again when a post is published or unpublished", async () => {
+    const blog = await post("Timber frame houses");
+    const other = await post("Timber frame extensions");
+    expect(await related(blog)).toEqual(["Timber frame extensions"]);
+
+    const draft = await post("Timber frame garages", { status: "draft" });
+    draft.status = "published";
+    await draft.save();
+
+    expect((await related(blog)).sort()).toEqual([
+      "Timber frame extensions",
+      "Timber frame garages",
+    ]);
+
+    await Blog.findById(other._id).then((found) => {
+      found.status = "archived";
+      return found.save();
+    });
+
+    expect(await related(blog)).toEqual(["Timber frame garages"]);
+  });
+});
@@ -0,0 +1,400 @@
+const Blog = require("../models/Blog");
+const BlogComment = require("../models/BlogComment");
+const asyncHandler = require("../middleware/async");
+const ErrorResponse = require("../utils/errorResponse");
+const { hasPermission } = require("../middleware/auth");
+const { checkSpam, getVisitorId } = require("../utils/spamFilter");
+const {
+  RATING_STATUSES,
+  addRating,
+  moderateRating,
+  getRatingQueue,
+} = require("../utils/feedback");
+
+const COMMENT_STATUSES = BlogComment.schema.path("status").enumValues;
+
+const isModerator = (req) =>
+  Boolean(req.user) && hasPermission(req, "blog:moderate");
+
+const countRatings = (blog) =>
+  blog.feedback.filter((item) => item.status === "approved").length;
+
+// Comments and ratings are only taken on published posts
+const findPublishedBlog = async (id) => {
+  const blog = await Blog.findOne({ _id: id, status: "published" });
+
+  if (!blog) {
+    throw new ErrorResponse("Blog not found", 404);
+  }
+
+  return blog;
+};
+
+// Run the spam checks on a submission to a blog. Moderators skip them.
+const checkSubmission = async (req, blog, content) => {
+  if (isModerator(req)) {
+    return { action: "accept", reasons: [] };
+  }
+
+  const { name, email, website } = req.body;
+  const visitor = getVisitorId(req);
+
+  return await checkSpam({
+    text: content,
+    name,
+    email,
+    honeypot: website,
+    findDuplicate: (since) =>
+      BlogComment.exists({
+        content,
+        createdAt: { $gte: since },
+        $or: [{ blog: blog._id }, { visitor }],
+      }),
+  });
+};
+
+// Store a comment or reply. Moderators' comments are official and need no
+// approval; everyone else's wait in the moderation queue, where comments
+// the spam checks reject are kept as spam.
+const createComment = async (
+  req,
+  blog,
+  { content, parent, name, email },
+  { action, reasons }
+) => {
+  const moderator = isModerator(req);
+
+  let depth = 0;
+  if (parent) {
+    const parentComment = await BlogComment.findOne({
+      _id: parent,
+      blog: blog._id,
+    });
+
+    if (!parentComment || (parentComment.status !== "approved" && !moderator)) {
+      throw new ErrorResponse("The comment to reply to was not found", 404);
+    }
+
+    depth = parentComment.depth + 1;
+  }
+
+  const comment = await BlogComment.create({
+    blog: blog._id,
+    parent: parent || null,
+    depth,
+    content,
+    ...(req.user
+      ? { author: req.user._id }
+      : { guestName: name, guestEmail: email }),
+    visitor: getVisitorId(req),
+    status: action === "reject" ? "spam" : "pending",
+    spamReasons: reasons,
+    ...(moderator && {
+      status: "approved",
+      isOfficial: true,
+      moderatedBy: req.user._id,
+      moderatedAt: new Date(),
+    }),
+  });
+
+  if (comment.author) {
+    await comment.populate("author", "name avatar");
+  }
+
+  return comment;
+};
+
+// @desc    Get the approved comments of a blog as threads, with its rating
+// @route   GET /api/blog/:id/comments
+// @route   GET /api/blog/:id/feedback
+// @access  Public
+exports.getComments = asyncHandler(async (req, res, next) => {
+  const blog = await Blog.findById(req.params.id).select(
+    "feedback averageRating"
+  );
+
+  if (!blog) {
+    return next(new ErrorResponse("Blog not found", 404));
+  }
+
+  const { comments, count } = await BlogComment.getThread(blog._id);
+
+  res.status(200).json({
+    success: true,
+    count,
+    data: comments,
+    averageRating: blog.averageRating,
+    ratingCount: countRatings(blog),
+  });
+});
+
+// @desc    Comment on a blog or reply to a comment
+// @route   POST /api/blog/:id/comments
+// @access  Public (guests give a name and email)
+exports.addComment = asyncHandler(async (req, res, next) => {
+  const blog = await findPublishedBlog(req.params.id);
+
+  const verdict = await checkSubmission(req, blog, req.body.content);
+  const comment = await createComment(req, blog, req.body, verdict);
+
+  res.status(201).json({
+    success: true,
+    data: comment.toPublic(),
+    message:
+      comment.status === "approved"
+        ? "Comment published"
+        : "Comment received and awaiting moderation",
+  });
+});
+
+// @desc    Rate a blog
+// @route   POST /api/blog/:id/ratings
+// @access  Public
+exports.rateBlog = asyncHandler(async (req, res, next) => {
+  const blog = await findPublishedBlog(req.params.id);
+
+  const verdict = await checkSubmission(req, blog);
+  const rating = addRating(req, blog, { rating: req.body.rating }, verdict);
+  await blog.save();
+
+  res.status(201).json({
+    success: true,
+    data: { rating: rating.rating, status: rating.status },
+    averageRating: blog.averageRating,
+    ratingCount: countRatings(blog),
+  });
+});
+
+// @desc    Rate a blog and comment on it in one go (older clients)
+// @route   POST /api/blog/:id/feedback
+// @access  Public (guests give a name and email to comment)
+exports.addFeedback = asyncHandler(async (req, res, next) => {
+  const { rating, comment: content, parent, name, email } = req.body;
+
+  if (!rating && !content) {
+    return next(new ErrorResponse("Please add a rating or a comment", 400));
+  }
+
+  const blog = await findPublishedBlog(req.params.id);
+
+  // Check the comment before the rating is stored
+  if (content) {
+    await new BlogComment({
+      blog: blog._id,
+      content,
+      ...(req.user
+        ? { author: req.user._id }
+        : { guestName: name, guestEmail: email }),
+    }).validate();
+  }
+
+  const verdict = await checkSubmission(req, blog, content);
+
+  if (rating) {
+    addRating(req, blog, { rating }, verdict);
+    await blog.save();
+  }
+
+  const comment =
+    content &&
+    (await createComment(req, blog, { content, parent, name, email }, verdict));
+
+  res.status(201).json({
+    success: true,
+    data: comment ? comment.toPublic() : null,
+    averageRating: blog.averageRating,
+  });
+});
+
+// @desc    List comments for moderation, oldest first
+// @route   GET /api/blog/comments
+// @access  Private (blog:moderate)
+exports.getModerationQueue = asyncHandler(async (req, res, next) => {
+  const status = req.query.status || "pending";
+
+  if (!COMMENT_STATUSES.includes(status)) {
+    return next(
+      new ErrorResponse(
+        `Status must be one of: ${COMMENT_STATUSES.join(", ")}`,
+        400
+      )
+    );
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  const query = { status };
+  if (req.query.blog) {
+    query.blog = req.query.blog;
+  }
+
+  const [comments, total] = await Promise.all([
+    BlogComment.find(query)
+      .select("+guestEmail +visitor")
+      .populate("blog", "title slug")
+      .populate("author", "name email avatar")
+      .populate("parent", "content")
+      .sort("createdAt")
+      .skip(skip)
+      .limit(limit),
+    BlogComment.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: comments.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: comments,
+  });
+});
+
+// @desc    Approve a comment, mark it as spam or send it back to the queue
+// @route   PATCH /api/blog/comments/:commentId/status
+// @access  Private (blog:moderate)
+exports.moderateComment = asyncHandler(async (req, res, next) => {
+  const { status } = req.body;
+
+  if (!COMMENT_STATUSES.includes(status)) {
+    return next(
+      new ErrorResponse(
+        `Status must be one of: ${COMMENT_STATUSES.join(", ")}`,
+        400
+      )
+    );
+  }
+
+  const comment = await BlogComment.findById(req.params.commentId);
+
+  if (!comment) {
+    return next(new ErrorResponse("Comment not found", 404));
+  }
+
+  comment.status = status;
+  comment.moderatedBy = req.user._id;
+  comment.moderatedAt = new Date();
+  await comment.save();
+
+  res.status(200).json({
+    success: true,
+    data: comment,
+  });
+});
+
+// @desc    Delete a comment and the replies to it
+// @route   DELETE /api/blog/comments/:commentId
+// @access  Private (blog:moderate)
+exports.deleteComment = asyncHandler(async (req, res, next) => {
+  const comment = await BlogComment.findById(req.params.commentId);
+
+  if (!comment) {
+    return next(new ErrorResponse("Comment not found", 404));
+  }
+
+  const deleted = await BlogComment.deleteWithReplies(comment);
+
+  res.status(200).json({
+    success: true,
+    data: {},
+    deleted,
+  });
+});
+
+// @desc    List blog ratings held or rejected by the spam checks
+// @route   GET /api/blog/ratings
+// @access  Private (blog:moderate)
+exports.getRatingModerationQueue = asyncHandler(async (req, res, next) => {
+  const status = req.query.status || "pending";
+
+  if (!["pending", "spam"].includes(status)) {
+    return next(new ErrorResponse("Status must be one of: pending, spam", 400));
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const { ratings, total } = await getRatingQueue(Blog, status, {
+    skip: (page - 1) * limit,
+    limit,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: ratings.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: ratings,
+  });
+});
+
+// @desc    Approve a held rating, or mark one as spam or pending
+// @route   PATCH /api/blog/:id/ratings/:ratingId/status
+// @access  Private (blog:moderate)
+exports.moderateBlogRating = asyncHandler(async (req, res, next) => {
+  const { status } = req.body;
+  if (!RATING_STATUSES.includes(status)) {
+    return next(
+      new ErrorResponse(
+        `Status must be one of: ${RATING_STATUSES.join(", ")}`,
+        400
+      )
+    );
+  }
+
+  const blog = await Blog.findById(req.params.id);
+  const rating = blog && blog.feedback.id(req.params.ratingId);
+
+  if (!rating) {
+    return next(new ErrorResponse("Rating not found", 404));
+  }
+
+  moderateRating(blog, rating, status);
+  await blog.save();
+
+  res.status(200).json({
+    success: true,
+    data: rating,
+    averageRating: blog.averageRating,
+  });
+});
+
+// @desc    Delete a comment (with its replies) or a rating from a blog
+// @route   DELETE /api/blog/:id/feedback/:feedbackId
+// @access  Private (blog:moderate)
+exports.deleteFeedback = asyncHandler(async (req, res, next) => {
+  const blog = await Blog.findById(req.params.id);
+
+  if (!blog) {
+    return next(new ErrorResponse("Blog not found", 404));
+  }
+
+  const comment = await BlogComment.findOne({
+    _id: req.params.feedbackId,
+    blog: blog._id,
+  });
+  const rating = blog.feedback.id(req.params.feedbackId);
+
+  if (!comment && !rating) {
+    return next(new ErrorResponse("Feedback not found", 404));
+  }
+
+  if (comment) {
+    await BlogComment.deleteWithReplies(comment);
+  }
+
+  if (rating) {
+    rating.deleteOne();
+    blog.calculateAverageRating();
+    await blog.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {},
+    message: "Feedback deleted successfully",
+  });
+});
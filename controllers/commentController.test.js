@@ -0,0 +1,139 @@
+const request = require("supertest");
+const app = require("../app");
+const memoryDb = require("../test/memoryDb");
+const Blog = require("../models/Blog");
+const BlogComment = require("../models/BlogComment");
+const { createBlog, createSignedInUser } = require("../test/helpers");
+
+beforeAll(memoryDb.connect);
+beforeEach(memoryDb.clear);
+
+// Every test comes from its own address, so the per-IP limits start afresh
+let clients = 0;
+const newClient = () => {
+  clients += 1;
+  return `10.0.${Math.floor(clients / 250)}.${clients % 250}`;
+};
+
+const guest = { name: "Sam", email: "sam@example.com" };
+
+describe("comments", () => {
+  it("holds guest comments until a moderator approves them", async () => {
+    const blog = await createBlog();
+    const moderator = await createSignedInUser({ role: "editor" });
+
+    const res = await request(app)
+      .post(`/api/blog/${blog._id}/comments`)
+      .set("X-Forwarded-For", newClient())
+      .send({ ...guest, content: "Which timber do you use?" });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.status).toBe("pending");
+    const list = () => request(app).get(`/api/blog/${blog._id}/comments`);
+    expect((await list()).body.count).toBe(0);
+
+    const approve = await request(app)
+      .patch(`/api/blog/comments/${res.body.data.id}/status`)
+      .set("Authorization", `Bearer ${moderator.token}`)
+      .send({ status: "approved" });
+
+    expect(approve.status).toBe(200);
+    expect((await list()).body.data[0].content).toBe(
+      "Which timber do you use?"
+    );
+  });
+
+  it("keeps comments that fail the checks as spam for moderators", async () => {
+    const blog = await createBlog();
+    const moderator = await createSignedInUser({ role: "editor" });
+    const ip = newClient();
+    const post = (fields) =>
+      request(app)
+        .post(`/api/blog/${blog._id}/comments`)
+        .set("X-Forwarded-For", ip)
+        .send({ ...guest, ...fields });
+
+    await post({ content: "Nice post", website: "http://bot.example" });
+    await post({ content: "Cheap casino bonus" });
+    await post({ content: "Same words twice" });
+    await post({ content: "Same words twice" });
+
+    const queue = await request(app)
+      .get("/api/blog/comments?status=spam")
+      .set("Authorization", `Bearer ${moderator.token}`);
+
+    expect(queue.body.data.map((comment) => comment.spamReasons)).toEqual([
+      ["honeypot"],
+      ["keywords"],
+      ["duplicate"],
+    ]);
+    expect(await BlogComment.countDocuments({ status: "pending" })).toBe(1);
+  });
+
+  it("publishes moderators' comments as official at once", async () => {
+    const blog = await createBlog();
+    const moderator = await createSignedInUser({ role: "editor" });
+
+    const res = await request(app)
+      .post(`/api/blog/${blog._id}/comments`)
+      .set("Authorization", `Bearer ${moderator.token}`)
+      .send({
+        content: "See http://a.example http://b.example http://c.example",
+      });
+
+    expect(res.body.data).toMatchObject({
+      status: "approved",
+      isOfficial: true,
+    });
+  });
+
+  it("limits how many submissions a visitor makes", async () => {
+    const blog = await createBlog();
+    const ip = newClient();
+
+    const statuses = [];
+    for (let i = 0; i < 6; i += 1) {
+      const res = await request(app)
+        .post(`/api/blog/${blog._id}/comments`)
+        .set("X-Forwarded-For", ip)
+        .send({ ...guest, content: `Question number ${i}` });
+      statuses.push(res.status);
+    }
+
+    expect(statuses).toEqual([201, 201, 201, 201, 201, 429]);
+  });
+});
+
+describe("ratings", () => {
+  const rate = (blog, rating, ip, fields = {}) =>
+    request(app)
+      .post(`/api/blog/${blog._id}/ratings`)
+      .set("X-Forwarded-For", ip)
+      .send({ rating, ...fields });
+
+  it("counts one rating per visitor, replacing the earlier one", async () => {
+    const blog = await createBlog();
+    const ip = newClient();
+
+    await rate(blog, 1, ip);
+    const res = await rate(blog, 5, ip);
+    await rate(blog, 3, newClient());
+
+    expect(res.body).toMatchObject({ averageRating: 5, ratingCount: 1 });
+    const updated = await Blog.findById(blog._id);
+    expect(updated.averageRating).toBe(4);
+    expect(updated.feedback).toHaveLength(2);
+  });
+
+  it("leaves ratings from bots out of the average", async () => {
+    const blog = await createBlog();
+
+    const res = await rate(blog, 1, newClient(), { website: "x" });
+
+    expect(res.body.data.status).toBe("spam");
+    expect(res.body.ratingCount).toBe(0);
+    // Nobody but moderators sees it
+    const public_ = await request(app).get(`/api/blog/${blog._id}`);
+    expect(public_.body.data.feedback).toEqual([]);
+  });
+});
@@ -2,6 +2,8 @@ const Consultation = require("../models/Consultation");
 const User = require("../models/User");
 const asyncHandler = require("../middleware/async");
 const ErrorResponse = require("../utils/errorResponse");
+const { hasPermission } = require("../middleware/auth");
+const { roleHasPermission } = require("../config/roles");
 const { sendEmail, emailTemplates } = require("../utils/sendEmail");
 
 // @desc    Get all consultations
@@ -122,10 +124,10 @@ exports.getConsultation = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Consultation not found", 404));
   }
 
-  // Make sure user is consultation owner or admin
+  // Make sure user is consultation owner or may read all consultations
   if (
     consultation.user._id.toString() !== req.user.id &&
-    req.user.role !== "admin"
+    !hasPermission(req, "consultation:read")
   ) {
     return next(
       new ErrorResponse("Not authorized to access this consultation", 401)
@@ -218,10 +220,10 @@ exports.updateConsultation = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Consultation not found", 404));
   }
 
-  // Make sure user is consultation owner or admin
+  // Make sure user is consultation owner or may manage consultations
   if (
     consultation.user.toString() !== req.user.id &&
-    req.user.role !== "admin"
+    !hasPermission(req, "consultation:manage")
   ) {
     return next(
       new ErrorResponse("Not authorized to update this consultation", 401)
@@ -262,10 +264,10 @@ exports.deleteConsultation = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Consultation not found", 404));
   }
 
-  // Make sure user is consultation owner or admin
+  // Make sure user is consultation owner or may manage consultations
   if (
     consultation.user.toString() !== req.user.id &&
-    req.user.role !== "admin"
+    !hasPermission(req, "consultation:manage")
   ) {
     return next(
       new ErrorResponse("Not authorized to delete this consultation", 401)
@@ -411,6 +413,41 @@ exports.getStatusHistory = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Assign consultation to a consultant
+// @route   PATCH /api/consultations/:id/assign
+// @access  Private/Admin
+exports.assignConsultation = asyncHandler(async (req, res, next) => {
+  const { consultant } = req.body;
+
+  const consultation = await Consultation.findById(req.params.id);
+
+  if (!consultation) {
+    return next(new ErrorResponse("Consultation not found", 404));
+  }
+
+  // An empty consultant clears the assignment
+  if (consultant) {
+    const assignee = await User.findById(consultant);
+
+    if (!assignee) {
+      return next(new ErrorResponse("Consultant not found", 404));
+    }
+
+    if (!roleHasPermission(assignee.role, "consultation:update-status")) {
+      return next(new ErrorResponse("User cannot handle consultations", 400));
+    }
+  }
+
+  consultation.assignedTo = consultant || null;
+  await consultation.save();
+  await consultation.populate("assignedTo", "name email");
+
+  res.status(200).json({
+    success: true,
+    data: consultation,
+  });
+});
+
 // @desc    Mark consultation as urgent
 // @route   PATCH /api/consultations/:id/urgent
 // @access  Private/Admin
@@ -1,7 +1,18 @@
 const Course = require("../models/Course");
 const User = require("../models/User");
+const SlugHistory = require("../models/SlugHistory");
 const asyncHandler = require("../middleware/async");
 const ErrorResponse = require("../utils/errorResponse");
+const { hasPermission } = require("../middleware/auth");
+const { nextSlug } = require("../utils/slug");
+const { checkSpam, getVisitorId } = require("../utils/spamFilter");
+const {
+  RATING_STATUSES,
+  getPublicFeedback,
+  addRating,
+  moderateRating,
+  getRatingQueue,
+} = require("../utils/feedback");
 
 // @desc    Search courses
 // @route   GET /api/courses/search
@@ -94,6 +105,39 @@ exports.getCourse = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get single course by slug
+// @route   GET /api/courses/slug/:slug
+// @access  Public
+exports.getCourseBySlug = asyncHandler(async (req, res, next) => {
+  const course = await Course.findOne({ slug: req.params.slug }).populate(
+    "instructor",
+    "name email avatar"
+  );
+
+  if (course) {
+    return res.status(200).json({
+      success: true,
+      data: course,
+    });
+  }
+
+  // Old slugs of renamed courses point to the current one
+  const target = await SlugHistory.findTarget("Course", req.params.slug);
+  const renamed = target && (await Course.findById(target).select("slug"));
+
+  if (!renamed) {
+    return next(
+      new ErrorResponse(`Course not found with slug of ${req.params.slug}`, 404)
+    );
+  }
+
+  res.status(301).location(`${req.baseUrl}/slug/${renamed.slug}`).json({
+    success: false,
+    message: "This course has moved",
+    slug: renamed.slug,
+  });
+});
+
 // @desc    Create new course
 // @route   POST /api/courses
 // @access  Private/Admin
@@ -118,6 +162,11 @@ exports.createCourse = asyncHandler(async (req, res, next) => {
       dis: instructorData.dis || req.user.dis,
     };
 
+    // Instructors can only create courses they teach themselves
+    if (!hasPermission(req, "course:manage")) {
+      req.body.instructor.email = req.user.email;
+    }
+
     // Handle uploaded instructor avatar
     if (req.files && req.files.avatar && req.files.avatar[0]) {
       req.body.avatar = req.files.avatar[0].filename;
@@ -216,6 +265,18 @@ exports.updateCourse = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Make sure user is course instructor or may manage any course
+  if (
+    course.instructor.email !== req.user.email &&
+    !hasPermission(req, "course:manage")
+  ) {
+    return next(
+      new ErrorResponse(
+        `User ${req.user.id} is not authorized to update this course`,
+        401
+      )
+    );
+  }
 
   // Helper to parse JSON string fields
   const parseJsonField = (field) => {
@@ -233,6 +294,15 @@ exports.updateCourse = asyncHandler(async (req, res, next) => {
   // Create a new body object to avoid modifying req.body directly
   const updatedFields = { ...req.body };
 
+  // The slug follows the title; the old one keeps redirecting
+  delete updatedFields.slug;
+  if (
+    typeof updatedFields.title === "string" &&
+    updatedFields.title.trim() !== course.title
+  ) {
+    updatedFields.slug = await nextSlug(course, updatedFields.title);
+  }
+
   // Parse arrays
   updatedFields.requirements = parseJsonField("requirements");
   updatedFields.objectives = parseJsonField("objectives");
@@ -313,8 +383,11 @@ exports.deleteCourse = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user is course instructor or admin
-  if (course.instructor.email !== req.user.email && req.user.role !== "admin") {
+  // Make sure user is course instructor or may manage any course
+  if (
+    course.instructor.email !== req.user.email &&
+    !hasPermission(req, "course:manage")
+  ) {
     return next(
       new ErrorResponse(
         `User ${req.user.id} is not authorized to delete this course`,
@@ -333,7 +406,7 @@ exports.deleteCourse = asyncHandler(async (req, res, next) => {
 
 // @desc    Add feedback to a course
 // @route   POST /api/courses/:id/feedback
-// @access  Private
+// @access  Public
 exports.addFeedback = async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
@@ -346,20 +419,45 @@ exports.addFeedback = async (req, res) => {
       return res.status(400).json({ error: "Rating and comment are required" });
     }
 
-    // Add new feedback
-    course.feedback.push({
-      rating,
-      comment,
+    // Spam is kept for moderators; a visitor's new feedback replaces theirs
+    const visitor = getVisitorId(req);
+    const verdict = await checkSpam({
+      text: comment,
+      honeypot: req.body.website,
+      findDuplicate: (since) =>
+        Course.exists({
+          $or: [
+            {
+              _id: course._id,
+              feedback: {
+                $elemMatch: { comment, createdAt: { $gte: since } },
+              },
+            },
+            {
+              feedback: {
+                $elemMatch: { comment, visitor, createdAt: { $gte: since } },
+              },
+            },
+          ],
+        }),
     });
 
-    // Calculate new average rating
-    course.calculateAverageRating();
+    const feedback = addRating(req, course, { rating, comment }, verdict);
 
     await course.save();
 
     res.status(201).json({
       success: true,
-      data: course.feedback[course.feedback.length - 1],
+      data: {
+        _id: feedback._id,
+        rating: feedback.rating,
+        comment: feedback.comment,
+        status: feedback.status,
+        createdAt: feedback.createdAt,
+      },
+      ...(feedback.status !== "approved" && {
+        message: "Feedback received and awaiting moderation",
+      }),
     });
   } catch (error) {
     res.status(500).json({ error: "Error adding feedback" });
@@ -379,15 +477,76 @@ exports.getFeedback = async (req, res) => {
       return res.status(404).json({ error: "Course not found" });
     }
 
+    // Held and spam feedback is only shown to moderators
     res.status(200).json({
       success: true,
-      data: course.feedback,
+      data: getPublicFeedback(course.feedback),
     });
   } catch (error) {
     res.status(500).json({ error: "Error fetching feedback" });
   }
 };
 
+// @desc    List course feedback held or rejected by the spam checks
+// @route   GET /api/courses/feedback
+// @access  Private (course:moderate)
+exports.getFeedbackModerationQueue = asyncHandler(async (req, res, next) => {
+  const status = req.query.status || "pending";
+
+  if (!["pending", "spam"].includes(status)) {
+    return next(new ErrorResponse("Status must be one of: pending, spam", 400));
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const { ratings, total } = await getRatingQueue(Course, status, {
+    skip: (page - 1) * limit,
+    limit,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: ratings.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: ratings,
+  });
+});
+
+// @desc    Approve held feedback, or mark feedback as spam or pending
+// @route   PATCH /api/courses/:id/feedback/:feedbackId/status
+// @access  Private (course:moderate)
+exports.moderateFeedback = asyncHandler(async (req, res, next) => {
+  const { status } = req.body;
+
+  if (!RATING_STATUSES.includes(status)) {
+    return next(
+      new ErrorResponse(
+        `Status must be one of: ${RATING_STATUSES.join(", ")}`,
+        400
+      )
+    );
+  }
+
+  const course = await Course.findById(req.params.id);
+  const feedback = course && course.feedback.id(req.params.feedbackId);
+
+  if (!feedback) {
+    return next(new ErrorResponse("Feedback not found", 404));
+  }
+
+  moderateRating(course, feedback, status);
+  await course.save();
+
+  res.status(200).json({
+    success: true,
+    data: feedback,
+    averageRating: course.averageRating,
+  });
+});
+
 // @desc    Delete feedback from a course
 // @route   DELETE /api/courses/:id/feedback/:feedbackId
 // @access  Private/Admin
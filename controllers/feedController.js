@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+const Blog = require("../models/Blog");
+const asyncHandler = require("../middleware/async");
+const ErrorResponse = require("../utils/errorResponse");
+const { buildRss, buildAtom, buildJsonFeed } = require("../utils/feed");
+const { LANGUAGES } = require("../utils/language");
+
+const FEED_FORMATS = {
+  rss: { type: "application/rss+xml; charset=utf-8", build: buildRss },
+  atom: { type: "application/atom+xml; charset=utf-8", build: buildAtom },
+  json: { type: "application/feed+json; charset=utf-8", build: buildJsonFeed },
+};
+
+const getApiUrl = () =>
+  (
+    process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`
+  ).replace(/\/$/, "");
+
+const getSiteUrl = () => (process.env.CLIENT_URL || "").replace(/\/$/, "");
+
+// Cover images are stored as paths served by the API
+const toAbsoluteUrl = (url) =>
+  !url || /^https?:\/\//.test(url) ? url : `${getApiUrl()}${url}`;
+
+// @desc    Get the blog feed as RSS, Atom or JSON Feed, optionally for one
+//          category or tag
+// @route   GET /api/blog/feed.:format
+// @route   GET /api/blog/category/:category/feed.:format
+// @route   GET /api/blog/tag/:tag/feed.:format
+// @access  Public
+exports.getBlogFeed = asyncHandler(async (req, res, next) => {
+  const format = FEED_FORMATS[req.params.format];
+
+  if (!format) {
+    return next(
+      new ErrorResponse("Feed format must be one of: rss, atom, json", 404)
+    );
+  }
+
+  const query = { status: "published" };
+  let title = process.env.FEED_TITLE || "Construction Company Blog";
+
+  if (req.params.category) {
+    query.category = req.params.category;
+    title += ` - ${req.params.category}`;
+  }
+
+  if (req.params.tag) {
+    query.tags = req.params.tag.toLowerCase();
+    title += ` - #${query.tags}`;
+  }
+
+  // ?lang= limits the feed to posts written in (or translated to) a language
+  const lang = LANGUAGES.includes(req.query.lang) ? req.query.lang : null;
+  if (lang) {
+    query.lang = lang;
+  }
+
+  const blogs = await Blog.find(query)
+    .populate("author", "name")
+    .sort("-publishedAt")
+    .limit(parseInt(process.env.FEED_ITEM_LIMIT) || 20);
+
+  // The feed changes whenever a post in it is published, edited or removed
+  const updated =
+    blogs.length > 0
+      ? new Date(
+          Math.max(...blogs.map((blog) => blog.updatedAt || blog.publishedAt))
+        )
+      : new Date();
+  const etag = crypto
+    .createHash("sha1")
+    .update(req.originalUrl)
+    .update(blogs.map((blog) => `${blog._id}:${+blog.updatedAt}`).join())
+    .digest("base64url");
+
+  res.set({
+    ETag: `W/"${etag}"`,
+    "Last-Modified": updated.toUTCString(),
+    "Cache-Control": "public, max-age=300",
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const feedUrl = `${getApiUrl()}${req.originalUrl}`;
+
+  const feed = {
+    title,
+    description:
+      process.env.FEED_DESCRIPTION ||
+      "News and articles on construction, architecture and design",
+    language: lang || process.env.FEED_LANGUAGE || "en",
+    siteUrl: `${getSiteUrl()}/blog`,
+    feedUrl,
+    updated,
+  };
+
+  const items = blogs.map((blog) => ({
+    id: blog._id.toString(),
+    title: blog.title,
+    url: `${getSiteUrl()}/blog/${blog.slug}`,
+    summary: blog.excerpt,
+    content: blog.contentHtml,
+    image: toAbsoluteUrl(blog.coverImage),
+    author: blog.author && blog.author.name,
+    tags: [blog.category, ...blog.tags],
+    published: blog.publishedAt || blog.createdAt,
+    updated: blog.updatedAt || blog.publishedAt,
+  }));
+
+  res.type(format.type).send(format.build(feed, items));
+});
@@ -0,0 +1,115 @@
+const request = require("supertest");
+const app = require("../app");
+const memoryDb = require("../test/memoryDb");
+const { createBlog } = require("../test/helpers");
+
+beforeAll(memoryDb.connect);
+beforeEach(memoryDb.clear);
+
+describe("blog feeds", () => {
+  it("serves RSS, Atom and JSON Feed with their content types", async () => {
+    await createBlog({ title: "Building With Timber" });
+
+    const rss = await request(app).get("/api/blog/feed.rss");
+    const atom = await request(app).get("/api/blog/feed.atom");
+    const json = await request(app).get("/api/blog/feed.json");
+
+    expect(rss.headers["content-type"]).toBe(
+      "application/rss+xml; charset=utf-8"
+    );
+    expect(rss.text).toContain(
+      "<link>http://localhost:3000/blog/building-with-timber</link>"
+    );
+    expect(atom.headers["content-type"]).toBe(
+      "application/atom+xml; charset=utf-8"
+    );
+    expect(atom.text).toContain(
+      '<link rel="self" href="http://localhost:5000/api/blog/feed.atom"/>'
+    );
+    expect(json.headers["content-type"]).toBe(
+      "application/feed+json; charset=utf-8"
+    );
+    expect(JSON.parse(json.text).items[0].title).toBe("Building With Timber");
+  });
+
+  it("lists only published posts, by category or tag", async () => {
+    await createBlog({ title: "Published", tags: ["Timber"] });
+    await createBlog({ title: "Draft", status: "draft", tags: ["timber"] });
+    await createBlog({ title: "Elsewhere", category: "architecture" });
+
+    const titles = async (url) =>
+      JSON.parse((await request(app).get(url)).text).items.map(
+        (item) => item.title
+      );
+
+    expect((await titles("/api/blog/feed.json")).sort()).toEqual([
+      "Elsewhere",
+      "Published",
+    ]);
+    expect(await titles("/api/blog/tag/Timber/feed.json")).toEqual([
+      "Published",
+    ]);
+    expect(await titles("/api/blog/category/architecture/feed.json")).toEqual([
+      "Elsewhere",
+    ]);
+  });
+
+  it("refuses unknown formats", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const res = await request(app).get("/api/blog/feed.xml");
+
+    expect(res.status).toBe(404);
+    console.error.mockRestore();
+  });
+});
+
+describe("feed caching", () => {
+  it("answers 304 to a matching ETag until a post changes", async () => {
+    const blog = await createBlog();
+    const first = await request(app).get("/api/blog/feed.rss");
+    const { etag } = first.headers;
+
+    expect(etag).toMatch(/^W\/".+"$/);
+    expect(first.headers["cache-control"]).toBe("public, max-age=300");
+
+    const unchanged = await request(app)
+      .get("/api/blog/feed.rss")
+      .set("If-None-Match", etag);
+
+    expect(unchanged.status).toBe(304);
+    expect(unchanged.text).toBe("");
+
+    blog.title = "Building With Timber, Revised";
+    await blog.save();
+    const changed = await request(app)
+      .get("/api/blog/feed.rss")
+      .set("If-None-Match", etag);
+
+    expect(changed.status).toBe(200);
+    expect(changed.headers.etag).not.toBe(etag);
+  });
+
+  it("gives every feed its own ETag", async () => {
+    await createBlog({ tags: ["timber"] });
+
+    const all = await request(app).get("/api/blog/feed.rss");
+    const tag = await request(app).get("/api/blog/tag/timber/feed.rss");
+    const json = await request(app).get("/api/blog/feed.json");
+
+    expect(new Set([all, tag, json].map((res) => res.headers.etag)).size).toBe(
+      3
+    );
+  });
+
+  it("answers 304 when nothing changed since Last-Modified", async () => {
+    await createBlog();
+    const first = await request(app).get("/api/blog/feed.atom");
+
+    const res = await request(app)
+      .get("/api/blog/feed.atom")
+      .set("If-Modified-Since", first.headers["last-modified"]);
+
+    expect(res.status).toBe(304);
+  });
+});
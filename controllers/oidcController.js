@@ -0,0 +1,340 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const OidcState = require("../models/OidcState");
+const LoginAttempt = require("../models/LoginAttempt");
+const { getProviders, getProvider } = require("../config/oidc");
+const { buildAuthorizationUrl, getVerifiedClaims } = require("../utils/oidc");
+const { generateTwoFactorChallengeToken } = require("../utils/generateToken");
+const { createSession } = require("../utils/sessionTokens");
+const {
+  sendAuthTokens,
+  setOidcStateCookie,
+  clearOidcStateCookie,
+  hasOidcStateCookie,
+} = require("../utils/authCookies");
+const { sendAttemptRestriction } = require("../utils/attemptRestriction");
+const { isMissingRequiredTwoFactor } = require("../middleware/auth");
+
+// Send the browser back to the frontend with the outcome of a callback
+const redirectToClient = (res, params) =>
+  res.redirect(
+    `${process.env.CLIENT_URL}/oauth/callback?${new URLSearchParams(params)}`
+  );
+
+const sendUnknownProvider = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Unknown login provider",
+  });
+
+const findByIdentity = (provider, subject) =>
+  User.findOne({
+    oidcIdentities: { $elemMatch: { provider, subject } },
+  });
+
+// Anyone can sign up with an address before its owner does. Once the
+// provider proves who owns it, shut out whoever set up the account: their
+// password, second factor, linked identities and sessions all go. The owner
+// can set a password with a password reset.
+const claimUnverifiedAccount = async (user) => {
+  user.password = crypto.randomBytes(32).toString("hex");
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  user.oidcIdentities = [];
+  user.clearPendingEmail();
+  user.isEmailVerified = true;
+
+  await Session.revokeAll(user._id, { reason: "email-claimed" });
+};
+
+// Find the user a provider account belongs to: by the linked identity, or
+// else by verified email (linking it), or else create a new account
+const findOrCreateUser = async (provider, claims) => {
+  const existing = await findByIdentity(provider.id, claims.sub);
+  if (existing) return existing;
+
+  const email = claims.email && claims.email.toLowerCase();
+  const emailVerified =
+    claims.email_verified === true ||
+    claims.email_verified === "true" ||
+    provider.trustEmail;
+
+  if (!email || !emailVerified) return null;
+
+  const identity = { provider: provider.id, subject: claims.sub, email };
+
+  const user = await User.findOne({ email });
+  if (user) {
+    if (user.isEmailVerified === false) {
+      await claimUnverifiedAccount(user);
+    }
+    user.oidcIdentities.push(identity);
+    await user.save();
+    return user;
+  }
+
+  // Nobody knows this password; the user can set one with a password reset
+  return await User.create({
+    name: (claims.name || email.split("@")[0]).substring(0, 50),
+    email,
+    password: crypto.randomBytes(32).toString("hex"),
+    avatar: "public/images/default.png",
+    isEmailVerified: true,
+    oidcIdentities: [identity],
+  });
+};
+
+// @desc    Get the configured login providers
+// @route   GET /api/auth/oidc/providers
+// @access  Public
+exports.getOidcProviders = async (req, res, next) => {
+  try {
+    const providers = Object.values(getProviders()).map(({ id, name }) => ({
+      id,
+      name,
+    }));
+
+    res.json({
+      success: true,
+      data: providers,
+    });
+  } catch (error) {
+    console.error("Get OIDC providers error:", error);
+    next(error);
+  }
+};
+
+// @desc    Start a social login
+// @route   GET /api/auth/oidc/:provider
+// @access  Public
+exports.startOidcLogin = async (req, res, next) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return sendUnknownProvider(res);
+    }
+
+    const loginState = await OidcState.start({ provider: provider.id });
+    setOidcStateCookie(res, loginState.state);
+
+    res.redirect(await buildAuthorizationUrl(provider, loginState));
+  } catch (error) {
+    console.error("Start OIDC login error:", error);
+    next(error);
+  }
+};
+
+// @desc    Start linking a provider account to the current user
+// @route   POST /api/auth/oidc/:provider/link
+// @access  Private
+exports.startOidcLink = async (req, res, next) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return sendUnknownProvider(res);
+    }
+
+    const linkState = await OidcState.start({
+      provider: provider.id,
+      mode: "link",
+      user: req.user._id,
+    });
+    setOidcStateCookie(res, linkState.state);
+
+    // The browser has to navigate there itself
+    res.json({
+      success: true,
+      authorizationUrl: await buildAuthorizationUrl(provider, linkState),
+    });
+  } catch (error) {
+    console.error("Start OIDC link error:", error);
+    next(error);
+  }
+};
+
+// @desc    Handle the provider's redirect back
+// @route   GET /api/auth/oidc/:provider/callback
+// @access  Public
+exports.oidcCallback = async (req, res, next) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return sendUnknownProvider(res);
+    }
+
+    const { code, state, error } = req.query;
+
+    // Only the browser that started the flow can finish it
+    const fromThisBrowser = hasOidcStateCookie(req, state);
+    clearOidcStateCookie(res);
+    if (!fromThisBrowser) {
+      return redirectToClient(res, { error: "invalid_state" });
+    }
+
+    const pending = await OidcState.consume(provider.id, state);
+    if (!pending) {
+      return redirectToClient(res, { error: "invalid_state" });
+    }
+
+    const mode = pending.mode;
+
+    // The user cancelled or the provider refused
+    if (error || !code) {
+      return redirectToClient(res, { error: "access_denied", mode });
+    }
+
+    const claims = await getVerifiedClaims(provider, {
+      code,
+      codeVerifier: pending.codeVerifier,
+      nonce: pending.nonce,
+    });
+
+    if (mode === "link") {
+      const owner = await findByIdentity(provider.id, claims.sub);
+      if (owner && !owner._id.equals(pending.user)) {
+        return redirectToClient(res, { error: "identity_in_use", mode });
+      }
+
+      if (!owner) {
+        const user = await User.findById(pending.user);
+        if (!user) {
+          return redirectToClient(res, { error: "invalid_state", mode });
+        }
+
+        user.oidcIdentities.push({
+          provider: provider.id,
+          subject: claims.sub,
+          email: claims.email,
+        });
+        await user.save();
+      }
+
+      return redirectToClient(res, { linked: provider.id, mode });
+    }
+
+    const user = await findOrCreateUser(provider, claims);
+    if (!user) {
+      return redirectToClient(res, { error: "email_not_verified", mode });
+    }
+
+    // Tokens are not put in the URL; the frontend exchanges this code
+    const loginCode = await OidcState.issueLoginCode(user._id, provider.id);
+
+    redirectToClient(res, { code: loginCode, mode });
+  } catch (error) {
+    console.error("OIDC callback error:", error);
+    redirectToClient(res, { error: "login_failed" });
+  }
+};
+
+// @desc    Exchange a social login code for the usual tokens
+// @route   POST /api/auth/oidc/exchange
+// @access  Public
+exports.exchangeOidcCode = async (req, res, next) => {
+  try {
+    const loginCode = await OidcState.redeemLoginCode(req.body.code);
+
+    if (!loginCode) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired login code",
+      });
+    }
+
+    const user = await User.findById(loginCode.user).select(
+      "+isBlocked +blockExpiresAt +blockReason"
+    );
+
+    if (!user || user.deletedAt) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired login code",
+      });
+    }
+
+    // Lockouts apply whatever way the user signs in
+    const lockout = await LoginAttempt.check({
+      scope: "login",
+      email: user.email,
+    });
+    if (lockout && lockout.locked) {
+      return sendAttemptRestriction(res, lockout);
+    }
+
+    await user.liftExpiredBlock();
+
+    if (user.isCurrentlyBlocked()) {
+      return res.status(403).json({
+        success: false,
+        code: "ACCOUNT_BLOCKED",
+        message: "Account is blocked",
+        blockInfo: user.getBlockInfo(),
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallengeToken(user._id),
+      });
+    }
+
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      success: true,
+      ...sendAuthTokens(req, res, { token, refreshToken }),
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified !== false,
+      },
+      ...(isMissingRequiredTwoFactor(user) && { twoFactorSetupRequired: true }),
+    });
+  } catch (error) {
+    console.error("OIDC exchange error:", error);
+    next(error);
+  }
+};
+
+// @desc    Unlink a provider account from the current user
+// @route   DELETE /api/auth/oidc/:provider/link
+// @access  Private
+exports.unlinkOidcProvider = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    const linked = user.oidcIdentities.filter(
+      (identity) => identity.provider === req.params.provider
+    );
+
+    if (linked.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "This provider is not linked to your account",
+      });
+    }
+
+    user.oidcIdentities = user.oidcIdentities.filter(
+      (identity) => identity.provider !== req.params.provider
+    );
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Provider unlinked",
+      data: user.oidcIdentities.map((identity) => identity.provider),
+    });
+  } catch (error) {
+    console.error("Unlink OIDC provider error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,373 @@
+const crypto = require("crypto");
+const request = require("supertest");
+const app = require("../app");
+const memoryDb = require("../test/memoryDb");
+const { startMockOidcProvider } = require("../test/mockOidcProvider");
+const User = require("../models/User");
+const OidcState = require("../models/OidcState");
+const LoginAttempt = require("../models/LoginAttempt");
+const { generateSecret } = require("../utils/totp");
+const {
+  createUser,
+  login,
+  createSignedInUser,
+  getCookies,
+} = require("../test/helpers");
+
+const CLIENT = { clientId: "test-client", clientSecret: "test-secret" };
+
+let provider;
+
+beforeAll(async () => {
+  await memoryDb.connect();
+  provider = await startMockOidcProvider(CLIENT);
+
+  process.env.OIDC_PROVIDERS = "mock";
+  process.env.OIDC_MOCK_ISSUER = provider.issuer;
+  process.env.OIDC_MOCK_CLIENT_ID = CLIENT.clientId;
+  process.env.OIDC_MOCK_CLIENT_SECRET = CLIENT.clientSecret;
+});
+
+afterAll(() => provider.close());
+
+beforeEach(() => {
+  memoryDb.clear();
+  provider.setAccount(null);
+});
+
+// Let the provider sign the browser in; returns the callback URL it sends
+// the browser back to
+const authorize = async (authorizationUrl) => {
+  const url = new URL(authorizationUrl);
+  const res = await request(url.origin).get(url.pathname + url.search);
+  return new URL(res.headers.location);
+};
+
+// Follow the callback with the given state cookie; returns the parameters
+// the frontend receives
+const callback = async (callbackUrl, stateCookie) => {
+  const req = request(app).get(callbackUrl.pathname + callbackUrl.search);
+  if (stateCookie) req.set("Cookie", `oidcState=${stateCookie}`);
+
+  const res = await req;
+  expect(res.status).toBe(302);
+  const location = new URL(res.headers.location);
+  expect(location.origin + location.pathname).toBe(
+    `${process.env.CLIENT_URL}/oauth/callback`
+  );
+  return Object.fromEntries(location.searchParams);
+};
+
+// Go through a whole social login as the given provider account
+const signInWithProvider = async (claims) => {
+  provider.setAccount(claims);
+  const start = await request(app).get("/api/auth/oidc/mock");
+  return callback(
+    await authorize(start.headers.location),
+    getCookies(start).oidcState
+  );
+};
+
+// Start linking the provider to a signed-in user's account and go through
+// the provider as the given account
+const linkProvider = async (token, claims) => {
+  provider.setAccount(claims);
+  const start = await request(app)
+    .post("/api/auth/oidc/mock/link")
+    .set("Authorization", `Bearer ${token}`);
+  expect(start.status).toBe(200);
+  return callback(
+    await authorize(start.body.authorizationUrl),
+    getCookies(start).oidcState
+  );
+};
+
+const exchange = (code) =>
+  request(app).post("/api/auth/oidc/exchange").send({ code });
+
+const account = (sub, email, fields = {}) => ({
+  sub,
+  email,
+  email_verified: true,
+  name: "Provider User",
+  ...fields,
+});
+
+describe("social login", () => {
+  it("starts the authorization code flow with PKCE, state and nonce", async () => {
+    const res = await request(app).get("/api/auth/oidc/mock");
+
+    expect(res.status).toBe(302);
+    const url = new URL(res.headers.location);
+    expect(url.origin).toBe(provider.issuer);
+    const params = Object.fromEntries(url.searchParams);
+    expect(params).toMatchObject({
+      response_type: "code",
+      client_id: CLIENT.clientId,
+      redirect_uri: `${process.env.API_URL}/api/auth/oidc/mock/callback`,
+      code_challenge_method: "S256",
+    });
+    expect(params.nonce).toBeDefined();
+
+    const pending = await OidcState.findOne({ state: params.state });
+    expect(pending.nonce).toBe(params.nonce);
+    expect(
+      crypto
+        .createHash("sha256")
+        .update(pending.codeVerifier)
+        .digest("base64url")
+    ).toBe(params.code_challenge);
+
+    expect(getCookies(res).oidcState).toBe(params.state);
+    expect(res.headers["set-cookie"].join()).toMatch(
+      /oidcState=[^;]+;.*Path=\/api\/auth\/oidc;.*HttpOnly/
+    );
+  });
+
+  it("creates a verified account and signs it in with the login code", async () => {
+    const result = await signInWithProvider(
+      account("sub-1", "New.Person@example.com")
+    );
+
+    expect(result.mode).toBe("login");
+    expect(result.code).toBeDefined();
+
+    const res = await exchange(result.code);
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+    expect(res.body.user.email).toBe("new.person@example.com");
+    const user = await User.findOne({ email: "new.person@example.com" });
+    expect(user.isEmailVerified).toBe(true);
+    expect(user.oidcIdentities[0]).toMatchObject({
+      provider: "mock",
+      subject: "sub-1",
+    });
+  });
+
+  it("signs a linked identity in again without a new account", async () => {
+    await signInWithProvider(account("sub-1", "person@example.com"));
+
+    const result = await signInWithProvider(
+      account("sub-1", "changed@example.com")
+    );
+
+    expect((await exchange(result.code)).body.user.email).toBe(
+      "person@example.com"
+    );
+    expect(await User.countDocuments()).toBe(1);
+  });
+
+  it("refuses an ID token issued for another nonce", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const result = await signInWithProvider(
+      account("sub-1", "person@example.com", { nonce: "someone-elses" })
+    );
+
+    expect(result.error).toBe("login_failed");
+    expect(await User.countDocuments()).toBe(0);
+    console.error.mockRestore();
+  });
+
+  it("refuses provider accounts without a verified email", async () => {
+    const result = await signInWithProvider(
+      account("sub-1", "person@example.com", { email_verified: false })
+    );
+
+    expect(result.error).toBe("email_not_verified");
+    expect(await User.countDocuments()).toBe(0);
+  });
+
+  it("reports a cancelled login", async () => {
+    const result = await signInWithProvider(null);
+
+    expect(result).toMatchObject({ error: "access_denied", mode: "login" });
+  });
+});
+
+describe("state cookie", () => {
+  it("refuses a callback in a browser without the cookie", async () => {
+    provider.setAccount(account("sub-1", "person@example.com"));
+    const start = await request(app).get("/api/auth/oidc/mock");
+    const callbackUrl = await authorize(start.headers.location);
+
+    const result = await callback(callbackUrl);
+
+    expect(result.error).toBe("invalid_state");
+    expect(await User.countDocuments()).toBe(0);
+    // The browser that started it can still finish
+    const finished = await callback(callbackUrl, getCookies(start).oidcState);
+    expect(finished.code).toBeDefined();
+  });
+
+  it("refuses the cookie of another login in progress", async () => {
+    provider.setAccount(account("sub-1", "person@example.com"));
+    const victim = await request(app).get("/api/auth/oidc/mock");
+    const attacker = await request(app).get("/api/auth/oidc/mock");
+
+    const result = await callback(
+      await authorize(attacker.headers.location),
+      getCookies(victim).oidcState
+    );
+
+    expect(result.error).toBe("invalid_state");
+  });
+
+  it("accepts a state only once", async () => {
+    provider.setAccount(account("sub-1", "person@example.com"));
+    const start = await request(app).get("/api/auth/oidc/mock");
+    const callbackUrl = await authorize(start.headers.location);
+    const { oidcState } = getCookies(start);
+
+    await callback(callbackUrl, oidcState);
+    const replay = await callback(callbackUrl, oidcState);
+
+    expect(replay.error).toBe("invalid_state");
+  });
+});
+
+describe("claiming an unverified account", () => {
+  it("shuts out whoever signed up with the address", async () => {
+    const squatter = await createSignedInUser({
+      email: "owner@example.com",
+      isEmailVerified: false,
+    });
+    await User.updateOne(
+      { _id: squatter.user._id },
+      {
+        twoFactorEnabled: true,
+        twoFactorSecret: generateSecret(),
+        oidcIdentities: [{ provider: "other", subject: "squatter" }],
+      }
+    );
+
+    const result = await signInWithProvider(
+      account("owner-sub", "owner@example.com")
+    );
+    const res = await exchange(result.code);
+
+    // The owner signs in without the squatter's second factor
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+
+    const user = await User.findById(squatter.user._id);
+    expect(user.isEmailVerified).toBe(true);
+    expect(user.twoFactorEnabled).toBe(false);
+    expect(user.oidcIdentities.map((identity) => identity.subject)).toEqual([
+      "owner-sub",
+    ]);
+    // The squatter's password, sessions and tokens no longer work
+    expect((await login(squatter.user)).status).toBe(401);
+    const me = await request(app)
+      .get("/api/auth/me")
+      .set("Authorization", `Bearer ${squatter.token}`);
+    expect(me.status).toBe(401);
+  });
+
+  it("links a verified account without touching it", async () => {
+    const owner = await createSignedInUser({ email: "owner@example.com" });
+
+    const result = await signInWithProvider(
+      account("owner-sub", "owner@example.com")
+    );
+
+    expect((await exchange(result.code)).status).toBe(200);
+    expect((await login(owner.user)).status).toBe(200);
+    const me = await request(app)
+      .get("/api/auth/me")
+      .set("Authorization", `Bearer ${owner.token}`);
+    expect(me.status).toBe(200);
+    expect(me.body.user.linkedProviders[0].provider).toBe("mock");
+  });
+});
+
+describe("linking a provider", () => {
+  it("links the provider account to the signed-in user", async () => {
+    const { user, token } = await createSignedInUser();
+
+    const result = await linkProvider(
+      token,
+      account("sub-1", "elsewhere@example.com")
+    );
+
+    expect(result).toEqual({ linked: "mock", mode: "link" });
+    const linked = await User.findById(user._id);
+    expect(linked.oidcIdentities[0]).toMatchObject({
+      provider: "mock",
+      subject: "sub-1",
+    });
+  });
+
+  it("refuses an identity already linked to someone else", async () => {
+    const other = await createUser({
+      oidcIdentities: [{ provider: "mock", subject: "sub-1" }],
+    });
+    const { user, token } = await createSignedInUser();
+
+    const result = await linkProvider(
+      token,
+      account("sub-1", "elsewhere@example.com")
+    );
+
+    expect(result).toEqual({ error: "identity_in_use", mode: "link" });
+    expect((await User.findById(user._id)).oidcIdentities).toHaveLength(0);
+    expect((await User.findById(other._id)).oidcIdentities).toHaveLength(1);
+  });
+});
+
+describe("login code exchange", () => {
+  const signInLinkedUser = async (fields = {}) => {
+    const user = await createUser({
+      oidcIdentities: [{ provider: "mock", subject: "sub-1" }],
+      ...fields,
+    });
+    const result = await signInWithProvider(account("sub-1", user.email));
+    return { user, code: result.code };
+  };
+
+  it("accepts a code only once", async () => {
+    const { code } = await signInLinkedUser();
+
+    expect((await exchange(code)).status).toBe(200);
+    expect((await exchange(code)).status).toBe(400);
+    expect((await exchange("made-up")).status).toBe(400);
+  });
+
+  it("asks for the second factor when it is enabled", async () => {
+    const { code } = await signInLinkedUser({
+      twoFactorEnabled: true,
+      twoFactorSecret: generateSecret(),
+    });
+
+    const res = await exchange(code);
+
+    expect(res.status).toBe(200);
+    expect(res.body.twoFactorRequired).toBe(true);
+    expect(res.body.challengeToken).toBeDefined();
+    expect(res.body.token).toBeUndefined();
+  });
+
+  it("refuses accounts locked out after failed logins", async () => {
+    const { user, code } = await signInLinkedUser();
+    for (let i = 0; i < 5; i += 1) {
+      await LoginAttempt.recordFailure({ scope: "login", email: user.email });
+    }
+
+    const res = await exchange(code);
+
+    expect(res.status).toBe(423);
+    expect(res.body.code).toBe("ACCOUNT_LOCKED");
+    expect(res.body.token).toBeUndefined();
+  });
+
+  it("refuses blocked accounts", async () => {
+    const { user, code } = await signInLinkedUser();
+    await User.updateOne({ _id: user._id }, { isBlocked: true });
+
+    const res = await exchange(code);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe("ACCOUNT_BLOCKED");
+  });
+});
@@ -1,6 +1,7 @@
 const Testimonial = require("../models/Testimonial");
 const asyncHandler = require("../middleware/async");
 const ErrorResponse = require("../utils/errorResponse");
+const { hasPermission } = require("../middleware/auth");
 
 // @desc    Get all testimonials
 // @route   GET /api/testimonials
@@ -59,10 +60,10 @@ exports.updateTestimonial = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Testimonial not found", 404));
   }
 
-  // Make sure user is testimonial owner
+  // Make sure user is testimonial owner or a moderator
   if (
     testimonial.user.toString() !== req.user.id &&
-    req.user.role !== "admin"
+    !hasPermission(req, "testimonial:moderate")
   ) {
     return next(
       new ErrorResponse("Not authorized to update this testimonial", 401)
@@ -90,10 +91,10 @@ exports.deleteTestimonial = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Testimonial not found", 404));
   }
 
-  // Make sure user is testimonial owner or admin
+  // Make sure user is testimonial owner or a moderator
   if (
     testimonial.user.toString() !== req.user.id &&
-    req.user.role !== "admin"
+    !hasPermission(req, "testimonial:moderate")
   ) {
     return next(
       new ErrorResponse("Not authorized to delete this testimonial", 401)
@@ -1,6 +1,14 @@
 const User = require("../models/User");
+const Session = require("../models/Session");
+const LoginAttempt = require("../models/LoginAttempt");
+const Invitation = require("../models/Invitation");
+const AuditLog = require("../models/AuditLog");
+const jwt = require("jsonwebtoken");
 const asyncHandler = require("../middleware/async");
 const ErrorResponse = require("../utils/errorResponse");
+const { sendEmail, emailTemplates } = require("../utils/sendEmail");
+const { generateImpersonationToken } = require("../utils/generateToken");
+const { PERMISSIONS, ROLES, getRolePermissions } = require("../config/roles");
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -164,3 +172,441 @@ exports.updateUserLevel = asyncHandler(async (req, res, next) => {
     },
   });
 });
+
+// @desc    Get accounts waiting to be deleted
+// @route   GET /api/users/deletions
+// @access  Private/Admin
+exports.getPendingDeletions = asyncHandler(async (req, res, next) => {
+  const users = await User.find({
+    deletionScheduledFor: { $ne: null },
+    deletedAt: null,
+  })
+    .select("name email role deletionRequestedAt deletionScheduledFor")
+    .sort("deletionScheduledFor");
+
+  res.status(200).json({
+    success: true,
+    count: users.length,
+    data: users,
+  });
+});
+
+// @desc    Get roles and the permissions they grant
+// @route   GET /api/users/roles
+// @access  Private/Admin
+exports.getRoles = asyncHandler(async (req, res, next) => {
+  const roles = ROLES.map((role) => ({
+    role,
+    permissions: getRolePermissions(role),
+  }));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      roles,
+      permissions: PERMISSIONS,
+    },
+  });
+});
+
+// @desc    Change a user's role
+// @route   PUT /api/users/:id/role
+// @access  Private/Admin
+exports.updateUserRole = asyncHandler(async (req, res, next) => {
+  const { role } = req.body;
+
+  if (!role || !ROLES.includes(role)) {
+    return next(
+      new ErrorResponse(`Role must be one of: ${ROLES.join(", ")}`, 400)
+    );
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse("User not found", 404));
+  }
+
+  if (user.role === role) {
+    return next(new ErrorResponse(`User already has the role ${role}`, 400));
+  }
+
+  // Prevent demoting the last admin user
+  if (user.role === "admin") {
+    const adminCount = await User.countDocuments({ role: "admin" });
+    if (adminCount <= 1) {
+      return next(
+        new ErrorResponse("Cannot change the role of the last admin", 400)
+      );
+    }
+  }
+
+  const previousRole = user.role;
+  user.role = role;
+  await user.save();
+
+  await AuditLog.record(req, "user.role-change", {
+    targetType: "User",
+    target: user._id,
+    details: { from: previousRole, to: role },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: getRolePermissions(user.role),
+    },
+  });
+});
+
+// @desc    Invite someone to create an account with a preset role
+// @route   POST /api/users/invitations
+// @access  Private/Admin
+exports.createInvitation = asyncHandler(async (req, res, next) => {
+  const { email, name, role = "user" } = req.body;
+
+  if (!email) {
+    return next(new ErrorResponse("Please provide an email", 400));
+  }
+
+  if (!ROLES.includes(role)) {
+    return next(
+      new ErrorResponse(`Role must be one of: ${ROLES.join(", ")}`, 400)
+    );
+  }
+
+  const existingUser = await User.findOne({ email: email.toLowerCase() });
+  if (existingUser) {
+    return next(
+      new ErrorResponse("A user with this email already exists", 400)
+    );
+  }
+
+  // A new invitation replaces any pending one for the same address
+  await Invitation.updateMany(
+    { email: email.toLowerCase(), acceptedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy: req.user._id } }
+  );
+
+  const { invitation, token } = await Invitation.generate({
+    email,
+    name,
+    role,
+    invitedBy: req.user._id,
+  });
+
+  await AuditLog.record(req, "invitation.create", {
+    targetType: "Invitation",
+    target: invitation._id,
+    details: { email: invitation.email, role },
+  });
+
+  const acceptLink = `${process.env.CLIENT_URL}/accept-invitation/${token}`;
+  const expiresInHours = Math.round(
+    (invitation.expiresAt - invitation.createdAt) / (60 * 60 * 1000)
+  );
+
+  try {
+    await sendEmail({
+      to: invitation.email,
+      ...emailTemplates.invitation(
+        req.user.name,
+        role,
+        acceptLink,
+        expiresInHours
+      ),
+    });
+  } catch (emailError) {
+    console.error("Failed to send invitation email:", emailError);
+
+    // Without the email the invitation is useless
+    invitation.revokedAt = new Date();
+    await invitation.save();
+    return next(new ErrorResponse("Invitation email could not be sent", 500));
+  }
+
+  res.status(201).json({
+    success: true,
+    data: invitation,
+  });
+});
+
+// @desc    Get invitations
+// @route   GET /api/users/invitations
+// @access  Private/Admin
+exports.getInvitations = asyncHandler(async (req, res, next) => {
+  let invitations;
+
+  // Pending invitations by default, ?status=all for every invitation
+  const status = req.query.status || "pending";
+
+  if (status === "pending") {
+    invitations = await Invitation.getPending();
+  } else {
+    invitations = await Invitation.find().sort("-createdAt");
+    if (status !== "all") {
+      invitations = invitations.filter((i) => i.status === status);
+    }
+  }
+
+  await Invitation.populate(invitations, {
+    path: "invitedBy",
+    select: "name email",
+  });
+
+  res.status(200).json({
+    success: true,
+    count: invitations.length,
+    data: invitations,
+  });
+});
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/users/invitations/:invitationId
+// @access  Private/Admin
+exports.revokeInvitation = asyncHandler(async (req, res, next) => {
+  const invitation = await Invitation.findById(req.params.invitationId);
+
+  if (!invitation) {
+    return next(new ErrorResponse("Invitation not found", 404));
+  }
+
+  if (invitation.status !== "pending") {
+    return next(
+      new ErrorResponse(`Invitation is already ${invitation.status}`, 400)
+    );
+  }
+
+  invitation.revokedAt = new Date();
+  invitation.revokedBy = req.user._id;
+  await invitation.save();
+
+  await AuditLog.record(req, "invitation.revoke", {
+    targetType: "Invitation",
+    target: invitation._id,
+    details: { email: invitation.email, role: invitation.role },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: invitation,
+  });
+});
+
+// @desc    Get active sessions of a user
+// @route   GET /api/users/:id/sessions
+// @access  Private/Admin
+exports.getUserSessions = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse("User not found", 404));
+  }
+
+  const sessions = await Session.getActiveSessions(user._id);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map((session) => session.toPublic()),
+  });
+});
+
+// @desc    Revoke a session of a user
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @access  Private/Admin
+exports.revokeUserSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.sessionId,
+    user: req.params.id,
+  });
+
+  if (!session || !session.isActive()) {
+    return next(new ErrorResponse("Session not found", 404));
+  }
+
+  await session.revoke("revoked-by-admin");
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+// @desc    Revoke all sessions of a user
+// @route   DELETE /api/users/:id/sessions
+// @access  Private/Admin
+exports.revokeUserSessions = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse("User not found", 404));
+  }
+
+  const revoked = await Session.revokeAll(user._id, {
+    reason: "revoked-by-admin",
+  });
+
+  // Also invalidate access tokens that are still in flight
+  user.tokenVersion += 1;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    data: { revoked },
+  });
+});
+
+// @desc    Sign in as a user to see what they see (support)
+// @route   POST /api/users/:id/impersonate
+// @access  Private/Admin
+exports.impersonateUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user || user.deletedAt) {
+    return next(new ErrorResponse("User not found", 404));
+  }
+
+  if (user._id.equals(req.user._id)) {
+    return next(new ErrorResponse("You cannot impersonate yourself", 400));
+  }
+
+  // Impersonation must never gain permissions the admin could not otherwise
+  // use, nor reach other admins' accounts
+  if (getRolePermissions(user.role).includes("user:impersonate")) {
+    return next(
+      new ErrorResponse("Users who can impersonate cannot be impersonated", 403)
+    );
+  }
+
+  if (user.isCurrentlyBlocked()) {
+    return next(new ErrorResponse("Blocked users cannot be impersonated", 400));
+  }
+
+  const session = new Session({
+    user: user._id,
+    impersonatedBy: req.user._id,
+    deviceLabel: `Support (${req.user.name})`,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+  const token = generateImpersonationToken(
+    user._id,
+    session._id,
+    user.tokenVersion,
+    req.user._id
+  );
+
+  session.expiresAt = new Date(jwt.decode(token).exp * 1000);
+  await session.save();
+
+  await AuditLog.record(req, "user.impersonate-start", {
+    targetType: "User",
+    target: user._id,
+    details: {
+      session: session._id,
+      reason:
+        typeof req.body.reason === "string"
+          ? req.body.reason.substring(0, 500)
+          : undefined,
+      expiresAt: session.expiresAt,
+    },
+  });
+
+  // Always returned in the body, so the admin's own cookies stay untouched
+  res.status(200).json({
+    success: true,
+    data: {
+      token,
+      expiresAt: session.expiresAt,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+    },
+  });
+});
+
+// @desc    Get accounts and addresses currently locked out
+// @route   GET /api/users/lockouts
+// @access  Private/Admin
+exports.getLockouts = asyncHandler(async (req, res, next) => {
+  const lockouts = await LoginAttempt.getActiveLockouts();
+
+  res.status(200).json({
+    success: true,
+    count: lockouts.length,
+    data: lockouts.map((lockout) => ({
+      id: lockout._id,
+      scope: lockout.scope,
+      type: lockout.type,
+      identifier: lockout.identifier,
+      user: lockout.user,
+      lockedUntil: lockout.lockedUntil,
+      lockCount: lockout.lockCount,
+      lastFailedAt: lockout.lastFailedAt,
+    })),
+  });
+});
+
+// @desc    Lift a lockout
+// @route   DELETE /api/users/lockouts/:lockoutId
+// @access  Private/Admin
+exports.removeLockout = asyncHandler(async (req, res, next) => {
+  const lockout = await LoginAttempt.findById(req.params.lockoutId);
+
+  if (!lockout) {
+    return next(new ErrorResponse("Lockout not found", 404));
+  }
+
+  await lockout.unlock();
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+// @desc    Lift every lockout of a user's account
+// @route   POST /api/users/:id/unlock
+// @access  Private/Admin
+exports.unlockUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse("User not found", 404));
+  }
+
+  const lockouts = await LoginAttempt.find({
+    type: "account",
+    identifier: user.email,
+    lockedUntil: { $gt: new Date() },
+  });
+
+  if (lockouts.length === 0) {
+    return next(new ErrorResponse("User is not locked out", 400));
+  }
+
+  for (const lockout of lockouts) {
+    await lockout.unlock();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+      },
+      unlocked: lockouts.length,
+    },
+  });
+});
@@ -0,0 +1,168 @@
+const request = require("supertest");
+const app = require("../app");
+const memoryDb = require("../test/memoryDb");
+const LoginAttempt = require("../models/LoginAttempt");
+const AuditLog = require("../models/AuditLog");
+const User = require("../models/User");
+const { createUser, login, createSignedInUser } = require("../test/helpers");
+
+beforeAll(memoryDb.connect);
+beforeEach(memoryDb.clear);
+
+const lockOut = async (user) => {
+  for (let i = 0; i < 5; i += 1) {
+    await LoginAttempt.recordFailure({ scope: "login", email: user.email });
+  }
+};
+
+describe("lockouts", () => {
+  it("lists the locked accounts with their user", async () => {
+    const admin = await createSignedInUser({ role: "admin" });
+    const user = await createUser();
+    await LoginAttempt.recordFailure({
+      scope: "login",
+      email: user.email,
+      user: user._id,
+    });
+    await lockOut(user);
+
+    const res = await request(app)
+      .get("/api/users/lockouts")
+      .set("Authorization", `Bearer ${admin.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(1);
+    expect(res.body.data[0]).toMatchObject({
+      scope: "login",
+      type: "account",
+      identifier: user.email,
+      user: { email: user.email },
+    });
+  });
+
+  it("lets an admin unlock an account", async () => {
+    const admin = await createSignedInUser({ role: "admin" });
+    const user = await createUser();
+    await lockOut(user);
+    expect((await login(user)).status).toBe(423);
+
+    const res = await request(app)
+      .post(`/api/users/${user._id}/unlock`)
+      .set("Authorization", `Bearer ${admin.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.unlocked).toBe(1);
+    expect((await login(user)).status).toBe(200);
+  });
+
+  it("is not open to other users", async () => {
+    const { token } = await createSignedInUser();
+
+    const res = await request(app)
+      .get("/api/users/lockouts")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("impersonation", () => {
+  const impersonate = (admin, user) =>
+    request(app)
+      .post(`/api/users/${user._id}/impersonate`)
+      .set("Authorization", `Bearer ${admin.token}`)
+      .send({ reason: "Support ticket 42" });
+
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+
+  it("acts as the user and flags every response", async () => {
+    const admin = await createSignedInUser({ role: "admin" });
+    const user = await createUser();
+
+    const res = await impersonate(admin, user);
+
+    expect(res.status).toBe(200);
+    const me = await request(app)
+      .get("/api/auth/me")
+      .set(as(res.body.data.token));
+    expect(me.status).toBe(200);
+    expect(me.body.user.email).toBe(user.email);
+    expect(me.headers["x-impersonation"]).toBe("true");
+    expect(me.headers["x-impersonated-by"]).toBe(admin.user._id.toString());
+
+    const entry = await AuditLog.findOne({ action: "user.impersonate-start" });
+    expect(entry.actor.equals(admin.user._id)).toBe(true);
+    expect(entry.target.equals(user._id)).toBe(true);
+    expect(entry.details.reason).toBe("Support ticket 42");
+  });
+
+  it("keeps destructive and account security actions out of reach", async () => {
+    const admin = await createSignedInUser({ role: "admin" });
+    const user = await createUser();
+    const { token } = (await impersonate(admin, user)).body.data;
+
+    const responses = await Promise.all([
+      request(app).delete("/api/auth/me").set(as(token)),
+      request(app).delete("/api/auth/sessions").set(as(token)),
+      request(app)
+        .put("/api/auth/updatepassword")
+        .set(as(token))
+        .send({ currentPassword: "x", newPassword: "N3wPassword!" }),
+      request(app).post("/api/auth/2fa/setup").set(as(token)),
+      request(app).get("/api/auth/me/export").set(as(token)),
+    ]);
+
+    for (const res of responses) {
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe("IMPERSONATION_FORBIDDEN");
+    }
+    expect(await User.countDocuments({ _id: user._id })).toBe(1);
+  });
+
+  it("ends on request, leaving the admin signed in", async () => {
+    const admin = await createSignedInUser({ role: "admin" });
+    const user = await createUser();
+    const { token } = (await impersonate(admin, user)).body.data;
+
+    const res = await request(app)
+      .post("/api/auth/impersonation/end")
+      .set(as(token));
+
+    expect(res.status).toBe(200);
+    expect((await request(app).get("/api/auth/me").set(as(token))).status).toBe(
+      401
+    );
+    expect(
+      (await request(app).get("/api/auth/me").set(as(admin.token))).status
+    ).toBe(200);
+    expect(
+      await AuditLog.countDocuments({ action: "user.impersonate-end" })
+    ).toBe(1);
+  });
+
+  it("ends when the admin loses the permission", async () => {
+    const admin = await createSignedInUser({ role: "admin" });
+    const user = await createUser();
+    const { token } = (await impersonate(admin, user)).body.data;
+
+    await User.updateOne({ _id: admin.user._id }, { role: "user" });
+
+    const res = await request(app).get("/api/auth/me").set(as(token));
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe(
+      "Impersonation has ended, please sign in again"
+    );
+  });
+
+  it("refuses admins, oneself and users without the permission", async () => {
+    const admin = await createSignedInUser({ role: "admin" });
+    const otherAdmin = await createUser({ role: "admin" });
+    const editor = await createSignedInUser({ role: "editor" });
+    const user = await createUser();
+
+    expect((await impersonate(admin, otherAdmin)).status).toBe(403);
+    expect((await impersonate(admin, admin.user)).status).toBe(400);
+    expect((await impersonate(editor, user)).status).toBe(403);
+    expect(await AuditLog.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,42 @@
+const User = require("../models/User");
+const { anonymizeAccount } = require("../utils/accountData");
+
+// Anonymise the accounts whose deletion grace period is over
+const processAccountDeletions = async () => {
+  const users = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+    deletedAt: null,
+  });
+
+  for (const user of users) {
+    try {
+      await anonymizeAccount(user);
+    } catch (error) {
+      console.error(`Error deleting account ${user._id}:`, error);
+    }
+  }
+
+  return users.length;
+};
+
+// Check for due deletions every ACCOUNT_DELETION_INTERVAL_MINUTES (60 by
+// default)
+const startAccountDeletionJob = () => {
+  const minutes = parseInt(process.env.ACCOUNT_DELETION_INTERVAL_MINUTES) || 60;
+
+  const run = () =>
+    processAccountDeletions().catch((error) =>
+      console.error("Account deletion job error:", error)
+    );
+
+  run();
+  const timer = setInterval(run, minutes * 60 * 1000);
+  // Don't keep the process alive just for this
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  processAccountDeletions,
+  startAccountDeletionJob,
+};
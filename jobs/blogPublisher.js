@@ -0,0 +1,41 @@
+const Blog = require("../models/Blog");
+
+// Publish the scheduled blog posts whose publishAt date has passed
+const publishScheduledBlogs = async () => {
+  const blogs = await Blog.find({
+    status: "scheduled",
+    publishAt: { $lte: new Date() },
+  });
+
+  for (const blog of blogs) {
+    try {
+      await blog.updateStatus("published", null, "Scheduled publication");
+    } catch (error) {
+      console.error(`Error publishing blog ${blog._id}:`, error);
+    }
+  }
+
+  return blogs.length;
+};
+
+// Check for due posts every BLOG_PUBLISH_INTERVAL_MINUTES (1 by default)
+const startBlogPublisherJob = () => {
+  const minutes = parseInt(process.env.BLOG_PUBLISH_INTERVAL_MINUTES) || 1;
+
+  const run = () =>
+    publishScheduledBlogs().catch((error) =>
+      console.error("Blog publisher job error:", error)
+    );
+
+  run();
+
+  const timer = setInterval(run, minutes * 60 * 1000);
+  // Don't keep the process alive just for this
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  publishScheduledBlogs,
+  startBlogPublisherJob,
+};
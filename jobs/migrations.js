@@ -0,0 +1,29 @@
+const Blog = require("../models/Blog");
+const BlogComment = require("../models/BlogComment");
+
+// Bring documents saved by older versions up to date, in order: posts saved
+// before the editorial workflow get their status, posts saved before
+// translations their language and search text, posts saved before content
+// formats their rendered HTML, and feedback left before comments has its
+// comments moved out. Runs once at startup; a failing step is logged and
+// the next one still runs.
+const migrations = [
+  ["Blog status", () => Blog.migrateLegacyStatuses()],
+  ["Blog language", () => Blog.migrateLegacyLanguages()],
+  ["Blog content", () => Blog.migrateLegacyContent()],
+  ["Blog comment", () => BlogComment.migrateLegacyFeedback()],
+];
+
+const runMigrations = async () => {
+  for (const [name, migrate] of migrations) {
+    try {
+      await migrate();
+    } catch (error) {
+      console.error(`${name} migration error:`, error);
+    }
+  }
+};
+
+module.exports = {
+  runMigrations,
+};
@@ -0,0 +1,19 @@
+const Blog = require("../models/Blog");
+const Course = require("../models/Course");
+const { cleanLegacySlugs } = require("../utils/slug");
+
+// Replace the timestamped or missing slugs of blog posts and courses saved
+// by older versions. Runs once at startup; old slugs keep redirecting.
+const runSlugCleanup = async () => {
+  for (const Model of [Blog, Course]) {
+    try {
+      await cleanLegacySlugs(Model);
+    } catch (error) {
+      console.error(`${Model.modelName} slug cleanup error:`, error);
+    }
+  }
+};
+
+module.exports = {
+  runSlugCleanup,
+};
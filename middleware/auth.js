@@ -1,5 +1,104 @@
 const jwt = require("jsonwebtoken");
+const rateLimit = require("express-rate-limit");
 const User = require("../models/User");
+const ApiKey = require("../models/ApiKey");
+const Session = require("../models/Session");
+const {
+  API_KEY_EXCLUDED_PERMISSIONS,
+  getRolePermissions,
+} = require("../config/roles");
+const { ACCESS_COOKIE, hasValidCsrfToken } = require("../utils/authCookies");
+
+const sendBlocked = (res, user) =>
+  res.status(403).json({
+    success: false,
+    code: "ACCOUNT_BLOCKED",
+    message: "Account is blocked",
+    blockInfo: user.getBlockInfo(),
+  });
+
+const sendImpersonationForbidden = (res) =>
+  res.status(403).json({
+    success: false,
+    code: "IMPERSONATION_FORBIDDEN",
+    message: "This action is not available while impersonating a user",
+  });
+
+// An impersonation lasts while its session is open and the admin who
+// started it still exists and may impersonate. Returns that admin, or null.
+const getImpersonator = async (decoded) => {
+  const session = await Session.findOne({
+    _id: decoded.sid,
+    user: decoded.id,
+    impersonatedBy: decoded.impersonatedBy,
+  });
+
+  if (!session || !session.isActive()) return null;
+
+  const impersonator = await User.findById(decoded.impersonatedBy).select(
+    "-password"
+  );
+
+  if (
+    !impersonator ||
+    impersonator.deletedAt ||
+    impersonator.isCurrentlyBlocked() ||
+    !getRolePermissions(impersonator.role).includes("user:impersonate")
+  ) {
+    return null;
+  }
+
+  return impersonator;
+};
+
+// Requests per minute for each API key, unless the key sets its own limit
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) =>
+    req.apiKey.rateLimit || parseInt(process.env.API_KEY_RATE_LIMIT) || 60,
+  keyGenerator: (req) => req.apiKey._id.toString(),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    code: "RATE_LIMITED",
+    message: "API key rate limit exceeded, please try again later",
+  },
+});
+
+// Authenticate a server-to-server request by its X-API-Key header. The
+// request acts as the admin who created the key, limited to the key's scopes.
+const protectWithApiKey = async (req, res, next) => {
+  const apiKey = await ApiKey.findByKey(req.get("x-api-key"));
+
+  if (!apiKey || !apiKey.isActive()) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid or expired API key",
+    });
+  }
+
+  const user = await User.findById(apiKey.owner).select("-password");
+
+  if (!user || user.deletedAt) {
+    return res.status(401).json({
+      success: false,
+      message: "The user belonging to this API key no longer exists",
+    });
+  }
+
+  await user.liftExpiredBlock();
+
+  if (user.isCurrentlyBlocked()) {
+    return sendBlocked(res, user);
+  }
+
+  await apiKey.touch(req.ip);
+
+  req.user = user;
+  req.apiKey = apiKey;
+  apiKeyLimiter(req, res, next);
+};
 
 const protect = async (req, res, next) => {
   try {
@@ -12,6 +111,24 @@ const protect = async (req, res, next) => {
       token = req.headers.authorization.split(" ")[1];
     }
 
+    if (!token && req.headers["x-api-key"]) {
+      return await protectWithApiKey(req, res, next);
+    }
+
+    // Browser clients in cookie mode send the access token as a cookie
+    if (!token && req.cookies && req.cookies[ACCESS_COOKIE]) {
+      token = req.cookies[ACCESS_COOKIE];
+      req.authMode = "cookie";
+
+      if (!hasValidCsrfToken(req)) {
+        return res.status(403).json({
+          success: false,
+          code: "CSRF_TOKEN_INVALID",
+          message: "Invalid or missing CSRF token",
+        });
+      }
+    }
+
     if (!token) {
       return res.status(401).json({
         success: false,
@@ -19,36 +136,208 @@ const protect = async (req, res, next) => {
       });
     }
 
+    let decoded;
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select("-password");
-      next();
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
       return res.status(401).json({
         success: false,
         message: "Not authorized to access this route",
       });
     }
+
+    // Special purpose tokens (e.g. two-factor challenges) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: "Not authorized to access this route",
+      });
+    }
+
+    const user = await User.findById(decoded.id).select("-password");
+
+    if (!user || user.deletedAt) {
+      return res.status(401).json({
+        success: false,
+        message: "The user belonging to this token no longer exists",
+      });
+    }
+
+    // Password changes and forced logouts bump the version
+    if ((decoded.ver || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: "Token has been revoked, please log in again",
+      });
+    }
+
+    // Signing a device out revokes its session, which ends its access token
+    // as well as its refresh token
+    const session =
+      decoded.sid &&
+      (await Session.findById(decoded.sid).select("user revokedAt expiresAt"));
+
+    if (!session || !session.user.equals(user._id) || !session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has ended, please log in again",
+      });
+    }
+
+    await user.liftExpiredBlock();
+
+    if (user.isCurrentlyBlocked()) {
+      return sendBlocked(res, user);
+    }
+
+    req.user = user;
+    req.sessionId = decoded.sid;
+
+    // Impersonation tokens act as the user, on behalf of an admin. Responses
+    // are flagged so the frontend can show it, and nothing can be deleted.
+    if (decoded.impersonatedBy) {
+      const impersonator = await getImpersonator(decoded);
+
+      if (!impersonator) {
+        return res.status(401).json({
+          success: false,
+          message: "Impersonation has ended, please sign in again",
+        });
+      }
+
+      req.impersonator = impersonator;
+      res.set("X-Impersonation", "true");
+      res.set("X-Impersonated-By", impersonator._id.toString());
+
+      if (req.method === "DELETE") {
+        return sendImpersonationForbidden(res);
+      }
+    }
+
+    next();
   } catch (error) {
     next(error);
   }
 };
 
-const authorize = (...roles) => {
+// Authenticate requests that carry credentials and let the others through
+// as guests, for routes anyone may use but signed-in users get more from
+const optionalProtect = (req, res, next) => {
+  const hasCredentials =
+    (req.headers.authorization &&
+      req.headers.authorization.startsWith("Bearer")) ||
+    req.headers["x-api-key"] ||
+    (req.cookies && req.cookies[ACCESS_COOKIE]);
+
+  if (!hasCredentials) {
+    return next();
+  }
+
+  return protect(req, res, next);
+};
+
+// Admins must have two-factor authentication enabled when
+// REQUIRE_ADMIN_2FA=true. They can still reach the /api/auth/2fa routes,
+// which only need protect, to enrol.
+const isMissingRequiredTwoFactor = (user) =>
+  process.env.REQUIRE_ADMIN_2FA === "true" &&
+  user.role === "admin" &&
+  !user.twoFactorEnabled;
+
+// Keep API keys away from routes that act on the signed-in account itself
+const rejectApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: "API keys cannot access this route",
+    });
+  }
+  next();
+};
+
+// Keep impersonating admins away from account and security settings
+// (password, email, two-factor, sessions...)
+const blockImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return sendImpersonationForbidden(res);
+  }
+  next();
+};
+
+// Permissions carried by the request. An API key only carries the scopes its
+// owner still holds.
+const getPermissions = (req) => {
+  if (!req.user) return [];
+
+  const permissions = getRolePermissions(req.user.role);
+  return req.apiKey
+    ? permissions.filter(
+        (p) =>
+          req.apiKey.scopes.includes(p) &&
+          !API_KEY_EXCLUDED_PERMISSIONS.includes(p)
+      )
+    : permissions;
+};
+
+// Check a permission inside a controller, e.g. for "own or any" rules
+const hasPermission = (req, permission) =>
+  getPermissions(req).includes(permission);
+
+// Grant access only if the request holds every listed permission
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
-    if (!req.user || !roles.includes(req.user.role)) {
+    const missing = permissions.filter((p) => !hasPermission(req, p));
+
+    if (!req.user || missing.length > 0) {
+      const required = missing.join(", ");
+      return res.status(403).json({
+        success: false,
+        message: `Missing permission ${required} to access this route`,
+      });
+    }
+
+    // API keys cannot answer a two-factor challenge; creating one already
+    // went through this check
+    if (!req.apiKey && isMissingRequiredTwoFactor(req.user)) {
       return res.status(403).json({
         success: false,
-        message: `User role ${
-          req.user ? req.user.role : "anonymous"
-        } is not authorized to access this route`,
+        code: "TWO_FACTOR_REQUIRED",
+        message:
+          "Two-factor authentication must be enabled to access this route",
       });
     }
     next();
   };
 };
 
+// Require a verified email address. Set REQUIRE_EMAIL_VERIFICATION=false to
+// turn the policy off; admins are never held back by it.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === "false") {
+    return next();
+  }
+
+  if (
+    req.user &&
+    req.user.role !== "admin" &&
+    req.user.isEmailVerified === false
+  ) {
+    return res.status(403).json({
+      success: false,
+      code: "EMAIL_NOT_VERIFIED",
+      message: "Please verify your email address to access this route",
+    });
+  }
+  next();
+};
+
 module.exports = {
   protect,
-  authorize,
+  optionalProtect,
+  requirePermission,
+  hasPermission,
+  rejectApiKey,
+  blockImpersonation,
+  requireVerifiedEmail,
+  isMissingRequiredTwoFactor,
 };
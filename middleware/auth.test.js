@@ -0,0 +1,68 @@
+const request = require("supertest");
+const app = require("../app");
+const memoryDb = require("../test/memoryDb");
+const User = require("../models/User");
+const { createSignedInUser } = require("../test/helpers");
+
+beforeAll(memoryDb.connect);
+beforeEach(memoryDb.clear);
+
+const getMe = (token) =>
+  request(app).get("/api/auth/me").set("Authorization", `Bearer ${token}`);
+
+describe("protect", () => {
+  it("refuses a user as soon as an admin blocks them", async () => {
+    const admin = await createSignedInUser({ role: "admin" });
+    const { user, token } = await createSignedInUser();
+
+    const block = await request(app)
+      .post(`/api/users/${user._id}/block`)
+      .set("Authorization", `Bearer ${admin.token}`)
+      .send({ reason: "Spam", durationInHours: 24 });
+
+    expect(block.status).toBe(200);
+    const res = await getMe(token);
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe("ACCOUNT_BLOCKED");
+    expect(res.body.blockInfo.reason).toBe("Spam");
+  });
+
+  it("lifts a timed block once it has run out", async () => {
+    const { user, token } = await createSignedInUser();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        isBlocked: true,
+        blockReason: "Cooling off",
+        blockExpiresAt: new Date(Date.now() - 1000),
+        blockHistory: [{ reason: "Cooling off", blockedBy: user._id }],
+      }
+    );
+
+    const res = await getMe(token);
+
+    expect(res.status).toBe(200);
+    const unblocked = await User.findById(user._id);
+    expect(unblocked.isBlocked).toBe(false);
+    expect(unblocked.blockHistory[0].unblockedAt).toBeDefined();
+  });
+
+  it("refuses tokens of deleted users", async () => {
+    const { user, token } = await createSignedInUser();
+    await User.deleteOne({ _id: user._id });
+
+    const res = await getMe(token);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe(
+      "The user belonging to this token no longer exists"
+    );
+  });
+
+  it("refuses tokens older than the user's token version", async () => {
+    const { user, token } = await createSignedInUser();
+    await User.updateOne({ _id: user._id }, { $inc: { tokenVersion: 1 } });
+
+    expect((await getMe(token)).status).toBe(401);
+  });
+});
@@ -0,0 +1,39 @@
+const rateLimit = require("express-rate-limit");
+const { hasPermission } = require("./auth");
+const { getVisitorId } = require("../utils/spamFilter");
+
+const WINDOW_MS = 10 * 60 * 1000;
+
+const message = {
+  success: false,
+  code: "RATE_LIMITED",
+  message: "Too many submissions, please try again later",
+};
+
+// Moderators replying to a busy thread are not limited
+const isModerator = (req) =>
+  hasPermission(req, "blog:moderate") || hasPermission(req, "course:moderate");
+
+// Public comments, ratings and feedback per 10 minutes: per IP, and more
+// strictly per visitor (signed-in user, or IP for guests)
+const feedbackLimiter = [
+  rateLimit({
+    windowMs: WINDOW_MS,
+    limit: parseInt(process.env.FEEDBACK_IP_RATE_LIMIT) || 20,
+    skip: isModerator,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message,
+  }),
+  rateLimit({
+    windowMs: WINDOW_MS,
+    limit: parseInt(process.env.FEEDBACK_RATE_LIMIT) || 5,
+    keyGenerator: getVisitorId,
+    skip: isModerator,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message,
+  }),
+];
+
+module.exports = feedbackLimiter;
@@ -47,6 +47,44 @@ const authValidation = {
     check("password").trim().notEmpty().withMessage("Password is required"),
     validate,
   ],
+  // The email can't be changed here, but a value of the wrong type must not
+  // reach the controller
+  updateDetails: [
+    check("email")
+      .optional()
+      .isString()
+      .withMessage("Please enter a valid email"),
+    validate,
+  ],
+  emailChange: [
+    check("email")
+      .isString()
+      .withMessage("Please enter a valid email")
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage("Email is required")
+      .isEmail()
+      .withMessage("Please enter a valid email"),
+    check("password").isString().notEmpty().withMessage("Password is required"),
+    validate,
+  ],
+  acceptInvitation: [
+    check("name")
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage("Name must be between 2 and 50 characters"),
+    check("password")
+      .trim()
+      .notEmpty()
+      .withMessage("Password is required")
+      .isLength({ min: 6 })
+      .withMessage("Password must be at least 6 characters long")
+      .matches(/\d/)
+      .withMessage("Password must contain at least one number"),
+    validate,
+  ],
 };
 
 // Blog validation rules
@@ -0,0 +1,18 @@
+const rateLimit = require("express-rate-limit");
+
+// View tracking calls per IP per 10 minutes. Readers call it once when a
+// post opens and a few more times with their progress, so this is generous
+// for people but stops scripts from inflating views and popular posts.
+const viewLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000,
+  limit: parseInt(process.env.BLOG_VIEW_RATE_LIMIT) || 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    code: "RATE_LIMITED",
+    message: "Too many requests, please try again later",
+  },
+});
+
+module.exports = viewLimiter;
@@ -0,0 +1,117 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { PERMISSIONS } = require("../config/roles");
+
+// Keys look like "esk_<48 hex chars>". The first characters are kept in clear
+// so a key can be recognised in lists; the full key is only ever stored as a
+// sha256 hash and shown once, when it is created.
+const KEY_PREFIX = "esk_";
+const VISIBLE_LENGTH = KEY_PREFIX.length + 8;
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please add a name"],
+      trim: true,
+      maxlength: [100, "Name cannot be more than 100 characters"],
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // Permissions the key may use, limited to those its owner still holds
+    scopes: {
+      type: [{ type: String, enum: PERMISSIONS }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "Please add at least one scope",
+      },
+    },
+    // Admin who created the key; requests made with it act as this user
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Requests per minute, falls back to API_KEY_RATE_LIMIT
+    rateLimit: {
+      type: Number,
+      min: [1, "Rate limit must be at least 1 request per minute"],
+    },
+    expiresAt: Date,
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create a key and return it together with the plain key to hand out
+apiKeySchema.statics.generate = async function (data) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("hex");
+
+  const apiKey = await this.create({
+    ...data,
+    keyHash: hashKey(key),
+    prefix: key.substring(0, VISIBLE_LENGTH),
+  });
+
+  return { apiKey, key };
+};
+
+// Static method to find the key matching a plain key, active or not
+apiKeySchema.statics.findByKey = async function (key) {
+  if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) return null;
+  return await this.findOne({ keyHash: hashKey(key) });
+};
+
+// Check whether the key can still be used
+apiKeySchema.methods.isActive = function () {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > Date.now();
+};
+
+// Record a use of the key
+apiKeySchema.methods.touch = async function (ip) {
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: this.lastUsedAt, lastUsedIp: ip } }
+  );
+};
+
+// Shape a key for API responses
+apiKeySchema.methods.toPublic = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    owner: this.owner,
+    rateLimit: this.rateLimit,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    revokedAt: this.revokedAt,
+    active: this.isActive(),
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+// Append-only record of security relevant admin actions (API keys, roles,
+// invitations...). Entries are never updated.
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Dotted action name, e.g. "api-key.create"
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    // Set when the actor was impersonating this user
+    onBehalfOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Set when the actor authenticated with an API key
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+    },
+    targetType: String,
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      index: true,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    ip: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+
+// Static method to record an action taken while handling a request. The
+// actor defaults to the signed-in user, or to the admin impersonating them.
+auditLogSchema.statics.record = async function (
+  req,
+  action,
+  { actor, targetType, target, details } = {}
+) {
+  if (!actor && req.user) {
+    actor = req.impersonator ? req.impersonator._id : req.user._id;
+  }
+
+  return await this.create({
+    action,
+    actor,
+    onBehalfOf: req.impersonator ? req.user._id : undefined,
+    apiKey: req.apiKey ? req.apiKey._id : undefined,
+    targetType,
+    target,
+    details,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+};
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -1,7 +1,45 @@
 const mongoose = require("mongoose");
-const slugify = require("slugify");
 const fs = require("fs");
 const path = require("path");
+const { nextSlug } = require("../utils/slug");
+const {
+  LANGUAGES,
+  detectLanguage,
+  normalizeArabic,
+} = require("../utils/language");
+const { CONTENT_FORMATS, renderContent } = require("../utils/content");
+const { RATING_STATUSES, hideFeedback } = require("../utils/feedback");
+const BlogDailyStat = require("./BlogDailyStat");
+const RelatedBlogCache = require("./RelatedBlogCache");
+const { rankRelatedPosts } = require("../utils/relatedPosts");
+
+// Editorial workflow: writers submit drafts for review, publishers approve
+// them (publishing now or scheduling a publishAt date) or send them back.
+const BLOG_STATUSES = [
+  "draft",
+  "in_review",
+  "scheduled",
+  "published",
+  "archived",
+];
+
+// Text search fields for a post in its language
+const getSearchFields = (blog) => {
+  if (blog.lang !== "ar") {
+    return { textLanguage: "english", searchText: undefined };
+  }
+
+  const text = [blog.title, blog.excerpt, blog.content, ...(blog.tags || [])];
+  return { textLanguage: "none", searchText: normalizeArabic(text.join(" ")) };
+};
+
+// Most related posts a blog can have, pinned or computed
+const MAX_RELATED = 10;
+
+// Minutes to read a text, assuming an average reading speed of 200 words
+// per minute
+const getReadTime = (text) =>
+  Math.max(1, Math.ceil(text.split(/\s+/).filter(Boolean).length / 200));
 
 const blogSchema = new mongoose.Schema(
   {
@@ -15,11 +53,51 @@ const blogSchema = new mongoose.Schema(
       type: String,
       unique: true,
     },
+    // Each post is written in one language; guessed from the title if unset
+    lang: {
+      type: String,
+      enum: LANGUAGES,
+      default: function () {
+        return detectLanguage(this.title);
+      },
+      index: true,
+    },
+    // Translations of the same post share a group, the id of the original
+    translationGroup: {
+      type: mongoose.Schema.Types.ObjectId,
+      index: true,
+    },
+    // Text search settings: MongoDB stems English but has no Arabic support,
+    // so Arabic posts are indexed unstemmed from a normalised copy
+    textLanguage: {
+      type: String,
+      select: false,
+    },
+    searchText: {
+      type: String,
+      select: false,
+    },
     content: {
       type: String,
       required: [true, "Please add content"],
       minlength: [50, "Content must be at least 50 characters long"],
     },
+    contentFormat: {
+      type: String,
+      enum: CONTENT_FORMATS,
+      default: "markdown",
+    },
+    // Sanitized HTML rendered from content, for the frontend to display, and
+    // the headings in it
+    contentHtml: String,
+    toc: [
+      {
+        _id: false,
+        level: Number,
+        text: String,
+        id: String,
+      },
+    ],
     excerpt: {
       type: String,
       maxlength: [200, "Excerpt cannot be more than 200 characters"],
@@ -46,16 +124,55 @@ const blogSchema = new mongoose.Schema(
         lowercase: true,
       },
     ],
+    // Related posts pinned by an editor, shown before the computed ones
+    relatedPosts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Blog",
+      },
+    ],
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
+    status: {
+      type: String,
+      enum: BLOG_STATUSES,
+      default: "draft",
+      index: true,
+    },
+    // Kept in sync with status for older clients
     isPublished: {
       type: Boolean,
       default: false,
     },
     publishedAt: Date,
+    // When a scheduled post goes live
+    publishAt: Date,
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    statusHistory: [
+      {
+        status: {
+          type: String,
+          enum: BLOG_STATUSES,
+          required: true,
+        },
+        // Empty when the scheduler published the post
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        reason: String,
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     readTime: {
       type: Number,
       default: 0,
@@ -64,6 +181,8 @@ const blogSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Ratings. Comments live in BlogComment; the comment here is only set
+    // on feedback left before that, until it is moved at startup.
     feedback: [
       {
         rating: {
@@ -72,9 +191,21 @@ const blogSchema = new mongoose.Schema(
           min: 1,
           max: 5,
         },
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        // Who rated (see getVisitorId), for one rating per visitor
+        visitor: String,
+        // Held and rejected ratings wait for a moderator and don't count
+        status: {
+          type: String,
+          enum: RATING_STATUSES,
+          default: "approved",
+        },
+        spamReasons: [String],
         comment: {
           type: String,
-          required: true,
           trim: true,
           maxlength: [500, "Comment cannot be more than 500 characters"],
         },
@@ -93,38 +224,39 @@ const blogSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: { virtuals: true, transform: hideFeedback },
     toObject: { virtuals: true },
   }
 );
 
-// Create blog slug from the title
-blogSchema.pre("save", function (next) {
-  // Always generate slug from title
+// Create blog slug from the title, with a numeric suffix only on collision.
+// The previous slug of a renamed post keeps redirecting.
+blogSchema.pre("save", async function () {
   if (this.title && (this.isNew || this.isModified("title"))) {
-    // Generate a unique slug by adding timestamp if needed
-    const baseSlug = slugify(this.title, {
-      lower: true,
-      strict: true,
-      trim: true,
-    });
-
-    // Add timestamp to ensure uniqueness
-    this.slug = `${baseSlug}-${Date.now()}`;
+    this.slug = await nextSlug(this, this.title);
   }
+});
 
-  // Generate excerpt if not provided
-  if (!this.excerpt && this.content) {
-    this.excerpt = this.content.substring(0, 150) + "...";
-  }
+blogSchema.pre("save", function (next) {
+  // Render the content, also when someone tries to set the HTML directly
+  if (
+    this.content &&
+    this.isModified(["content", "contentFormat", "contentHtml", "toc"])
+  ) {
+    const { html, text, toc } = renderContent(this.content, this.contentFormat);
+    this.contentHtml = html;
+    this.toc = toc;
+
+    // Generate excerpt if not provided
+    if (!this.excerpt) {
+      this.excerpt = text.length > 150 ? text.substring(0, 150) + "..." : text;
+    }
 
-  // Calculate read time (assuming average reading speed of 200 words per minute)
-  if (this.content) {
-    const wordCount = this.content.split(/\s+/).length;
-    this.readTime = Math.ceil(wordCount / 200);
+    this.readTime = getReadTime(text);
   }
 
   // Set publishedAt date when publishing
+  this.isPublished = this.status === "published";
   if (this.isPublished && !this.publishedAt) {
     this.publishedAt = new Date();
   }
@@ -132,9 +264,45 @@ blogSchema.pre("save", function (next) {
   // Calculate average rating
   this.calculateAverageRating();
 
+  // Language and search settings
+  if (!this.translationGroup) {
+    this.translationGroup = this._id;
+  }
+  Object.assign(this, getSearchFields(this));
+
+  next();
+});
+
+// Fields related posts are computed from
+const RELATED_FIELDS = [
+  "title",
+  "excerpt",
+  "content",
+  "tags",
+  "category",
+  "lang",
+  "translationGroup",
+];
+
+// Cached related posts that involve a changed post are computed again. A
+// status change can add the post to (or remove it from) any other post's
+// list, so then the whole cache goes.
+blogSchema.pre("save", function (next) {
+  this.$locals.statusChanged = this.isNew
+    ? this.status === "published"
+    : this.isModified("status");
+  this.$locals.relatedChanged = !this.isNew && this.isModified(RELATED_FIELDS);
   next();
 });
 
+blogSchema.post("save", async function () {
+  if (this.$locals.statusChanged) {
+    await RelatedBlogCache.clear();
+  } else if (this.$locals.relatedChanged) {
+    await RelatedBlogCache.invalidate(this._id);
+  }
+});
+
 // Delete blog image when blog is deleted
 blogSchema.pre("remove", async function (next) {
   try {
@@ -151,17 +319,36 @@ blogSchema.pre("remove", async function (next) {
   }
 });
 
-// Add text index for search
-blogSchema.index({
-  title: "text",
-  content: "text",
-  excerpt: "text",
-  tags: "text",
-});
+// Add text index for search. The language of each post is read from
+// textLanguage ("none" turns stemming off for Arabic).
+blogSchema.index(
+  {
+    title: "text",
+    content: "text",
+    excerpt: "text",
+    tags: "text",
+    searchText: "text",
+  },
+  {
+    name: "blog_text_search",
+    weights: { title: 10, tags: 5, excerpt: 3 },
+    default_language: "english",
+    language_override: "textLanguage",
+  }
+);
+
+// A post has at most one translation per language
+blogSchema.index(
+  { translationGroup: 1, lang: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { translationGroup: { $exists: true } },
+  }
+);
 
 // Static method to get blogs by category
 blogSchema.statics.getBlogsByCategory = async function (category) {
-  return await this.find({ category, isPublished: true })
+  return await this.find({ category, status: "published" })
     .select(
       "title slug excerpt category coverImage isPublished author publishedAt readTime views tags"
     )
@@ -171,21 +358,57 @@ blogSchema.statics.getBlogsByCategory = async function (category) {
 
 // Static method to get popular blogs
 blogSchema.statics.getPopularBlogs = async function (limit = 5) {
-  return await this.find({ isPublished: true })
-    .select(
-      "title slug excerpt category coverImage isPublished author publishedAt readTime views tags"
-    )
-    .populate("author", "name avatar")
-    .sort("-views")
-    .limit(limit);
+  const select =
+    "title slug excerpt category coverImage isPublished author publishedAt readTime views tags";
+  limit = parseInt(limit) || 5;
+
+  // Most viewed over the last BLOG_POPULAR_DAYS days (7 by default)
+  const days = parseInt(process.env.BLOG_POPULAR_DAYS) || 7;
+  const ranked = await BlogDailyStat.getMostViewed(days, limit);
+  const rank = new Map(
+    ranked.map((item, index) => [item._id.toString(), index])
+  );
+
+  const blogs = await this.find({
+    _id: { $in: ranked.map((item) => item._id) },
+    status: "published",
+  })
+    .select(select)
+    .populate("author", "name avatar");
+  blogs.sort((a, b) => rank.get(a._id.toString()) - rank.get(b._id.toString()));
+
+  // Topped up with the most viewed of all time while there are few recent views
+  if (blogs.length < limit) {
+    const more = await this.find({
+      status: "published",
+      _id: { $nin: blogs.map((blog) => blog._id) },
+    })
+      .select(select)
+      .populate("author", "name avatar")
+      .sort("-views")
+      .limit(limit - blogs.length);
+
+    blogs.push(...more);
+  }
+
+  return blogs;
 };
 
-// Static method to search blogs
-blogSchema.statics.searchBlogs = async function (query) {
-  return await this.find(
-    { $text: { $search: query }, isPublished: true },
-    { score: { $meta: "textScore" } }
-  )
+// Static method to search blogs, in one language if given
+blogSchema.statics.searchBlogs = async function (query, lang) {
+  const filter = { status: "published" };
+
+  if ((lang || detectLanguage(query)) === "ar") {
+    filter.$text = { $search: normalizeArabic(query), $language: "none" };
+  } else {
+    filter.$text = { $search: query, $language: "english" };
+  }
+
+  if (lang) {
+    filter.lang = lang;
+  }
+
+  return await this.find(filter, { score: { $meta: "textScore" } })
     .select(
       "title slug excerpt category coverImage isPublished author publishedAt readTime views tags"
     )
@@ -194,23 +417,247 @@ blogSchema.statics.searchBlogs = async function (query) {
     .limit(10);
 };
 
-// Virtual for related blogs
-blogSchema.virtual("relatedBlogs", {
-  ref: "Blog",
-  localField: "category",
-  foreignField: "category",
-  justOne: false,
-  options: { limit: 3 },
-});
+// Static method to get the posts related to a published post: the ones an
+// editor pinned, then the best ranked by shared tags, category and text,
+// among published posts in the same language
+blogSchema.statics.getRelatedBlogs = async function (blog, limit = 5) {
+  let cached = await RelatedBlogCache.findOne({ blog: blog._id });
+
+  if (!cached) {
+    const candidates = await this.find({
+      _id: { $ne: blog._id },
+      status: "published",
+      lang: blog.lang,
+      translationGroup: { $ne: blog.translationGroup },
+    }).select("title excerpt content tags category");
+
+    cached = await RelatedBlogCache.findOneAndUpdate(
+      { blog: blog._id },
+      { related: rankRelatedPosts(blog, candidates).slice(0, MAX_RELATED) },
+      { upsert: true, new: true }
+    );
+  }
+
+  const pinned = (blog.relatedPosts || []).map((id) => id.toString());
+  const scores = new Map(
+    cached.related.map((item) => [item.blog.toString(), item.score])
+  );
+  const ids = [...new Set([...pinned, ...scores.keys()])].filter(
+    (id) => id !== blog._id.toString()
+  );
+
+  const posts = await this.find({ _id: { $in: ids }, status: "published" })
+    .select(
+      "title slug excerpt category coverImage author publishedAt readTime views tags lang"
+    )
+    .populate("author", "name avatar");
+  const byId = new Map(posts.map((post) => [post._id.toString(), post]));
+
+  return ids
+    .filter((id) => byId.has(id))
+    .slice(0, limit)
+    .map((id) => ({
+      ...byId.get(id).toJSON(),
+      pinned: pinned.includes(id),
+      score: scores.get(id) ?? null,
+    }));
+};
+
+// Static method to give posts saved before the editorial workflow a status
+blogSchema.statics.migrateLegacyStatuses = async function () {
+  const result = await this.updateMany({ status: { $exists: false } }, [
+    {
+      $set: {
+        status: { $cond: ["$isPublished", "published", "draft"] },
+      },
+    },
+  ]);
+  return result.modifiedCount;
+};
+
+// Static method to give posts saved before translations existed a language,
+// a translation group and search fields, and to replace the text index they
+// were searched with
+blogSchema.statics.migrateLegacyLanguages = async function () {
+  const indexes = await this.collection.indexes();
+  const legacyIndex = indexes.find(
+    (index) => index.textIndexVersion && index.name !== "blog_text_search"
+  );
+
+  if (legacyIndex) {
+    await this.collection.dropIndex(legacyIndex.name);
+    await this.createIndexes();
+  }
+
+  const blogs = await this.find({ textLanguage: { $exists: false } })
+    .select("title excerpt content tags lang translationGroup")
+    .lean();
+
+  for (const blog of blogs) {
+    const lang = blog.lang || detectLanguage(blog.title);
+    const { textLanguage, searchText } = getSearchFields({ ...blog, lang });
+
+    await this.updateOne(
+      { _id: blog._id },
+      {
+        $set: {
+          lang,
+          translationGroup: blog.translationGroup || blog._id,
+          textLanguage,
+          ...(searchText && { searchText }),
+        },
+      }
+    );
+  }
+
+  return blogs.length;
+};
+
+// Static method to render posts saved before content formats existed. Their
+// content was stored as HTML, which is now sanitized before it is shown.
+blogSchema.statics.migrateLegacyContent = async function () {
+  const blogs = await this.find({ contentHtml: { $exists: false } })
+    .select("content")
+    .lean();
+
+  for (const blog of blogs) {
+    const { html, text, toc } = renderContent(blog.content, "html");
+
+    await this.updateOne(
+      { _id: blog._id },
+      {
+        $set: {
+          contentFormat: "html",
+          contentHtml: html,
+          toc,
+          readTime: getReadTime(text),
+        },
+      }
+    );
+  }
+
+  return blogs.length;
+};
+
+// Static method to list posts in a language. Posts without a translation in
+// that language are listed in their own language instead (marked as
+// fallback) unless fallback is turned off.
+blogSchema.statics.getLocalizedBlogs = async function (
+  query,
+  lang,
+  { skip = 0, limit = 10, select, fallback = true } = {}
+) {
+  if (!fallback) {
+    const filter = { ...query, lang };
+    const [blogs, total] = await Promise.all([
+      this.find(filter)
+        .select(select)
+        .populate("author", "name avatar")
+        .sort("-publishedAt")
+        .skip(skip)
+        .limit(limit),
+      this.countDocuments(filter),
+    ]);
+    return { blogs, total };
+  }
+
+  const projection = Object.fromEntries(
+    select.split(" ").map((field) => [field, 1])
+  );
+
+  const [result] = await this.aggregate([
+    { $match: query },
+    // One post per translation group, preferring the requested language
+    {
+      $addFields: {
+        preferred: { $cond: [{ $eq: ["$lang", lang] }, 0, 1] },
+      },
+    },
+    { $sort: { preferred: 1, publishedAt: -1 } },
+    {
+      $group: {
+        _id: { $ifNull: ["$translationGroup", "$_id"] },
+        blog: { $first: "$$ROOT" },
+      },
+    },
+    { $replaceRoot: { newRoot: "$blog" } },
+    { $sort: { publishedAt: -1, _id: -1 } },
+    {
+      $facet: {
+        blogs: [
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { ...projection, id: "$_id", lang: 1 } },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  const blogs = await this.populate(result.blogs, {
+    path: "author",
+    select: "name avatar",
+  });
+
+  return {
+    blogs: blogs.map((blog) => ({ ...blog, fallback: blog.lang !== lang })),
+    total: result.total.length > 0 ? result.total[0].count : 0,
+  };
+};
+
+// Add method to validate status transitions
+blogSchema.methods.canChangeStatus = function (newStatus) {
+  const validTransitions = {
+    draft: ["in_review", "scheduled", "published", "archived"],
+    in_review: ["draft", "scheduled", "published", "archived"],
+    scheduled: ["draft", "scheduled", "published", "archived"], // Reschedule
+    published: ["draft", "archived"],
+    archived: ["draft", "published"],
+  };
+
+  return validTransitions[this.status]?.includes(newStatus) || false;
+};
+
+// Add method to update status with history
+blogSchema.methods.updateStatus = async function (
+  newStatus,
+  userId,
+  reason = ""
+) {
+  if (!this.canChangeStatus(newStatus)) {
+    throw new Error(
+      `Invalid status transition from ${this.status} to ${newStatus}`
+    );
+  }
+
+  const oldStatus = this.status;
+  this.status = newStatus;
+
+  if (newStatus !== "scheduled") {
+    this.publishAt = undefined;
+  }
+
+  this.statusHistory.push({
+    status: newStatus,
+    changedBy: userId || undefined,
+    reason,
+    changedAt: new Date(),
+  });
+
+  await this.save();
+  return { oldStatus, newStatus };
+};
 
 // Add method to calculate average rating
 blogSchema.methods.calculateAverageRating = function () {
-  if (this.feedback.length === 0) {
+  // Ratings waiting for a moderator or rejected as spam don't count
+  const ratings = this.feedback.filter((item) => item.status === "approved");
+  if (ratings.length === 0) {
     this.averageRating = 0;
     return;
   }
-  const sum = this.feedback.reduce((acc, item) => acc + item.rating, 0);
-  this.averageRating = (sum / this.feedback.length).toFixed(1);
+  const sum = ratings.reduce((acc, item) => acc + item.rating, 0);
+  this.averageRating = (sum / ratings.length).toFixed(1);
 };
 
 module.exports = mongoose.model("Blog", blogSchema);
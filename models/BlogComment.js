@@ -0,0 +1,197 @@
+const mongoose = require("mongoose");
+
+const COMMENT_STATUSES = ["pending", "approved", "spam"];
+
+// Replies can nest this deep below a top-level comment
+const MAX_DEPTH = 4;
+
+// Public comment on a blog post, by a signed-in user or a guest. Comments
+// wait in the moderation queue until approved, or are kept there as spam
+// when the spam checks reject them; moderators' own comments are approved
+// at once and marked as official.
+const blogCommentSchema = new mongoose.Schema(
+  {
+    blog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Blog",
+      required: true,
+    },
+    // The comment this one replies to
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BlogComment",
+      default: null,
+    },
+    depth: {
+      type: Number,
+      default: 0,
+      max: [MAX_DEPTH, "Replies cannot be nested any deeper"],
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    guestName: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Name cannot be more than 50 characters"],
+    },
+    // Only moderators see guest emails
+    guestEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+        "Please add a valid email",
+      ],
+      select: false,
+    },
+    content: {
+      type: String,
+      required: [true, "Please add a comment"],
+      trim: true,
+      maxlength: [2000, "Comment cannot be more than 2000 characters"],
+    },
+    status: {
+      type: String,
+      enum: COMMENT_STATUSES,
+      default: "pending",
+    },
+    isOfficial: {
+      type: Boolean,
+      default: false,
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    moderatedAt: Date,
+    // Who sent it (see getVisitorId), for duplicate checks
+    visitor: {
+      type: String,
+      select: false,
+    },
+    // Why the spam checks held or rejected it
+    spamReasons: [String],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+blogCommentSchema.index({ blog: 1, status: 1, createdAt: 1 });
+blogCommentSchema.index({ status: 1, createdAt: 1 });
+
+// Guests give a name and email when commenting. Only new comments are
+// checked: guestEmail is not selected when moderators load a comment, and
+// anonymised comments have no email left.
+blogCommentSchema.pre("validate", function (next) {
+  if (this.isNew && !this.author && (!this.guestName || !this.guestEmail)) {
+    this.invalidate("guestName", "Please add your name and email");
+  }
+  next();
+});
+
+// Static method to list the approved comments of a post as a tree, oldest
+// first. Replies to comments that are not approved are left out with them.
+blogCommentSchema.statics.getThread = async function (blogId) {
+  const comments = await this.find({ blog: blogId, status: "approved" })
+    .select("parent author guestName content isOfficial createdAt")
+    .populate("author", "name avatar")
+    .sort("createdAt")
+    .lean();
+
+  const byId = new Map();
+  for (const comment of comments) {
+    byId.set(comment._id.toString(), { ...comment, replies: [] });
+  }
+
+  const thread = [];
+  for (const comment of byId.values()) {
+    const parent = comment.parent && byId.get(comment.parent.toString());
+    if (parent) {
+      parent.replies.push(comment);
+    } else if (!comment.parent) {
+      thread.push(comment);
+    }
+  }
+
+  const countAll = (list) =>
+    list.reduce((sum, comment) => sum + 1 + countAll(comment.replies), 0);
+
+  return { comments: thread, count: countAll(thread) };
+};
+
+// Static method to delete a comment with all the replies below it
+blogCommentSchema.statics.deleteWithReplies = async function (comment) {
+  const ids = [comment._id];
+  let level = [comment._id];
+
+  while (level.length > 0) {
+    const replies = await this.find({ parent: { $in: level } }).select("_id");
+    level = replies.map((reply) => reply._id);
+    ids.push(...level);
+  }
+
+  await this.deleteMany({ _id: { $in: ids } });
+  return ids.length;
+};
+
+// Static method to move comments out of the feedback of posts saved before
+// comments existed. They were public, so they stay approved under the same
+// id; the ratings stay with the post.
+blogCommentSchema.statics.migrateLegacyFeedback = async function () {
+  const Blog = mongoose.model("Blog");
+
+  const blogs = await Blog.find({ "feedback.comment": { $exists: true } })
+    .select("feedback")
+    .lean();
+
+  for (const blog of blogs) {
+    const legacy = blog.feedback.filter((item) => item.comment);
+
+    await this.insertMany(
+      legacy.map((item) => ({
+        _id: item._id,
+        blog: blog._id,
+        parent: null,
+        depth: 0,
+        guestName: "Anonymous",
+        content: item.comment,
+        status: "approved",
+        isOfficial: false,
+        createdAt: item.createdAt,
+        updatedAt: item.createdAt,
+      })),
+      { ordered: false, lean: true }
+    ).catch((error) => {
+      // Comments already moved by an earlier, interrupted run
+      if (error.code !== 11000) throw error;
+    });
+
+    await Blog.updateOne(
+      { _id: blog._id },
+      { $unset: { "feedback.$[].comment": "" } }
+    );
+  }
+
+  return blogs.length;
+};
+
+// What anyone may see of a comment
+blogCommentSchema.methods.toPublic = function () {
+  return {
+    id: this._id,
+    blog: this.blog,
+    parent: this.parent,
+    author: this.author,
+    guestName: this.guestName,
+    content: this.content,
+    status: this.status,
+    isOfficial: this.isOfficial,
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports = mongoose.model("BlogComment", blogCommentSchema);
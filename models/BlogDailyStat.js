@@ -0,0 +1,159 @@
+const mongoose = require("mongoose");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start of the UTC day a date falls on
+const startOfDay = (date) =>
+  new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+
+// Views of a blog post on one day (UTC). Read completion is kept as a total
+// of the furthest point (0-100%) each view reached, so its average is
+// completionTotal / views.
+const blogDailyStatSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Blog",
+    required: true,
+  },
+  date: {
+    type: Date,
+    required: true,
+  },
+  views: {
+    type: Number,
+    default: 0,
+  },
+  completionTotal: {
+    type: Number,
+    default: 0,
+  },
+  // Views by referring site; "direct" when there was none
+  referrers: [
+    {
+      _id: false,
+      host: String,
+      views: Number,
+    },
+  ],
+});
+
+blogDailyStatSchema.index({ blog: 1, date: 1 }, { unique: true });
+blogDailyStatSchema.index({ date: 1 });
+
+// Static method to count a new view of a blog
+blogDailyStatSchema.statics.addView = async function (blogId, date, host) {
+  const day = { blog: blogId, date: startOfDay(date) };
+
+  await this.updateOne(day, { $inc: { views: 1 } }, { upsert: true });
+
+  const countReferrer = () =>
+    this.updateOne(
+      { ...day, "referrers.host": host },
+      { $inc: { "referrers.$.views": 1 } }
+    );
+
+  const counted = await countReferrer();
+  if (counted.matchedCount > 0) return;
+
+  // Only add the host if no other view added it in the meantime, and count
+  // on its entry if one did
+  const added = await this.updateOne(
+    { ...day, "referrers.host": { $ne: host } },
+    { $push: { referrers: { host, views: 1 } } }
+  );
+  if (added.matchedCount === 0) {
+    await countReferrer();
+  }
+};
+
+// Static method to add read progress to the day a view was counted on
+blogDailyStatSchema.statics.addCompletion = async function (
+  blogId,
+  date,
+  amount
+) {
+  await this.updateOne(
+    { blog: blogId, date: startOfDay(date) },
+    { $inc: { completionTotal: amount } }
+  );
+};
+
+// Static method to get a blog's views per day over the last days (days
+// without views included), with its average read completion and top
+// referrers over that time
+blogDailyStatSchema.statics.getStats = async function (blogId, days) {
+  const today = startOfDay(new Date());
+  const from = new Date(today.getTime() - (days - 1) * DAY_MS);
+
+  const stats = await this.find({
+    blog: blogId,
+    date: { $gte: from },
+  }).sort("date");
+
+  const byDate = new Map(stats.map((stat) => [stat.date.getTime(), stat]));
+  const referrers = new Map();
+  let views = 0;
+  let completionTotal = 0;
+
+  const daily = [];
+  for (let time = from.getTime(); time <= today.getTime(); time += DAY_MS) {
+    const stat = byDate.get(time);
+
+    daily.push({
+      date: new Date(time),
+      views: stat ? stat.views : 0,
+      averageCompletion:
+        stat && stat.views > 0
+          ? Math.round(stat.completionTotal / stat.views)
+          : 0,
+    });
+
+    if (stat) {
+      views += stat.views;
+      completionTotal += stat.completionTotal;
+      for (const { host, views: count } of stat.referrers) {
+        referrers.set(host, (referrers.get(host) || 0) + count);
+      }
+    }
+  }
+
+  return {
+    from,
+    to: today,
+    views,
+    averageCompletion: views > 0 ? Math.round(completionTotal / views) : 0,
+    daily,
+    referrers: [...referrers]
+      .map(([host, count]) => ({ host, views: count }))
+      .sort((a, b) => b.views - a.views)
+      .slice(0, 10),
+  };
+};
+
+// Static method to rank published blogs by their views over the last days
+blogDailyStatSchema.statics.getMostViewed = async function (days, limit) {
+  const from = new Date(startOfDay(new Date()).getTime() - (days - 1) * DAY_MS);
+
+  return await this.aggregate([
+    { $match: { date: { $gte: from } } },
+    { $group: { _id: "$blog", views: { $sum: "$views" } } },
+    {
+      $lookup: {
+        from: mongoose.model("Blog").collection.name,
+        localField: "_id",
+        foreignField: "_id",
+        pipeline: [
+          { $match: { status: "published" } },
+          { $project: { _id: 1 } },
+        ],
+        as: "published",
+      },
+    },
+    { $match: { "published.0": { $exists: true } } },
+    { $sort: { views: -1 } },
+    { $limit: limit },
+    { $project: { views: 1 } },
+  ]);
+};
+
+module.exports = mongoose.model("BlogDailyStat", blogDailyStatSchema);
@@ -0,0 +1,145 @@
+const mongoose = require("mongoose");
+const fs = require("fs");
+const path = require("path");
+
+// Fields copied into every revision, in the order diffs list them
+const REVISION_FIELDS = [
+  "title",
+  "excerpt",
+  "content",
+  "contentFormat",
+  "tags",
+  "coverImage",
+];
+
+// Snapshot of a blog post's copy, stored each time the post is saved with
+// changes. Revisions are numbered per post, starting at 1.
+const blogRevisionSchema = new mongoose.Schema(
+  {
+    blog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Blog",
+      required: true,
+    },
+    number: {
+      type: Number,
+      required: true,
+    },
+    title: String,
+    excerpt: String,
+    content: String,
+    contentFormat: String,
+    tags: [String],
+    coverImage: String,
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Set when the revision was created by restoring an older one
+    restoredFrom: Number,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+blogRevisionSchema.index({ blog: 1, number: -1 }, { unique: true });
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Static method to store the current copy of a blog as its next revision.
+// Nothing is stored when the copy did not change since the last revision.
+blogRevisionSchema.statics.record = async function (
+  blog,
+  editorId,
+  { restoredFrom } = {}
+) {
+  const latest = await this.findOne({ blog: blog._id }).sort("-number");
+
+  const snapshot = {};
+  for (const field of REVISION_FIELDS) {
+    snapshot[field] = field === "tags" ? [...(blog.tags || [])] : blog[field];
+  }
+
+  if (
+    latest &&
+    !restoredFrom &&
+    REVISION_FIELDS.every((field) =>
+      isSameValue(latest[field], snapshot[field])
+    )
+  ) {
+    return null;
+  }
+
+  const revision = await this.create({
+    ...snapshot,
+    blog: blog._id,
+    number: latest ? latest.number + 1 : 1,
+    editor: editorId,
+    restoredFrom,
+  });
+
+  await this.prune(blog);
+  return revision;
+};
+
+// Static method to drop the oldest revisions of a blog beyond
+// BLOG_REVISION_RETENTION (50 by default), along with cover images that
+// nothing refers to any more
+blogRevisionSchema.statics.prune = async function (blog) {
+  const keep = parseInt(process.env.BLOG_REVISION_RETENTION) || 50;
+
+  const stale = await this.find({ blog: blog._id })
+    .sort("-number")
+    .skip(keep)
+    .select("number coverImage");
+
+  if (stale.length === 0) return 0;
+
+  await this.deleteMany({ _id: { $in: stale.map((r) => r._id) } });
+
+  const inUse = new Set(await this.distinct("coverImage", { blog: blog._id }));
+  inUse.add(blog.coverImage);
+
+  for (const image of new Set(stale.map((r) => r.coverImage))) {
+    if (!image || inUse.has(image)) continue;
+
+    const imagePath = path.join(__dirname, "..", image);
+    if (fs.existsSync(imagePath)) {
+      try {
+        fs.unlinkSync(imagePath);
+      } catch (error) {
+        console.error("Error deleting old cover image:", error);
+      }
+    }
+  }
+
+  return stale.length;
+};
+
+// Field-level differences from this revision to another one
+blogRevisionSchema.methods.diff = function (other) {
+  const changes = [];
+
+  for (const field of REVISION_FIELDS) {
+    const from = this[field] ?? null;
+    const to = other[field] ?? null;
+    if (isSameValue(from, to)) continue;
+
+    if (field === "tags") {
+      changes.push({
+        field,
+        from,
+        to,
+        added: to.filter((tag) => !from.includes(tag)),
+        removed: from.filter((tag) => !to.includes(tag)),
+      });
+    } else {
+      changes.push({ field, from, to });
+    }
+  }
+
+  return changes;
+};
+
+module.exports = mongoose.model("BlogRevision", blogRevisionSchema);
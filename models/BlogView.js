@@ -0,0 +1,118 @@
+const mongoose = require("mongoose");
+const BlogDailyStat = require("./BlogDailyStat");
+
+// A visitor's view of a blog post. Each visitor counts once per window of
+// BLOG_VIEW_WINDOW_HOURS (24 by default); views are dropped a day after
+// their window, once only the daily stats need them.
+const blogViewSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Blog",
+    required: true,
+  },
+  visitor: {
+    type: String,
+    required: true,
+  },
+  // Number of the window the view falls in, counted from the epoch
+  window: {
+    type: Number,
+    required: true,
+  },
+  viewedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Furthest point of the post the visitor read to, in percent
+  completion: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: Date,
+});
+
+blogViewSchema.index({ blog: 1, visitor: 1, window: 1 }, { unique: true });
+blogViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const getWindowMs = () =>
+  (parseInt(process.env.BLOG_VIEW_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+
+// Keep only the host of where the reader came from
+const getReferrerHost = (referrer) => {
+  try {
+    return referrer ? new URL(referrer).hostname.toLowerCase() : "direct";
+  } catch (error) {
+    return "direct";
+  }
+};
+
+// Static method to record a view of a blog, and how far it was read.
+// Returns whether it counted as a new view.
+blogViewSchema.statics.track = async function (
+  blogId,
+  visitor,
+  { referrer, completion }
+) {
+  const windowMs = getWindowMs();
+  const now = new Date();
+  const window = Math.floor(now.getTime() / windowMs);
+  const reached = Math.min(100, Math.max(0, Math.round(completion) || 0));
+
+  let view;
+  let isNew = false;
+  try {
+    view = await this.findOneAndUpdate(
+      { blog: blogId, visitor, window },
+      {
+        $setOnInsert: {
+          viewedAt: now,
+          completion: 0,
+          expiresAt: new Date((window + 1) * windowMs + 24 * 60 * 60 * 1000),
+        },
+      },
+      { upsert: true, new: true, rawResult: true }
+    );
+    isNew = !view.lastErrorObject.updatedExisting;
+    view = view.value;
+  } catch (error) {
+    // The same visitor's other tab got there first
+    if (error.code !== 11000) throw error;
+    view = await this.findOne({ blog: blogId, visitor, window });
+  }
+
+  if (isNew) {
+    // A view is not an edit, so updatedAt (used by feed caching) stays
+    await mongoose
+      .model("Blog")
+      .updateOne(
+        { _id: blogId },
+        { $inc: { views: 1 } },
+        { timestamps: false }
+      );
+    await BlogDailyStat.addView(
+      blogId,
+      view.viewedAt,
+      getReferrerHost(referrer)
+    );
+  }
+
+  // Only progress beyond what was already read adds to the completion
+  if (reached > view.completion) {
+    const updated = await this.updateOne(
+      { _id: view._id, completion: view.completion },
+      { $set: { completion: reached } }
+    );
+
+    if (updated.modifiedCount > 0) {
+      await BlogDailyStat.addCompletion(
+        blogId,
+        view.viewedAt,
+        reached - view.completion
+      );
+    }
+  }
+
+  return isNew;
+};
+
+module.exports = mongoose.model("BlogView", blogViewSchema);
@@ -69,6 +69,11 @@ const consultationSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   {
     timestamps: true,
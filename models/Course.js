@@ -1,7 +1,8 @@
 const mongoose = require("mongoose");
-const slugify = require("slugify");
 const fs = require("fs");
 const path = require("path");
+const { nextSlug } = require("../utils/slug");
+const { RATING_STATUSES, hideFeedback } = require("../utils/feedback");
 
 const courseSchema = new mongoose.Schema(
   {
@@ -11,6 +12,11 @@ const courseSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, "Title cannot be more than 100 characters"],
     },
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
     description: {
       type: String,
       required: [true, "Please add a description"],
@@ -115,6 +121,19 @@ const courseSchema = new mongoose.Schema(
           min: 1,
           max: 5,
         },
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        // Who rated (see getVisitorId), for one rating per visitor
+        visitor: String,
+        // Held and rejected ratings wait for a moderator and don't count
+        status: {
+          type: String,
+          enum: RATING_STATUSES,
+          default: "approved",
+        },
+        spamReasons: [String],
         comment: {
           type: String,
           required: true,
@@ -136,18 +155,20 @@ const courseSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: { virtuals: true, transform: hideFeedback },
     toObject: { virtuals: true },
   }
 );
 
-// Create course slug from the title
-courseSchema.pre("save", function (next) {
-  if (!this.isModified("title")) {
-    next();
+// Create course slug from the title, with a numeric suffix only on
+// collision. The previous slug of a renamed course keeps redirecting.
+courseSchema.pre("save", async function () {
+  if (this.title && (this.isNew || this.isModified("title"))) {
+    this.slug = await nextSlug(this, this.title);
   }
-  this.slug = slugify(this.title, { lower: true });
+});
 
+courseSchema.pre("save", function (next) {
   // Generate short description if not provided
   if (!this.shortDescription) {
     this.shortDescription = this.description.substring(0, 150) + "...";
@@ -229,12 +250,14 @@ courseSchema.virtual("relatedCourses", {
 
 // Add method to calculate average rating
 courseSchema.methods.calculateAverageRating = function () {
-  if (this.feedback.length === 0) {
+  // Ratings waiting for a moderator or rejected as spam don't count
+  const ratings = this.feedback.filter((item) => item.status === "approved");
+  if (ratings.length === 0) {
     this.averageRating = 0;
     return;
   }
-  const sum = this.feedback.reduce((acc, item) => acc + item.rating, 0);
-  this.averageRating = (sum / this.feedback.length).toFixed(1);
+  const sum = ratings.reduce((acc, item) => acc + item.rating, 0);
+  this.averageRating = (sum / ratings.length).toFixed(1);
 };
 
 module.exports = mongoose.model("Course", courseSchema);
@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { ROLES } = require("../config/roles");
+
+// Invitation to create an account with a preset role. The link carries a
+// random token; only its sha256 hash is stored.
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "Please add an email"],
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+        "Please add a valid email",
+      ],
+      index: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Name cannot be more than 50 characters"],
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      required: true,
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: Date,
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Conditions matching invitations that can still be accepted
+const pendingConditions = () => ({
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+invitationSchema.virtual("status").get(function () {
+  if (this.acceptedAt) return "accepted";
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= Date.now()) return "expired";
+  return "pending";
+});
+
+// Create an invitation and return it with the plain token for the link
+invitationSchema.statics.generate = async function (data) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const hours = parseInt(process.env.INVITATION_EXPIRE_HOURS) || 72;
+
+  const invitation = await this.create({
+    ...data,
+    token: hashToken(token),
+    expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+  });
+
+  return { invitation, token };
+};
+
+// Static method to find the pending invitation for a plain token
+invitationSchema.statics.findPendingByToken = async function (token) {
+  return await this.findOne({
+    token: hashToken(token),
+    ...pendingConditions(),
+  });
+};
+
+// Static method to get the pending invitations, optionally for one email
+invitationSchema.statics.getPending = async function (email) {
+  const query = pendingConditions();
+  if (email) {
+    query.email = email.toLowerCase();
+  }
+  return await this.find(query).sort("-createdAt");
+};
+
+module.exports = mongoose.model("Invitation", invitationSchema);
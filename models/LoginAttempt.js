@@ -0,0 +1,253 @@
+const mongoose = require("mongoose");
+
+// Failed attempt counters for brute-force protection, kept per account
+// (email) and per IP address for each protected action ("scope"). They live
+// in MongoDB so that restarting the server does not reset them.
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scope: {
+      type: String,
+      enum: ["login", "password-reset", "magic-link", "2fa"],
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["account", "ip"],
+      required: true,
+    },
+    // Email address or IP address
+    identifier: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedAt: Date,
+    lockedUntil: Date,
+    // Number of lockouts so far, each one lasts twice as long as the last
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginAttemptSchema.index({ lockedUntil: 1 });
+
+const envInt = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+// Attempts allowed within the window before locking, per scope and type
+const getMaxAttempts = (scope, type) => {
+  const limits = {
+    login: {
+      account: envInt("LOGIN_MAX_ATTEMPTS", 5),
+      ip: envInt("LOGIN_IP_MAX_ATTEMPTS", 20),
+    },
+    "password-reset": {
+      account: envInt("PASSWORD_RESET_MAX_REQUESTS", 3),
+      ip: envInt("PASSWORD_RESET_IP_MAX_REQUESTS", 10),
+    },
+    "magic-link": {
+      account: envInt("MAGIC_LINK_MAX_REQUESTS", 3),
+      ip: envInt("MAGIC_LINK_IP_MAX_REQUESTS", 10),
+    },
+    // Codes checked for signed-in users (recovery codes, disabling 2FA)
+    "2fa": {
+      account: envInt("LOGIN_MAX_ATTEMPTS", 5),
+      ip: envInt("LOGIN_IP_MAX_ATTEMPTS", 20),
+    },
+  };
+  return limits[scope][type];
+};
+
+const getWindowMs = () => envInt("LOGIN_ATTEMPT_WINDOW_MINUTES", 15) * 60000;
+const getLockMs = () => envInt("LOGIN_LOCK_MINUTES", 15) * 60000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+// Progressive delay: from the third failure on, wait 1s, 2s, 4s... (max 30s)
+// between attempts
+const getDelayMs = (failures) =>
+  failures < 3 ? 0 : Math.min(2 ** (failures - 3), 30) * 1000;
+
+const buildKeys = (scope, email, ip) => {
+  const keys = [];
+  if (email) {
+    // Callers pass request input, which is not always a string
+    const identifier = String(email).toLowerCase();
+    keys.push({
+      key: `${scope}:account:${identifier}`,
+      type: "account",
+      identifier,
+    });
+  }
+  if (ip) {
+    keys.push({ key: `${scope}:ip:${ip}`, type: "ip", identifier: ip });
+  }
+  return keys;
+};
+
+// Work out whether a counter currently refuses attempts
+const getRestriction = (attempt, now = Date.now()) => {
+  if (attempt.lockedUntil && attempt.lockedUntil > now) {
+    return {
+      locked: true,
+      type: attempt.type,
+      lockedUntil: attempt.lockedUntil,
+      retryAfter: Math.ceil((attempt.lockedUntil - now) / 1000),
+    };
+  }
+
+  if (
+    attempt.lastFailedAt &&
+    now - attempt.lastFailedAt < getWindowMs() &&
+    attempt.failures > 0
+  ) {
+    const nextAttemptAt =
+      attempt.lastFailedAt.getTime() + getDelayMs(attempt.failures);
+    if (nextAttemptAt > now) {
+      return {
+        throttled: true,
+        type: attempt.type,
+        retryAfter: Math.ceil((nextAttemptAt - now) / 1000),
+      };
+    }
+  }
+
+  return null;
+};
+
+// Check whether an attempt may go ahead. Returns null when it may, otherwise
+// { locked | throttled, type, retryAfter, lockedUntil }.
+loginAttemptSchema.statics.check = async function ({ scope, email, ip }) {
+  const keys = buildKeys(scope, email, ip).map((k) => k.key);
+  const attempts = await this.find({ key: { $in: keys } });
+
+  const restrictions = attempts.map((a) => getRestriction(a)).filter(Boolean);
+
+  // A lockout outranks a delay, the account outranks the IP
+  restrictions.sort(
+    (a, b) =>
+      Number(!!b.locked) - Number(!!a.locked) ||
+      Number(b.type === "account") - Number(a.type === "account")
+  );
+
+  return restrictions[0] || null;
+};
+
+// Record a failed attempt (or, for rate-limited scopes, any attempt) and
+// return the resulting restriction, if any
+loginAttemptSchema.statics.recordFailure = async function ({
+  scope,
+  email,
+  ip,
+  user,
+}) {
+  const now = Date.now();
+  let restriction = null;
+
+  // Each step is a single atomic update, so parallel attempts cannot lose
+  // each other's failures
+  for (const { key, type, identifier } of buildKeys(scope, email, ip)) {
+    const maxAttempts = getMaxAttempts(scope, type);
+
+    // Failures outside the window no longer count
+    await this.updateOne(
+      { key, lastFailedAt: { $lte: new Date(now - getWindowMs()) } },
+      { $set: { failures: 0 } }
+    );
+
+    // Keep the record (and its lock history) around for a day after it
+    // last mattered
+    const countFailure = () =>
+      this.findOneAndUpdate(
+        { key },
+        {
+          $inc: { failures: 1 },
+          $set: {
+            lastFailedAt: new Date(now),
+            ...(user && type === "account" && { user }),
+          },
+          $max: { expiresAt: new Date(now + getWindowMs() + MAX_LOCK_MS) },
+          $setOnInsert: { scope, type, identifier },
+        },
+        { upsert: true, new: true }
+      );
+
+    let attempt;
+    try {
+      attempt = await countFailure();
+    } catch (error) {
+      // Another attempt created the record first; it exists now
+      if (error.code !== 11000) throw error;
+      attempt = await countFailure();
+    }
+
+    // Only one of the attempts that reach the limit at the same time locks
+    if (attempt.failures >= maxAttempts) {
+      const lockedUntil = new Date(
+        now + Math.min(getLockMs() * 2 ** attempt.lockCount, MAX_LOCK_MS)
+      );
+
+      attempt =
+        (await this.findOneAndUpdate(
+          { _id: attempt._id, failures: { $gte: maxAttempts } },
+          {
+            $set: { lockedUntil, failures: 0 },
+            $inc: { lockCount: 1 },
+            $max: { expiresAt: new Date(lockedUntil.getTime() + MAX_LOCK_MS) },
+          },
+          { new: true }
+        )) || (await this.findById(attempt._id));
+    }
+
+    const current = getRestriction(attempt, now);
+    if (current && (!restriction || (current.locked && !restriction.locked))) {
+      restriction = current;
+    }
+  }
+
+  return restriction;
+};
+
+// Forget the failures of an account after a successful attempt. The IP
+// counter is left alone so one valid account cannot be used to reset it.
+loginAttemptSchema.statics.clearAccount = async function ({ scope, email }) {
+  const [{ key }] = buildKeys(scope, email);
+  await this.updateOne(
+    { key },
+    { $set: { failures: 0 }, $unset: { lastFailedAt: "", lockedUntil: "" } }
+  );
+};
+
+// Static method to get the lockouts currently in force
+loginAttemptSchema.statics.getActiveLockouts = async function () {
+  return await this.find({ lockedUntil: { $gt: new Date() } })
+    .populate("user", "name email role")
+    .sort("-lockedUntil");
+};
+
+// Lift a lockout
+loginAttemptSchema.methods.unlock = async function () {
+  this.lockedUntil = undefined;
+  this.failures = 0;
+  this.lastFailedAt = undefined;
+  await this.save();
+};
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
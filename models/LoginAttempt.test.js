@@ -0,0 +1,134 @@
+const memoryDb = require("../test/memoryDb");
+const LoginAttempt = require("./LoginAttempt");
+
+const MINUTE = 60 * 1000;
+const attempt = { scope: "login", email: "Person@Example.com", ip: "10.0.0.1" };
+
+let now;
+
+beforeAll(memoryDb.connect);
+beforeEach(() => {
+  memoryDb.clear();
+  now = Date.parse("2026-01-01T00:00:00Z");
+  jest.spyOn(Date, "now").mockImplementation(() => now);
+});
+afterEach(() => jest.restoreAllMocks());
+
+const fail = (times, fields = attempt) =>
+  Array.from({ length: times }).reduce(
+    (previous) => previous.then(() => LoginAttempt.recordFailure(fields)),
+    Promise.resolve()
+  );
+
+describe("recordFailure", () => {
+  it("keeps separate counters for the account and the address", async () => {
+    await fail(1);
+
+    const counters = await LoginAttempt.find().sort("key");
+    expect(counters.map((counter) => [counter.key, counter.failures])).toEqual([
+      ["login:account:person@example.com", 1],
+      ["login:ip:10.0.0.1", 1],
+    ]);
+  });
+
+  it("delays attempts progressively from the third failure", async () => {
+    await fail(2);
+    expect(await LoginAttempt.check(attempt)).toBeNull();
+
+    const third = await LoginAttempt.recordFailure(attempt);
+    expect(third).toMatchObject({
+      throttled: true,
+      type: "account",
+      retryAfter: 1,
+    });
+
+    const fourth = await LoginAttempt.recordFailure(attempt);
+    expect(fourth.retryAfter).toBe(2);
+
+    now += 2000;
+    expect(await LoginAttempt.check(attempt)).toBeNull();
+  });
+
+  it("locks the account once it reaches the limit, twice as long each time", async () => {
+    const first = await fail(5).then(() => LoginAttempt.check(attempt));
+
+    expect(first).toMatchObject({ locked: true, type: "account" });
+    expect(first.lockedUntil.getTime()).toBe(now + 15 * MINUTE);
+
+    now += 16 * MINUTE;
+    expect(await LoginAttempt.check(attempt)).toBeNull();
+
+    await fail(4);
+    const second = await LoginAttempt.recordFailure(attempt);
+
+    expect(second.locked).toBe(true);
+    expect(second.lockedUntil.getTime()).toBe(now + 30 * MINUTE);
+  });
+
+  it("locks an address trying many accounts", async () => {
+    for (let i = 0; i < 20; i += 1) {
+      now += MINUTE;
+      await LoginAttempt.recordFailure({
+        scope: "login",
+        email: `user${i}@example.com`,
+        ip: "10.0.0.1",
+      });
+    }
+
+    const restriction = await LoginAttempt.check({
+      scope: "login",
+      email: "someone-else@example.com",
+      ip: "10.0.0.1",
+    });
+    expect(restriction).toMatchObject({ locked: true, type: "ip" });
+  });
+
+  it("forgets failures older than the window", async () => {
+    await fail(4);
+
+    now += 16 * MINUTE;
+    const restriction = await LoginAttempt.recordFailure(attempt);
+
+    expect(restriction).toBeNull();
+    const counter = await LoginAttempt.findOne({
+      key: "login:account:person@example.com",
+    });
+    expect(counter.failures).toBe(1);
+  });
+
+  it("counts the failure when a parallel attempt created the counter first", async () => {
+    const findOneAndUpdate = LoginAttempt.findOneAndUpdate;
+    jest
+      .spyOn(LoginAttempt, "findOneAndUpdate")
+      .mockImplementationOnce(() => {
+        throw Object.assign(new Error("E11000 duplicate key error"), {
+          code: 11000,
+        });
+      })
+      .mockImplementation(findOneAndUpdate);
+
+    await LoginAttempt.recordFailure(attempt);
+
+    const counters = await LoginAttempt.find();
+    expect(counters.map((counter) => counter.failures)).toEqual([1, 1]);
+  });
+
+  it("accepts request input that is not a string", async () => {
+    await LoginAttempt.recordFailure({ scope: "login", email: ["a@b.c"] });
+
+    expect(await LoginAttempt.countDocuments({ identifier: "a@b.c" })).toBe(1);
+  });
+});
+
+describe("clearAccount", () => {
+  it("clears the account but not the address", async () => {
+    await fail(3);
+
+    await LoginAttempt.clearAccount(attempt);
+
+    const account = await LoginAttempt.findOne({ type: "account" });
+    const ip = await LoginAttempt.findOne({ type: "ip" });
+    expect(account.failures).toBe(0);
+    expect(ip.failures).toBe(3);
+  });
+});
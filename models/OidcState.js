@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { randomString } = require("../utils/oidc");
+
+// Short-lived state of social logins in progress. A document is either an
+// authorization request (state, PKCE verifier and nonce, kept until the
+// provider redirects back) or a one-time login code handed to the frontend
+// after the callback. Both are deleted when used.
+const oidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  provider: String,
+  codeVerifier: String,
+  nonce: String,
+  // "link" adds the identity to a signed-in user instead of logging in
+  mode: {
+    type: String,
+    enum: ["login", "link"],
+    default: "login",
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // sha256 hash of the login code
+  loginCode: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(code).digest("hex");
+
+// Static method to start an authorization request
+oidcStateSchema.statics.start = async function ({ provider, mode, user }) {
+  return await this.create({
+    state: randomString(),
+    codeVerifier: randomString(),
+    nonce: randomString(),
+    provider,
+    mode,
+    user,
+    expiresAt: new Date(Date.now() + 10 * 60 * 1000),
+  });
+};
+
+// Static method to take back a pending authorization request, once
+oidcStateSchema.statics.consume = async function (provider, state) {
+  if (typeof state !== "string") return null;
+
+  return await this.findOneAndDelete({
+    state,
+    provider,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Static method to issue a login code, valid for two minutes
+oidcStateSchema.statics.issueLoginCode = async function (userId, provider) {
+  const code = randomString();
+
+  await this.create({
+    loginCode: hashCode(code),
+    user: userId,
+    provider,
+    expiresAt: new Date(Date.now() + 2 * 60 * 1000),
+  });
+
+  return code;
+};
+
+// Static method to redeem a login code, once
+oidcStateSchema.statics.redeemLoginCode = async function (code) {
+  if (typeof code !== "string") return null;
+
+  return await this.findOneAndDelete({
+    loginCode: hashCode(code),
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+module.exports = mongoose.model("OidcState", oidcStateSchema);
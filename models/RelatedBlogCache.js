@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// Computed related posts of a blog post, best first. Entries are removed
+// when the post or one of its related posts changes, and all of them when a
+// post changes status (see the Blog model). They expire after a week
+// regardless.
+const relatedBlogCacheSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Blog",
+    required: true,
+    unique: true,
+  },
+  related: [
+    {
+      _id: false,
+      blog: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Blog",
+      },
+      score: Number,
+    },
+  ],
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+  },
+});
+
+relatedBlogCacheSchema.index({ "related.blog": 1 });
+relatedBlogCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to drop the cached results a post appears in
+relatedBlogCacheSchema.statics.invalidate = async function (blogId) {
+  await this.deleteMany({
+    $or: [{ blog: blogId }, { "related.blog": blogId }],
+  });
+};
+
+// Static method to drop every cached result, for when the set of posts
+// that can be related changes
+relatedBlogCacheSchema.statics.clear = async function () {
+  await this.deleteMany({});
+};
+
+module.exports = mongoose.model("RelatedBlogCache", relatedBlogCacheSchema);
@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+
+// One document per signed-in device. The session is also the refresh token
+// family: every rotation replaces refreshToken, and replaying an older token
+// of the same session revokes it.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // sha256 hash of the current refresh token
+    refreshToken: {
+      type: String,
+      select: false,
+    },
+    deviceLabel: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Device label cannot be more than 100 characters"],
+    },
+    ip: String,
+    userAgent: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Set when an admin is impersonating the user. These sessions have no
+    // refresh token and end with their access token.
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    expiresAt: Date,
+    revokedAt: Date,
+    revokedReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB drop sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check whether the session can still be refreshed
+sessionSchema.methods.isActive = function () {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > Date.now();
+};
+
+// Revoke this session
+sessionSchema.methods.revoke = async function (reason = "logout") {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  this.refreshToken = undefined;
+  await this.save();
+};
+
+// Static method to get the active sessions of a user
+sessionSchema.statics.getActiveSessions = async function (userId) {
+  return await this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort("-lastUsedAt");
+};
+
+// Static method to revoke every active session of a user, optionally
+// keeping one (the caller's own)
+sessionSchema.statics.revokeAll = async function (
+  userId,
+  { except = null, reason = "logout" } = {}
+) {
+  const query = { user: userId, revokedAt: null };
+  if (except) {
+    query._id = { $ne: except };
+  }
+
+  const result = await this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+    $unset: { refreshToken: "" },
+  });
+
+  return result.modifiedCount;
+};
+
+// Shape a session for API responses
+sessionSchema.methods.toPublic = function (currentSessionId) {
+  return {
+    id: this._id,
+    deviceLabel: this.deviceLabel,
+    ip: this.ip,
+    userAgent: this.userAgent,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    impersonatedBy: this.impersonatedBy,
+    current: currentSessionId ? this._id.equals(currentSessionId) : false,
+  };
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
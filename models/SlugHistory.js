@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Slugs a blog post or course used before its title changed, so that old
+// URLs can point to the current one. A retired slug is never given to
+// another document.
+const slugHistorySchema = new mongoose.Schema(
+  {
+    // Model name of the document, e.g. "Blog" or "Course"
+    model: {
+      type: String,
+      required: true,
+    },
+    slug: {
+      type: String,
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+slugHistorySchema.index({ model: 1, slug: 1 }, { unique: true });
+
+// Static method to keep a slug that a document no longer uses
+slugHistorySchema.statics.retire = async function (model, slug, target) {
+  await this.updateOne(
+    { model, slug },
+    { $setOnInsert: { model, slug, target } },
+    { upsert: true }
+  );
+};
+
+// Static method to find the document an old slug belonged to
+slugHistorySchema.statics.findTarget = async function (model, slug) {
+  const entry = await this.findOne({ model, slug });
+  return entry ? entry.target : null;
+};
+
+module.exports = mongoose.model("SlugHistory", slugHistorySchema);
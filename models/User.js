@@ -2,6 +2,15 @@ const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
+const { verifyTotp } = require("../utils/totp");
+const { ROLES } = require("../config/roles");
+
+// Recovery codes are compared case- and dash-insensitively
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
 
 const userSchema = new mongoose.Schema(
   {
@@ -30,7 +39,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["user", "admin"],
+      enum: ROLES,
       default: "user",
     },
     phone: {
@@ -47,9 +56,68 @@ const userSchema = new mongoose.Schema(
       enum: ["beginner", "intermediate", "advanced"],
       default: "beginner",
     },
+    // Bumped to invalidate every access token issued so far
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
     resetPasswordToken: String,
     resetPasswordExpire: Date,
-    refreshToken: String,
+    // Deliberately no default: accounts created before email verification
+    // existed have no value and are treated as verified
+    isEmailVerified: Boolean,
+    emailVerificationToken: String,
+    emailVerificationExpire: Date,
+    emailVerificationSentAt: Date,
+    magicLinkToken: String,
+    magicLinkExpire: Date,
+    // Email change waiting for confirmation from the new address
+    pendingEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+        "Please add a valid email",
+      ],
+    },
+    emailChangeToken: String,
+    emailChangeExpire: Date,
+    // Lets the old address undo a change, before or after confirmation
+    previousEmail: String,
+    emailRevertToken: String,
+    emailRevertExpire: Date,
+    // Set while a self-service deletion waits out its grace period
+    deletionRequestedAt: Date,
+    deletionScheduledFor: {
+      type: Date,
+      index: true,
+    },
+    // Set once the account has been anonymised
+    deletedAt: Date,
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    // Secret waiting for the user to confirm it with a first code
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // sha256 hashes of the unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
     isBlocked: {
       type: Boolean,
       default: false,
@@ -78,6 +146,24 @@ const userSchema = new mongoose.Schema(
         unblockedAt: Date,
       },
     ],
+    // Social login accounts (OpenID Connect) linked to this user
+    oidcIdentities: [
+      {
+        provider: {
+          type: String,
+          required: true,
+        },
+        subject: {
+          type: String,
+          required: true,
+        },
+        email: String,
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
@@ -86,12 +172,26 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// A provider account can only be linked to one user
+userSchema.index(
+  { "oidcIdentities.provider": 1, "oidcIdentities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "oidcIdentities.subject": { $exists: true } },
+  }
+);
+
 // Encrypt password using bcrypt
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
     return next();
   }
   try {
+    // Tokens issued with the old password must stop working
+    if (!this.isNew) {
+      this.tokenVersion = (this.tokenVersion || 0) + 1;
+    }
+
     // Hash password with cost of 12
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
@@ -143,6 +243,110 @@ userSchema.methods.getResetPasswordToken = function () {
   return resetToken;
 };
 
+// Generate and hash email verification token
+userSchema.methods.getEmailVerificationToken = function () {
+  // Generate token
+  const verificationToken = crypto.randomBytes(20).toString("hex");
+
+  // Hash token and set to emailVerificationToken field
+  this.emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(verificationToken)
+    .digest("hex");
+
+  // Set expire time (24 hours)
+  this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000;
+  this.emailVerificationSentAt = Date.now();
+
+  return verificationToken;
+};
+
+// Generate and hash a one-time sign-in link token
+userSchema.methods.getMagicLinkToken = function () {
+  // Generate token
+  const magicToken = crypto.randomBytes(20).toString("hex");
+
+  // Hash token and set to magicLinkToken field
+  this.magicLinkToken = crypto
+    .createHash("sha256")
+    .update(magicToken)
+    .digest("hex");
+
+  // Set expire time (MAGIC_LINK_EXPIRE_MINUTES, 15 minutes by default)
+  const minutes = parseInt(process.env.MAGIC_LINK_EXPIRE_MINUTES) || 15;
+  this.magicLinkExpire = Date.now() + minutes * 60 * 1000;
+
+  return magicToken;
+};
+
+// Start an email change: generate and hash the confirmation token for the
+// new address and the revert token for the current one
+userSchema.methods.getEmailChangeTokens = function (newEmail) {
+  const confirmToken = crypto.randomBytes(20).toString("hex");
+  const revertToken = crypto.randomBytes(20).toString("hex");
+  const hash = (token) =>
+    crypto.createHash("sha256").update(token).digest("hex");
+
+  this.pendingEmail = newEmail;
+  this.emailChangeToken = hash(confirmToken);
+  // Set expire time (24 hours)
+  this.emailChangeExpire = Date.now() + 24 * 60 * 60 * 1000;
+
+  this.emailRevertToken = hash(revertToken);
+  // The old address can undo the change for EMAIL_CHANGE_REVERT_DAYS
+  const revertDays = parseInt(process.env.EMAIL_CHANGE_REVERT_DAYS) || 7;
+  this.emailRevertExpire = Date.now() + revertDays * 24 * 60 * 60 * 1000;
+
+  return { confirmToken, revertToken };
+};
+
+// Drop a pending email change
+userSchema.methods.clearPendingEmail = function () {
+  this.pendingEmail = undefined;
+  this.emailChangeToken = undefined;
+  this.emailChangeExpire = undefined;
+};
+
+// Generate a fresh set of one-time recovery codes, storing only their hashes.
+// Returns the plain codes, which can only be shown to the user once.
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const code = crypto.randomBytes(5).toString("hex");
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+
+  this.twoFactorRecoveryCodes = codes.map((code) => hashRecoveryCode(code));
+
+  return codes;
+};
+
+// Check a second factor: an authenticator code, or failing that an unused
+// recovery code (which is then consumed). Needs +twoFactorSecret
+// +twoFactorRecoveryCodes +twoFactorLastUsedStep selected. Returns "totp",
+// "recovery" or false; the caller must save the user on success.
+userSchema.methods.verifyTwoFactorCode = function (code) {
+  if (!code || typeof code !== "string") return false;
+
+  const step = verifyTotp(this.twoFactorSecret, code);
+  if (step !== null) {
+    if (this.twoFactorLastUsedStep && step <= this.twoFactorLastUsedStep) {
+      return false;
+    }
+    this.twoFactorLastUsedStep = step;
+    return "totp";
+  }
+
+  const hashed = hashRecoveryCode(code);
+  const codes = this.twoFactorRecoveryCodes || [];
+  if (codes.includes(hashed)) {
+    this.twoFactorRecoveryCodes = codes.filter((c) => c !== hashed);
+    return "recovery";
+  }
+
+  return false;
+};
+
 // Virtual populate
 userSchema.virtual("consultations", {
   ref: "Consultation",
@@ -165,6 +369,25 @@ userSchema.methods.isCurrentlyBlocked = function () {
   return this.blockExpiresAt > Date.now();
 };
 
+// Lift a timed block whose expiry has passed. Returns true if it was lifted.
+userSchema.methods.liftExpiredBlock = async function () {
+  if (!this.isBlocked || !this.blockExpiresAt) return false;
+  if (this.blockExpiresAt > Date.now()) return false;
+
+  await this.unblockUser();
+  return true;
+};
+
+// Describe the current block for API responses
+userSchema.methods.getBlockInfo = function () {
+  return {
+    reason: this.blockReason || "No reason provided",
+    expiresAt: this.blockExpiresAt
+      ? new Date(this.blockExpiresAt).toISOString()
+      : "permanent",
+  };
+};
+
 // Add method to block user
 userSchema.methods.blockUser = async function (
   blockedBy,
@@ -190,6 +413,7 @@ userSchema.methods.blockUser = async function (
 userSchema.methods.unblockUser = async function () {
   this.isBlocked = false;
   this.blockReason = null;
+  this.blockExpiresAt = null;
 
   // Update the last block history entry
   if (this.blockHistory.length > 0) {
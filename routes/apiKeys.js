@@ -0,0 +1,23 @@
+const express = require("express");
+const {
+  createApiKey,
+  getApiKeys,
+  getApiKey,
+  revokeApiKey,
+} = require("../controllers/apiKeyController");
+const {
+  protect,
+  requirePermission,
+  rejectApiKey,
+} = require("../middleware/auth");
+
+const router = express.Router();
+
+// Keys are managed by signed-in admins only, never by other keys
+router.use(protect, rejectApiKey);
+router.use(requirePermission("api-key:manage"));
+
+router.route("/").get(getApiKeys).post(createApiKey);
+router.route("/:id").get(getApiKey).delete(revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require("express");
+const { getAuditLogs } = require("../controllers/auditLogController");
+const { protect, requirePermission } = require("../middleware/auth");
+
+const router = express.Router();
+
+router.use(protect);
+router.use(requirePermission("audit:read"));
+
+router.get("/", getAuditLogs);
+
+module.exports = router;
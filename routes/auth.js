@@ -2,14 +2,49 @@ const express = require("express");
 const {
   register,
   login,
+  refresh,
   getMe,
   logout,
   updateDetails,
   updatePassword,
   forgotPassword,
   resetPassword,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerification,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getInvitation,
+  acceptInvitation,
+  requestMagicLink,
+  verifyMagicLink,
+  exportMe,
+  deleteMe,
+  cancelDeletion,
+  requestEmailChange,
+  cancelEmailChange,
+  confirmEmailChange,
+  revertEmailChange,
+  endImpersonation,
 } = require("../controllers/authController");
-const { protect } = require("../middleware/auth");
+const {
+  getOidcProviders,
+  startOidcLogin,
+  startOidcLink,
+  oidcCallback,
+  exchangeOidcCode,
+  unlinkOidcProvider,
+} = require("../controllers/oidcController");
+const {
+  protect,
+  rejectApiKey,
+  blockImpersonation,
+} = require("../middleware/auth");
 const upload = require("../middleware/upload");
 const { authValidation } = require("../middleware/validation");
 
@@ -18,14 +53,67 @@ const router = express.Router();
 // Public routes
 router.post("/register", authValidation.register, register);
 router.post("/login", authValidation.login, login);
+router.post("/refresh", refresh);
+
+// Social login (OpenID Connect)
+router.get("/oidc/providers", getOidcProviders);
+router.post("/oidc/exchange", exchangeOidcCode);
+router.get("/oidc/:provider", startOidcLogin);
+router.get("/oidc/:provider/callback", oidcCallback);
+
+router.post("/magic-link", requestMagicLink);
+router.post("/magic-link/:token", verifyMagicLink);
+router.post("/2fa/verify", verifyTwoFactorLogin);
 router.post("/forgotpassword", forgotPassword);
 router.put("/resetpassword/:resettoken", resetPassword);
+router.post("/verify-email/:token", verifyEmail);
+router.post("/email-change/confirm/:token", confirmEmailChange);
+router.post("/email-change/revert/:token", revertEmailChange);
+router.get("/invitations/:token", getInvitation);
+router.post(
+  "/invitations/:token/accept",
+  authValidation.acceptInvitation,
+  acceptInvitation
+);
 
 // Protected routes
 router.use(protect); // Apply protect middleware to all routes below
+router.use(rejectApiKey); // Account routes need a signed-in user
 router.post("/logout", logout);
-router.get("/me", getMe);
-router.put("/updatedetails", protect, upload.single("avatar"), updateDetails);
-router.put("/updatepassword", updatePassword);
+router.post("/impersonation/end", endImpersonation);
+router.route("/me").get(getMe).delete(blockImpersonation, deleteMe);
+router.get("/me/export", blockImpersonation, exportMe);
+router.post("/me/cancel-deletion", blockImpersonation, cancelDeletion);
+router.put(
+  "/updatedetails",
+  blockImpersonation,
+  upload.single("avatar"),
+  authValidation.updateDetails,
+  updateDetails
+);
+router.put("/updatepassword", blockImpersonation, updatePassword);
+router
+  .route("/email-change")
+  .post(blockImpersonation, authValidation.emailChange, requestEmailChange)
+  .delete(blockImpersonation, cancelEmailChange);
+router.post("/resend-verification", resendVerification);
+
+// Two-factor authentication
+router.use("/2fa", blockImpersonation);
+router.post("/2fa/setup", setupTwoFactor);
+router.post("/2fa/confirm", confirmTwoFactor);
+router.post("/2fa/recovery-codes", regenerateRecoveryCodes);
+router.post("/2fa/disable", disableTwoFactor);
+
+// Session management
+router.get("/sessions", getSessions);
+router.delete("/sessions", blockImpersonation, revokeOtherSessions);
+router.delete("/sessions/:id", blockImpersonation, revokeSession);
+
+// Linked social login providers
+router
+  .route("/oidc/:provider/link")
+  .post(blockImpersonation, startOidcLink)
+  .delete(blockImpersonation, unlinkOidcProvider);
 
 module.exports = router;
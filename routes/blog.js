@@ -2,6 +2,7 @@ const express = require("express");
 const {
   getBlogs,
   getBlog,
+  getBlogBySlug,
   createBlog,
   updateBlog,
   deleteBlog,
@@ -9,11 +10,40 @@ const {
   getBlogsByCategory,
   searchBlogs,
   getAllBlogs,
+  updateBlogStatus,
+  assignBlogReviewer,
+  approveBlog,
+  requestBlogChanges,
+  getBlogStatusHistory,
+  getBlogRevisions,
+  getBlogRevision,
+  diffBlogRevisions,
+  restoreBlogRevision,
+  trackBlogView,
+  getBlogStats,
+  getRelatedBlogs,
+  setRelatedBlogs,
+} = require("../controllers/blogController");
+const { getBlogFeed } = require("../controllers/feedController");
+const {
+  getComments,
+  addComment,
+  rateBlog,
   addFeedback,
-  getFeedback,
+  getModerationQueue,
+  moderateComment,
+  deleteComment,
+  getRatingModerationQueue,
+  moderateBlogRating,
   deleteFeedback,
-} = require("../controllers/blogController");
-const { protect, authorize } = require("../middleware/auth");
+} = require("../controllers/commentController");
+const {
+  protect,
+  optionalProtect,
+  requirePermission,
+} = require("../middleware/auth");
+const feedbackLimiter = require("../middleware/feedbackLimiter");
+const viewLimiter = require("../middleware/viewLimiter");
 const upload = require("../middleware/upload");
 const { blogValidation } = require("../middleware/validation");
 
@@ -24,27 +54,74 @@ router.get("/", getBlogs);
 router.get("/popular", getPopularBlogs);
 router.get("/category/:category", getBlogsByCategory);
 router.get("/search", searchBlogs);
+router.get("/slug/:slug", getBlogBySlug);
+
+// Feeds (RSS, Atom and JSON Feed)
+router.get("/feed.:format", getBlogFeed);
+router.get("/category/:category/feed.:format", getBlogFeed);
+router.get("/tag/:tag/feed.:format", getBlogFeed);
+
+// Comment moderation
+router.get(
+  "/comments",
+  protect,
+  requirePermission("blog:moderate"),
+  getModerationQueue
+);
+router.patch(
+  "/comments/:commentId/status",
+  protect,
+  requirePermission("blog:moderate"),
+  moderateComment
+);
+router.delete(
+  "/comments/:commentId",
+  protect,
+  requirePermission("blog:moderate"),
+  deleteComment
+);
+router.get(
+  "/ratings",
+  protect,
+  requirePermission("blog:moderate"),
+  getRatingModerationQueue
+);
+router.patch(
+  "/:id/ratings/:ratingId/status",
+  protect,
+  requirePermission("blog:moderate"),
+  moderateBlogRating
+);
 
-// Feedback routes (public, now using optionalProtect)
-router.post("/:id/feedback", addFeedback);
-router.get("/:id/feedback", getFeedback);
+// Related posts
+router.get("/:id/related", getRelatedBlogs);
+
+// View tracking (public; bots are not counted)
+router.post("/:id/views", optionalProtect, viewLimiter, trackBlogView);
+
+// Comments and ratings (public; signed-in users comment under their name)
+router.get("/:id/comments", getComments);
+router.post("/:id/comments", optionalProtect, feedbackLimiter, addComment);
+router.post("/:id/ratings", optionalProtect, feedbackLimiter, rateBlog);
+router.get("/:id/feedback", getComments);
+router.post("/:id/feedback", optionalProtect, feedbackLimiter, addFeedback);
 
 // Admin feedback routes
 router.delete(
   "/:id/feedback/:feedbackId",
   protect,
-  authorize("admin"),
+  requirePermission("blog:moderate"),
   deleteFeedback
 );
 
-// Get single blog (general :id route)
-router.get("/:id", getBlog);
+// Get single blog (general :id route; unpublished ones for their editors)
+router.get("/:id", optionalProtect, getBlog);
 
 // Protected routes
 router.use(protect);
 
-// Admin routes
-router.use(authorize("admin"));
+// Author routes (editing other people's posts is checked in the controller)
+router.use(requirePermission("blog:write"));
 router.get("/admin/all", getAllBlogs);
 router.post(
   "/",
@@ -60,4 +137,31 @@ router.put(
 );
 router.delete("/:id", deleteBlog);
 
+// Analytics
+router.get("/:id/stats", getBlogStats);
+
+// Pinned related posts
+router.put("/:id/related", setRelatedBlogs);
+
+// Revisions
+router.get("/:id/revisions", getBlogRevisions);
+router.get("/:id/revisions/diff", diffBlogRevisions);
+router.get("/:id/revisions/:number", getBlogRevision);
+router.post("/:id/revisions/:number/restore", restoreBlogRevision);
+
+// Editorial workflow
+router.patch("/:id/status", updateBlogStatus);
+router.get("/:id/status-history", getBlogStatusHistory);
+router.put(
+  "/:id/reviewer",
+  requirePermission("blog:publish"),
+  assignBlogReviewer
+);
+router.post("/:id/approve", requirePermission("blog:publish"), approveBlog);
+router.post(
+  "/:id/request-changes",
+  requirePermission("blog:publish"),
+  requestBlogChanges
+);
+
 module.exports = router;
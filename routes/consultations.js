@@ -8,8 +8,13 @@ const {
   getUserConsultations,
   updateConsultationStatus,
   getStatusHistory,
+  assignConsultation,
 } = require("../controllers/consultationController");
-const { protect, authorize } = require("../middleware/auth");
+const {
+  protect,
+  requirePermission,
+  requireVerifiedEmail,
+} = require("../middleware/auth");
 const { consultationValidation } = require("../middleware/validation");
 
 const router = express.Router();
@@ -19,22 +24,36 @@ router.use(protect);
 
 // User routes
 router.get("/my-consultations", getUserConsultations);
-router.post("/", consultationValidation.create, createConsultation);
+router.post(
+  "/",
+  requireVerifiedEmail,
+  consultationValidation.create,
+  createConsultation
+);
 
 // Admin specific routes (must come before parameterized routes)
-router.get("/", authorize("admin"), getConsultations);
+router.get("/", requirePermission("consultation:read"), getConsultations);
 
 // Admin management routes (must come before parameterized routes)
 router.patch(
   "/:id/status",
-  authorize("admin"),
+  requirePermission("consultation:update-status"),
   consultationValidation.status,
   updateConsultationStatus
 );
 
 
 // Status management routes
-router.get("/:id/status-history", authorize("admin"), getStatusHistory);
+router.get(
+  "/:id/status-history",
+  requirePermission("consultation:read"),
+  getStatusHistory
+);
+router.patch(
+  "/:id/assign",
+  requirePermission("consultation:assign"),
+  assignConsultation
+);
 
 // Shared routes (accessible to both users and admins)
 router.get("/:id", getConsultation);
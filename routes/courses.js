@@ -1,33 +1,60 @@
 const express = require("express");
 const router = express.Router();
 const courseController = require("../controllers/courseController");
-const { protect, authorize } = require("../middleware/auth");
+const {
+  protect,
+  optionalProtect,
+  requirePermission,
+} = require("../middleware/auth");
+const feedbackLimiter = require("../middleware/feedbackLimiter");
 const upload = require("../middleware/upload");
 
 // Public routes
 router.get("/search", courseController.searchCourses);
 router.get("/", courseController.getAllCourses);
+router.get("/slug/:slug", courseController.getCourseBySlug);
+
+// Feedback held or rejected by the spam checks
+router.get(
+  "/feedback",
+  protect,
+  requirePermission("course:moderate"),
+  courseController.getFeedbackModerationQueue
+);
+
 router.get("/:id", courseController.getCourse);
 
 // Feedback routes (public, but optionalProtect middleware runs if token present)
-router.post("/:id/feedback", courseController.addFeedback);
+router.post(
+  "/:id/feedback",
+  optionalProtect,
+  feedbackLimiter,
+  courseController.addFeedback
+);
 router.get("/:id/feedback", courseController.getFeedback);
 
 // Admin feedback routes
+router.patch(
+  "/:id/feedback/:feedbackId/status",
+  protect,
+  requirePermission("course:moderate"),
+  courseController.moderateFeedback
+);
 router.delete(
   "/:id/feedback/:feedbackId",
   protect,
-  authorize("admin"),
+  requirePermission("course:moderate"),
   courseController.deleteFeedback
 );
 
 // Protected routes
 router.use(protect);
 
-// Admin routes
+// Instructor routes (editing other people's courses is checked in the
+// controller)
 router.post(
   "/",
-  authorize("admin"),
+  requirePermission("course:teach"),
   upload.fields([
     { name: "video", maxCount: 1 },
     { name: "photo", maxCount: 1 },
@@ -37,7 +64,7 @@ router.post(
 );
 router.put(
   "/:id",
-  authorize("admin"),
+  requirePermission("course:teach"),
   upload.fields([
     { name: "video", maxCount: 1 },
     { name: "photo", maxCount: 1 },
@@ -45,6 +72,10 @@ router.put(
   ]),
   courseController.updateCourse
 );
-router.delete("/:id", authorize("admin"), courseController.deleteCourse);
+router.delete(
+  "/:id",
+  requirePermission("course:teach"),
+  courseController.deleteCourse
+);
 
 module.exports = router;
@@ -1,10 +1,14 @@
 const express = require("express");
 const router = express.Router();
 const enrollmentController = require("../controllers/enrollmentController");
+const { protect, requirePermission } = require("../middleware/auth");
 
 // Create a new enrollment
 router.post("/", enrollmentController.createEnrollment);
 
+// Reviewing enrollments requires permission
+router.use(protect, requirePermission("enrollment:review"));
+
 // Get all enrollments
 router.get("/", enrollmentController.getEnrollments);
 
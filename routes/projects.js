@@ -2,7 +2,7 @@ const express = require("express");
 const router = express.Router();
 const projectController = require("../controllers/projectController");
 const upload = require("../middleware/upload");
-const { protect, authorize } = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
 
 // Public routes
 router.get("/", projectController.getProjects);
@@ -12,21 +12,21 @@ router.get("/:projectSlug", projectController.getProject);
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission("site:manage"),
   upload.array("images", 10), // up to 10 images
   projectController.createProject
 );
 router.put(
   "/:projectSlug",
   protect,
-  authorize("admin"),
+  requirePermission("site:manage"),
   upload.array("images", 10),
   projectController.updateProject
 );
 router.delete(
   "/:projectSlug",
   protect,
-  authorize("admin"),
+  requirePermission("site:manage"),
   projectController.deleteProject
 );
 
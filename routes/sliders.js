@@ -5,7 +5,7 @@ const {
   updateSlider,
   deleteSlider,
 } = require("../controllers/sliderController");
-const { protect, authorize } = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
 const upload = require("../middleware/upload");
 
 const router = express.Router();
@@ -14,17 +14,17 @@ router.get("/", getSliders);
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission("site:manage"),
   upload.single("image"),
   createSlider
 );
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission("site:manage"),
   upload.single("image"),
   updateSlider
 );
-router.delete("/:id", protect, authorize("admin"), deleteSlider);
+router.delete("/:id", protect, requirePermission("site:manage"), deleteSlider);
 
 module.exports = router;
@@ -6,7 +6,7 @@ const {
   updateTestimonial,
   deleteTestimonial,
 } = require("../controllers/testimonialController");
-const { protect } = require("../middleware/auth");
+const { protect, requireVerifiedEmail } = require("../middleware/auth");
 
 const router = express.Router();
 
@@ -16,7 +16,7 @@ router.get("/:id", getTestimonial);
 
 // Protected routes
 router.use(protect);
-router.post("/", createTestimonial);
+router.post("/", requireVerifiedEmail, createTestimonial);
 router.put("/:id", updateTestimonial);
 router.delete("/:id", deleteTestimonial);
 
@@ -6,22 +6,72 @@ const {
   unblockUser,
   getBlockHistory,
   updateUserLevel,
+  getUserSessions,
+  revokeUserSession,
+  revokeUserSessions,
+  getLockouts,
+  removeLockout,
+  unlockUser,
+  getRoles,
+  updateUserRole,
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  getPendingDeletions,
+  impersonateUser,
 } = require("../controllers/userController");
-const { protect, authorize } = require("../middleware/auth");
+const {
+  protect,
+  requirePermission,
+  rejectApiKey,
+} = require("../middleware/auth");
 
 const router = express.Router();
 
 // Protect all routes
 router.use(protect);
-// Restrict to admin role
-router.use(authorize("admin"));
+// Restrict to user managers
+router.use(requirePermission("user:manage"));
 
 router.route("/").get(getUsers).delete(deleteUsers);
+router.get("/deletions", getPendingDeletions);
+
+// Roles and permissions
+router.get("/roles", getRoles);
+router.put("/:id/role", requirePermission("role:assign"), updateUserRole);
+
+// Invitations (inviting someone presets their role)
+router
+  .route("/invitations")
+  .get(getInvitations)
+  .post(requirePermission("role:assign"), createInvitation);
+router.delete(
+  "/invitations/:invitationId",
+  requirePermission("role:assign"),
+  revokeInvitation
+);
+
+// Login lockouts (brute-force protection, separate from admin blocks)
+router.get("/lockouts", getLockouts);
+router.delete("/lockouts/:lockoutId", removeLockout);
+router.post("/:id/unlock", unlockUser);
 
 // Block/Unblock routes
 router.post("/:id/block", blockUser);
-router.post("/:id/unblock", authorize("admin"), unblockUser);
-router.put("/:id/level", authorize("admin"), updateUserLevel);
-router.get("/:id/block-history", authorize("admin"), getBlockHistory);
+router.post("/:id/unblock", unblockUser);
+router.put("/:id/level", updateUserLevel);
+router.get("/:id/block-history", getBlockHistory);
+
+// Session management
+router.route("/:id/sessions").get(getUserSessions).delete(revokeUserSessions);
+router.delete("/:id/sessions/:sessionId", revokeUserSession);
+
+// Support impersonation (not available to API keys)
+router.post(
+  "/:id/impersonate",
+  rejectApiKey,
+  requirePermission("user:impersonate"),
+  impersonateUser
+);
 
 module.exports = router;
@@ -5,7 +5,7 @@ const {
   updateWhyImage,
   deleteWhyImage,
 } = require("../controllers/whyImageController");
-const { protect, authorize } = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
 const upload = require("../middleware/upload");
 
 const router = express.Router();
@@ -14,17 +14,22 @@ router.get("/", getWhyImage);
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission("site:manage"),
   upload.single("image"),
   createWhyImage
 );
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission("site:manage"),
   upload.single("image"),
   updateWhyImage
 );
-router.delete("/:id", protect, authorize("admin"), deleteWhyImage);
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("site:manage"),
+  deleteWhyImage
+);
 
 module.exports = router;
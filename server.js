@@ -1,145 +1,12 @@
-const express = require("express");
-const cors = require("cors");
-const helmet = require("helmet");
-const compression = require("compression");
-const morgan = require("morgan");
-const rateLimit = require("express-rate-limit");
-const path = require("path");
 const mongoose = require("mongoose");
 require("dotenv").config();
 
+const app = require("./app");
 const User = require("./models/User");
-
-// Import routes
-const authRoutes = require("./routes/auth");
-const blogRoutes = require("./routes/blog");
-const testimonialRoutes = require("./routes/testimonials");
-const courseRoutes = require("./routes/courses");
-const consultationRoutes = require("./routes/consultations");
-const userRoutes = require("./routes/users");
-const sliderRoutes = require("./routes/sliders");
-const projectRoutes = require("./routes/projects");
-const enrollmentRoutes = require("./routes/enrollments");
-const whyImageRoutes = require("./routes/whyImage");
-const app = express();
-
-// Security middleware
-app.use(helmet());
-app.use(compression());
-
-// CORS configuration
-app.use(
-  cors({
-    origin: true,
-    credentials: true,
-  })
-);
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 1000, // Increased limit to 1000 requests per windowMs
-  message: "Too many requests from this IP, please try again later.",
-});
-app.use(limiter);
-
-// Body parsing middleware
-app.use(express.json({ limit: "50mb" }));
-app.use(express.urlencoded({ extended: true, limit: "50mb" }));
-
-// Logging
-if (process.env.NODE_ENV === "development") {
-  app.use(morgan("dev"));
-}
-
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
-
-// Serve public assets
-app.use("/public", express.static(path.join(__dirname, "public")));
-
-// Routes
-app.use("/api/auth", authRoutes);
-app.use("/api/blog", blogRoutes);
-app.use("/api/testimonials", testimonialRoutes);
-app.use("/api/courses", courseRoutes);
-app.use("/api/consultations", consultationRoutes);
-app.use("/api/users", userRoutes);
-app.use("/api/sliders", sliderRoutes);
-app.use("/api/projects", projectRoutes);
-app.use("/api/enrollments", enrollmentRoutes);
-app.use("/api/whyImage", whyImageRoutes);
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-
-  // Mongoose validation error
-  if (err.name === "ValidationError") {
-    const messages = Object.values(err.errors).map((val) => val.message);
-    return res.status(400).json({
-      success: false,
-      error: "Validation Error",
-      message: messages.join(", "),
-    });
-  }
-
-  app.get("/api/health", async (req, res) => {
-  try {
-    // Check MongoDB connection state
-    const mongoStatus = mongoose.connection.readyState; 
-    // 0 = disconnected, 1 = connected, 2 = connecting, 3 = disconnecting
-    const dbStates = ["disconnected", "connected", "connecting", "disconnecting"];
-
-    res.status(200).json({
-      success: true,
-      status: "OK",
-      uptime: process.uptime(),
-      timestamp: new Date(),
-      database: dbStates[mongoStatus],
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      status: "ERROR",
-      message: error.message,
-    });
-  }
-});
-
-  // Mongoose duplicate key error
-  if (err.code === 11000) {
-    const field = Object.keys(err.keyValue)[0];
-    return res.status(400).json({
-      success: false,
-      error: "Duplicate Field",
-      message: `${field} already exists`,
-    });
-  }
-
-  // JWT errors
-  if (err.name === "JsonWebTokenError") {
-    return res.status(401).json({
-      success: false,
-      error: "Invalid Token",
-      message: "Access denied",
-    });
-  }
-
-  // Default error
-  res.status(err.statusCode || 500).json({
-    success: false,
-    error: err.message || "Server Error",
-    ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
-  });
-});
-
-// 404 handler
-app.use("*", (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: `Route ${req.originalUrl} not found`,
-  });
-});
+const { startAccountDeletionJob } = require("./jobs/accountDeletion");
+const { startBlogPublisherJob } = require("./jobs/blogPublisher");
+const { runSlugCleanup } = require("./jobs/slugCleanup");
+const { runMigrations } = require("./jobs/migrations");
 
 // Validate required environment variables
 const requiredEnvVars = [
@@ -202,6 +69,7 @@ mongoose
           email: process.env.INITIAL_ADMIN_EMAIL,
           password: process.env.INITIAL_ADMIN_PASSWORD,
           role: process.env.INITIAL_ADMIN_ROLE,
+          isEmailVerified: true,
         });
       } else {
       }
@@ -216,6 +84,14 @@ mongoose
     const server = app.listen(PORT, () => {
     });
 
+    // Background jobs. Old posts are migrated before the publisher looks
+    // at their status and before their slugs are cleaned up.
+    startAccountDeletionJob();
+    runMigrations().then(() => {
+      startBlogPublisherJob();
+      runSlugCleanup();
+    });
+
     // Handle unhandled promise rejections
     process.on("unhandledRejection", (err, promise) => {
       server.close(() => {
@@ -0,0 +1,65 @@
+const request = require("supertest");
+const app = require("../app");
+const User = require("../models/User");
+const Blog = require("../models/Blog");
+
+const PASSWORD = "Passw0rd!";
+
+let count = 0;
+
+// Create a verified user who signs in with PASSWORD
+const createUser = (fields = {}) => {
+  count += 1;
+  return User.create({
+    name: `Test User ${count}`,
+    email: `user${count}@example.com`,
+    password: PASSWORD,
+    isEmailVerified: true,
+    ...fields,
+  });
+};
+
+// Sign a user in with their password; returns the response
+const login = (user, headers = {}) =>
+  request(app)
+    .post("/api/auth/login")
+    .set(headers)
+    .send({ email: user.email, password: PASSWORD });
+
+// Create a user and sign them in; returns the user and their tokens
+const createSignedInUser = async (fields = {}) => {
+  const user = await createUser(fields);
+  const res = await login(user);
+  return { user, token: res.body.token, refreshToken: res.body.refreshToken };
+};
+
+// Create a published blog post, written by a new user unless an author is
+// given
+const createBlog = async (fields = {}) =>
+  Blog.create({
+    title: "Building With Timber",
+    content: "Timber frames are light, strong and quick to put up.",
+    category: "construction",
+    status: "published",
+    ...fields,
+    author: fields.author || (await createUser({ role: "editor" }))._id,
+  });
+
+// Cookie values from a response's Set-Cookie headers, by name
+const getCookies = (res) =>
+  Object.fromEntries(
+    (res.headers["set-cookie"] || []).map((cookie) => {
+      const [pair] = cookie.split(";");
+      const index = pair.indexOf("=");
+      return [pair.slice(0, index), decodeURIComponent(pair.slice(index + 1))];
+    })
+  );
+
+module.exports = {
+  PASSWORD,
+  createUser,
+  login,
+  createSignedInUser,
+  createBlog,
+  getCookies,
+};
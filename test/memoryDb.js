@@ -0,0 +1,476 @@
+const mongoose = require("mongoose");
+const { BSON, ObjectId, MongoServerError } = require("mongodb");
+const { Query, Aggregator, updateOne } = require("mingo");
+
+// In-memory stand-in for the MongoDB database the tests run against, so they
+// need no server. It implements the collection methods Mongoose calls, with
+// queries, updates and aggregations evaluated by mingo, and enforces unique
+// indexes. Text search and TTL expiry are not supported.
+
+// Documents are stored and handed out as BSON round trips, like the driver
+// does, so nothing outside shares objects with the store
+const copy = (doc) => BSON.deserialize(BSON.serialize(doc));
+const sameDoc = (a, b) => BSON.serialize(a).equals(BSON.serialize(b));
+
+const mingoOptions = (db) => ({
+  idKey: "_id",
+  collectionResolver: (name) => db.collection(name).docs.map(copy),
+});
+
+const assertSupported = (filter) => {
+  if (filter && filter.$text) {
+    throw new Error("Text search is not supported by the test database");
+  }
+};
+
+// Values of a dotted path, one per array element along the way
+const valuesAt = (doc, path) => {
+  let values = [doc];
+  for (const key of path.split(".")) {
+    values = values.flatMap((value) => {
+      if (Array.isArray(value)) {
+        return value.flatMap((item) =>
+          item != null && typeof item === "object" ? [item[key]] : []
+        );
+      }
+      return value != null && typeof value === "object" ? [value[key]] : [];
+    });
+  }
+  return values.flatMap((value) =>
+    Array.isArray(value) ? (value.length ? value : [undefined]) : [value]
+  );
+};
+
+// Fields an upsert copies from its filter into the new document
+const filterFields = (filter) => {
+  const fields = {};
+  for (const [key, value] of Object.entries(filter || {})) {
+    if (key === "$and") {
+      value.forEach((part) => Object.assign(fields, filterFields(part)));
+    } else if (key.startsWith("$")) {
+      continue;
+    } else if (
+      value === null ||
+      typeof value !== "object" ||
+      value instanceof Date ||
+      value instanceof ObjectId ||
+      !Object.keys(value).some((name) => name.startsWith("$"))
+    ) {
+      fields[key] = value;
+    } else if ("$eq" in value) {
+      fields[key] = value.$eq;
+    }
+  }
+  return fields;
+};
+
+const isOperatorUpdate = (update) =>
+  Array.isArray(update) ||
+  Object.keys(update).some((key) => key.startsWith("$"));
+
+class MemoryCursor {
+  constructor(load) {
+    this.load = load;
+    this.results = null;
+  }
+
+  async toArray() {
+    if (!this.results) this.results = this.load();
+    const rest = this.results;
+    this.results = [];
+    return rest;
+  }
+
+  async next() {
+    if (!this.results) this.results = this.load();
+    return this.results.shift() || null;
+  }
+
+  async hasNext() {
+    if (!this.results) this.results = this.load();
+    return this.results.length > 0;
+  }
+
+  async close() {
+    this.results = [];
+  }
+
+  async *[Symbol.asyncIterator]() {
+    let doc;
+    while ((doc = await this.next())) {
+      yield doc;
+    }
+  }
+}
+
+class MemoryCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.collectionName = name;
+    this.dbName = db.databaseName;
+    this.namespace = `${db.databaseName}.${name}`;
+    this.docs = [];
+    this.indexes = [];
+  }
+
+  match(filter) {
+    assertSupported(filter);
+    const query = new Query(filter || {}, mingoOptions(this.db));
+    return this.docs.filter((doc) => query.test(doc));
+  }
+
+  select(filter, options = {}) {
+    let cursor = new Query(filter || {}, mingoOptions(this.db)).find(
+      this.docs,
+      options.projection
+    );
+    if (options.sort) cursor = cursor.sort(options.sort);
+    if (options.skip) cursor = cursor.skip(options.skip);
+    if (options.limit) cursor = cursor.limit(Math.abs(options.limit));
+    return cursor.all();
+  }
+
+  // Throw like MongoDB when a unique index would hold the same key twice
+  checkUnique(docs) {
+    for (const index of this.indexes.filter((index) => index.unique)) {
+      const fields = Object.keys(index.key);
+      const partial =
+        index.partialFilterExpression &&
+        new Query(index.partialFilterExpression, mingoOptions(this.db));
+      const owners = new Map();
+
+      for (const doc of docs) {
+        if (partial && !partial.test(doc)) continue;
+
+        let keys = [[]];
+        for (const field of fields) {
+          const values = valuesAt(doc, field);
+          keys = keys.flatMap((key) =>
+            values.map((value) => [...key, value === undefined ? null : value])
+          );
+        }
+        if (index.sparse && keys.every((key) => key.every((v) => v === null))) {
+          continue;
+        }
+
+        for (const key of new Set(
+          keys.map((key) => BSON.serialize({ key }).toString("hex"))
+        )) {
+          if (owners.has(key) && owners.get(key) !== doc) {
+            const keyValue = BSON.deserialize(Buffer.from(key, "hex")).key;
+            throw new MongoServerError({
+              message: `E11000 duplicate key error collection: ${this.namespace} index: ${index.name}`,
+              code: 11000,
+              keyPattern: index.key,
+              keyValue: Object.fromEntries(
+                fields.map((field, i) => [field, keyValue[i]])
+              ),
+            });
+          }
+          owners.set(key, doc);
+        }
+      }
+    }
+  }
+
+  // Replace the stored documents, or leave them untouched if that breaks a
+  // unique index
+  commit(docs) {
+    this.checkUnique(docs);
+    this.docs = docs;
+  }
+
+  apply(doc, filter, update, options = {}, inserting = false) {
+    if (!isOperatorUpdate(update)) {
+      return { ...copy(update), _id: doc._id };
+    }
+
+    const updated = copy(doc);
+    let modifier = update;
+    if (!Array.isArray(update)) {
+      const { $setOnInsert, ...rest } = update;
+      modifier =
+        inserting && $setOnInsert
+          ? { ...rest, $set: { ...rest.$set, ...$setOnInsert } }
+          : rest;
+    }
+    if (Array.isArray(modifier) || Object.keys(modifier).length > 0) {
+      updateOne([updated], inserting ? {} : filter || {}, modifier, {
+        arrayFilters: options.arrayFilters,
+        cloneMode: "deep",
+      });
+    }
+    return copy(updated);
+  }
+
+  // Insert the document an update with upsert creates: the equality fields
+  // of the filter with the update applied
+  upsert(filter, update, options) {
+    let doc = { _id: new ObjectId() };
+    const fields = isOperatorUpdate(update) ? filterFields(filter) : {};
+    if (Object.keys(fields).length > 0) {
+      doc = this.apply(doc, {}, { $set: fields });
+    }
+    doc = this.apply(doc, filter, update, options, true);
+    if (!doc._id) doc._id = new ObjectId();
+    this.commit([...this.docs, doc]);
+    return doc;
+  }
+
+  // Update the first (or every) matching document; returns the documents
+  // before and after
+  modify(filter, update, options = {}, multi = false) {
+    let matched = this.match(filter);
+    if (options.sort) {
+      const order = this.select(filter, { sort: options.sort });
+      matched = order.map((doc) => this.docs.find((d) => sameDoc(d, doc)));
+    }
+    if (!multi) matched = matched.slice(0, 1);
+
+    if (matched.length === 0) {
+      if (!options.upsert) return { changes: [] };
+      const doc = this.upsert(filter, update, options);
+      return { changes: [], upserted: doc };
+    }
+
+    const changes = matched.map((before) => ({
+      before,
+      after: this.apply(before, filter, update, options),
+    }));
+    this.commit(
+      this.docs.map((doc) => {
+        const change = changes.find((item) => item.before === doc);
+        return change ? change.after : doc;
+      })
+    );
+    return { changes };
+  }
+
+  // Collection API used by Mongoose
+
+  find(filter, options = {}) {
+    return new MemoryCursor(() =>
+      (assertSupported(filter), this.select(filter, options)).map(copy)
+    );
+  }
+
+  async findOne(filter, options = {}) {
+    assertSupported(filter);
+    const [doc] = this.select(filter, { ...options, limit: 1 });
+    return doc ? copy(doc) : null;
+  }
+
+  async countDocuments(filter, options = {}) {
+    assertSupported(filter);
+    return this.select(filter, options).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(field, filter) {
+    const seen = new Map();
+    for (const doc of this.match(filter)) {
+      for (const value of valuesAt(doc, field)) {
+        if (value === undefined) continue;
+        seen.set(BSON.serialize({ value }).toString("hex"), value);
+      }
+    }
+    return [...seen.values()].map((value) => copy({ value }).value);
+  }
+
+  aggregate(pipeline, options = {}) {
+    return new MemoryCursor(() =>
+      new Aggregator(pipeline, mingoOptions(this.db))
+        .run(this.docs.map(copy))
+        .map(copy)
+    );
+  }
+
+  async insertOne(doc) {
+    const stored = copy(doc);
+    if (!stored._id) stored._id = new ObjectId();
+    this.commit([...this.docs, stored]);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [i, doc] of docs.entries()) {
+      insertedIds[i] = (await this.insertOne(doc)).insertedId;
+    }
+    return {
+      acknowledged: true,
+      insertedCount: docs.length,
+      insertedIds,
+    };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    return this.updateResult(this.modify(filter, update, options));
+  }
+
+  async updateMany(filter, update, options = {}) {
+    return this.updateResult(this.modify(filter, update, options, true));
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateResult(this.modify(filter, replacement, options));
+  }
+
+  updateResult({ changes, upserted }) {
+    return {
+      acknowledged: true,
+      matchedCount: changes.length,
+      modifiedCount: changes.filter(
+        ({ before, after }) => !sameDoc(before, after)
+      ).length,
+      upsertedCount: upserted ? 1 : 0,
+      upsertedId: upserted ? upserted._id : null,
+    };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const { changes, upserted } = this.modify(filter, update, options);
+    const after = options.returnDocument === "after";
+    let value = null;
+    if (changes.length) {
+      value = after ? changes[0].after : changes[0].before;
+    } else if (upserted && after) {
+      value = upserted;
+    }
+    return this.modifyResult(value, options, {
+      n: changes.length || (upserted ? 1 : 0),
+      updatedExisting: changes.length > 0,
+      ...(upserted && { upserted: upserted._id }),
+    });
+  }
+
+  async findOneAndReplace(filter, replacement, options = {}) {
+    return this.findOneAndUpdate(filter, replacement, options);
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    const stored = doc && this.docs.find((d) => sameDoc(d, doc));
+    if (stored) {
+      this.docs = this.docs.filter((d) => d !== stored);
+    }
+    return this.modifyResult(stored || null, options, { n: stored ? 1 : 0 });
+  }
+
+  modifyResult(doc, options, lastErrorObject) {
+    let value = doc ? copy(doc) : null;
+    if (value && options.projection) {
+      [value] = new Query({}).find([value], options.projection).all();
+    }
+    if (options.includeResultMetadata === false) return value;
+    return { value, ok: 1, lastErrorObject };
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.match(filter);
+    this.docs = this.docs.filter((d) => d !== doc);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const matched = new Set(this.match(filter));
+    this.docs = this.docs.filter((doc) => !matched.has(doc));
+    return { acknowledged: true, deletedCount: matched.size };
+  }
+
+  async createIndex(key, options = {}) {
+    const name =
+      options.name ||
+      Object.entries(key)
+        .map(([field, type]) => `${field}_${type}`)
+        .join("_");
+    if (!this.indexes.some((index) => index.name === name)) {
+      this.indexes.push({ ...options, key, name });
+    }
+    return name;
+  }
+
+  async createIndexes(specs) {
+    return Promise.all(
+      specs.map(({ key, ...options }) => this.createIndex(key, options))
+    );
+  }
+
+  listIndexes() {
+    return new MemoryCursor(() => [
+      { key: { _id: 1 }, name: "_id_" },
+      ...this.indexes,
+    ]);
+  }
+
+  async indexes() {
+    return this.listIndexes().toArray();
+  }
+
+  async dropIndex(name) {
+    this.indexes = this.indexes.filter((index) => index.name !== name);
+  }
+
+  async drop() {
+    this.docs = [];
+    this.indexes = [];
+    return true;
+  }
+}
+
+class MemoryDb {
+  constructor(name) {
+    this.databaseName = name;
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(this, name));
+    }
+    return this.collections.get(name);
+  }
+
+  async createCollection(name) {
+    return this.collection(name);
+  }
+
+  listCollections() {
+    return new MemoryCursor(() =>
+      [...this.collections.keys()].map((name) => ({ name, type: "collection" }))
+    );
+  }
+}
+
+let db = null;
+
+// Open the default Mongoose connection on a new, empty in-memory database
+// and wait until every model has its indexes
+const connect = async () => {
+  db = new MemoryDb("test");
+
+  const connection = mongoose.connection;
+  connection.db = db;
+  connection.name = db.databaseName;
+  connection.onOpen();
+
+  await Promise.all(
+    Object.values(mongoose.models).map((model) => model.init())
+  );
+  return db;
+};
+
+// Empty every collection, keeping the indexes
+const clear = () => {
+  for (const collection of db.collections.values()) {
+    collection.docs = [];
+  }
+};
+
+module.exports = {
+  connect,
+  clear,
+};
@@ -0,0 +1,125 @@
+const http = require("http");
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+// Local OpenID Connect provider for the social login tests: discovery, a
+// key set, an authorization endpoint that signs in whoever the test chose
+// with setAccount(), and a token endpoint that checks the client, the
+// redirect URI and the PKCE verifier before handing out a signed ID token.
+const startMockOidcProvider = async ({ clientId, clientSecret }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const kid = crypto.randomBytes(8).toString("hex");
+  // Authorization codes waiting to be exchanged
+  const codes = new Map();
+  let account = null;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ["code"],
+      id_token_signing_alg_values_supported: ["RS256"],
+      code_challenge_methods_supported: ["S256"],
+    });
+  });
+
+  app.get("/jwks", (req, res) => {
+    const jwk = publicKey.export({ format: "jwk" });
+    res.json({ keys: [{ ...jwk, kid, alg: "RS256", use: "sig" }] });
+  });
+
+  app.get("/authorize", (req, res) => {
+    const { client_id, redirect_uri, state, nonce } = req.query;
+    const redirect = new URL(redirect_uri);
+
+    if (client_id !== clientId || req.query.code_challenge_method !== "S256") {
+      redirect.search = new URLSearchParams({
+        error: "invalid_request",
+        state,
+      });
+    } else if (!account) {
+      redirect.search = new URLSearchParams({ error: "access_denied", state });
+    } else {
+      const code = crypto.randomBytes(16).toString("hex");
+      codes.set(code, {
+        redirectUri: redirect_uri,
+        codeChallenge: req.query.code_challenge,
+        claims: { nonce, ...account },
+      });
+      redirect.search = new URLSearchParams({ code, state });
+    }
+
+    res.redirect(redirect.toString());
+  });
+
+  app.post("/token", (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    if (
+      req.body.client_id !== clientId ||
+      req.body.client_secret !== clientSecret
+    ) {
+      return res.status(401).json({ error: "invalid_client" });
+    }
+
+    const challenge =
+      req.body.code_verifier &&
+      crypto
+        .createHash("sha256")
+        .update(req.body.code_verifier)
+        .digest("base64url");
+
+    if (
+      req.body.grant_type !== "authorization_code" ||
+      !grant ||
+      grant.redirectUri !== req.body.redirect_uri ||
+      grant.codeChallenge !== challenge
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString("hex"),
+      token_type: "Bearer",
+      expires_in: 3600,
+      id_token: jwt.sign(grant.claims, privateKey, {
+        algorithm: "RS256",
+        keyid: kid,
+        issuer,
+        audience: clientId,
+        expiresIn: "5m",
+      }),
+    });
+  });
+
+  return {
+    issuer,
+    // Claims of the account the next authorization signs in (sub, email,
+    // email_verified, name...), or null to have the user cancel. Claims
+    // given here override the ones the provider sets, such as nonce.
+    setAccount(claims) {
+      account = claims;
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+};
+
+module.exports = {
+  startMockOidcProvider,
+};
@@ -0,0 +1,10 @@
+// Settings the tests run with (see env.example). Email is never sent: tests
+// that need it mock utils/sendEmail.
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = "test-jwt-secret";
+process.env.JWT_REFRESH_SECRET = "test-refresh-secret";
+process.env.CLIENT_URL = "http://localhost:3000";
+process.env.API_URL = "http://localhost:5000";
+// Requests name their client address in X-Forwarded-For, so that tests of
+// per-IP limits do not share one counter
+process.env.TRUST_PROXY = "1";
@@ -0,0 +1,223 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const Consultation = require("../models/Consultation");
+const Enrollment = require("../models/Enrollment");
+const Testimonial = require("../models/Testimonial");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
+const LoginAttempt = require("../models/LoginAttempt");
+const AuditLog = require("../models/AuditLog");
+const Blog = require("../models/Blog");
+const BlogComment = require("../models/BlogComment");
+const Course = require("../models/Course");
+
+const DEFAULT_AVATAR = "public/images/default.png";
+
+// Absolute path of an uploaded avatar, or null for the default one
+const getAvatarPath = (avatar) => {
+  if (!avatar || avatar === DEFAULT_AVATAR) return null;
+
+  const avatarPath = path.join(__dirname, "..", avatar);
+  return fs.existsSync(avatarPath) ? avatarPath : null;
+};
+
+// Enrollments can be sent without an account, so match them by email too
+const enrollmentQuery = (user) => ({
+  $or: [{ user: user._id }, { email: user.email }],
+});
+
+// Comments can be left as a guest too, so match them by email as well
+const commentQuery = (user) => ({
+  $or: [{ author: user._id }, { guestEmail: user.email }],
+});
+
+// Ratings a user left on blog posts or courses (Model), each with the
+// post or course it is about under `field`
+const findRatings = async (Model, field, userId) => {
+  const docs = await Model.find({ "feedback.user": userId })
+    .select("title feedback")
+    .lean();
+
+  return docs.flatMap((doc) =>
+    doc.feedback
+      .filter((entry) => String(entry.user) === String(userId))
+      .map(({ rating, comment, status, createdAt }) => ({
+        [field]: { _id: doc._id, title: doc.title },
+        rating,
+        comment,
+        status,
+        createdAt,
+      }))
+  );
+};
+
+// Collect everything we hold about a user for a personal data export
+const buildAccountExport = async (user) => {
+  const [
+    consultations,
+    enrollments,
+    testimonials,
+    comments,
+    blogRatings,
+    courseRatings,
+    sessions,
+  ] = await Promise.all([
+    Consultation.find({ user: user._id })
+      .select("-user -assignedTo -statusHistory.changedBy -__v")
+      .lean(),
+    Enrollment.find(enrollmentQuery(user))
+      .populate("course", "title")
+      .select("-user -__v")
+      .lean(),
+    Testimonial.find({ user: user._id }).select("-user -__v").lean(),
+    BlogComment.find(commentQuery(user))
+      .populate("blog", "title")
+      .select("blog parent guestName content status createdAt updatedAt")
+      .lean(),
+    findRatings(Blog, "blog", user._id),
+    findRatings(Course, "course", user._id),
+    Session.getActiveSessions(user._id),
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      role: user.role,
+      level: user.level,
+      avatar: user.avatar,
+      isEmailVerified: user.isEmailVerified !== false,
+      twoFactorEnabled: user.twoFactorEnabled,
+      linkedProviders: user.oidcIdentities.map((identity) => ({
+        provider: identity.provider,
+        email: identity.email,
+        linkedAt: identity.linkedAt,
+      })),
+      blockHistory: user.blockHistory,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+    },
+    consultations,
+    enrollments,
+    testimonials,
+    comments,
+    ratings: {
+      blogs: blogRatings,
+      courses: courseRatings,
+    },
+    sessions: sessions.map((session) => session.toPublic()),
+  };
+};
+
+// Erase a user's personal data once their deletion is due. Records we have
+// to keep (consultation history, enrollments, comments and ratings) stay but
+// no longer point to a person; the user document itself is kept, anonymised,
+// so that references to it from other collections keep working.
+const anonymizeAccount = async (user) => {
+  const { _id: userId, email } = user;
+  const placeholderEmail = `deleted-${userId}@deleted.invalid`;
+
+  const avatarPath = getAvatarPath(user.avatar);
+  if (avatarPath) {
+    try {
+      fs.unlinkSync(avatarPath);
+    } catch (deleteError) {
+      console.error("Error deleting avatar:", deleteError);
+    }
+  }
+
+  await Consultation.updateMany(
+    { user: userId },
+    { $set: { location: "Removed" } }
+  );
+
+  await Enrollment.updateMany(enrollmentQuery(user), {
+    $set: {
+      fullNameAr: "Deleted user",
+      fullNameEn: "Deleted user",
+      email: placeholderEmail,
+      phone: "Removed",
+      nationality: "Removed",
+      city: "Removed",
+      university: "Removed",
+    },
+    $unset: {
+      birthDate: "",
+      currentJob: "",
+      company: "",
+      scholarshipReason: "",
+    },
+  });
+
+  await Testimonial.deleteMany({ user: userId });
+
+  // Comments and ratings stay, so threads and averages don't change, but
+  // are no longer tied to the user
+  await BlogComment.updateMany(commentQuery(user), {
+    $set: { guestName: "Deleted user" },
+    $unset: { author: "", guestEmail: "", visitor: "" },
+  });
+  for (const Model of [Blog, Course]) {
+    await Model.updateMany(
+      { "feedback.user": userId },
+      {
+        $unset: {
+          "feedback.$[entry].user": "",
+          "feedback.$[entry].visitor": "",
+        },
+      },
+      { arrayFilters: [{ "entry.user": userId }], timestamps: false }
+    );
+  }
+
+  await Session.revokeAll(userId, { reason: "account-deleted" });
+  await ApiKey.updateMany(
+    { owner: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  await LoginAttempt.deleteMany({ identifier: email });
+
+  user.name = "Deleted user";
+  user.email = placeholderEmail;
+  user.phone = undefined;
+  user.avatar = DEFAULT_AVATAR;
+  // Nobody knows this password, and changing it revokes every token
+  user.password = crypto.randomBytes(32).toString("hex");
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = [];
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  user.magicLinkToken = undefined;
+  user.magicLinkExpire = undefined;
+  user.clearPendingEmail();
+  user.oidcIdentities = [];
+  user.previousEmail = undefined;
+  user.emailRevertToken = undefined;
+  user.emailRevertExpire = undefined;
+  user.deletionScheduledFor = undefined;
+  user.deletedAt = new Date();
+  // The placeholder address is deliberately not a deliverable one
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.create({
+    action: "user.delete",
+    actor: userId,
+    targetType: "User",
+    target: userId,
+    details: { requestedAt: user.deletionRequestedAt },
+  });
+};
+
+module.exports = {
+  getAvatarPath,
+  buildAccountExport,
+  anonymizeAccount,
+};
@@ -0,0 +1,33 @@
+// Refuse an attempt held back by brute-force protection. Lockouts answer
+// 423 with code ACCOUNT_LOCKED so clients can tell them apart from admin
+// blocks (403, ACCOUNT_BLOCKED).
+const sendAttemptRestriction = (res, restriction) => {
+  res.set("Retry-After", String(restriction.retryAfter));
+
+  if (restriction.locked) {
+    return res.status(423).json({
+      success: false,
+      code: "ACCOUNT_LOCKED",
+      message:
+        restriction.type === "account"
+          ? "Too many failed attempts, the account is temporarily locked"
+          : "Too many failed attempts from this address, please try again later",
+      lockInfo: {
+        scope: restriction.type,
+        lockedUntil: restriction.lockedUntil.toISOString(),
+        retryAfter: restriction.retryAfter,
+      },
+    });
+  }
+
+  return res.status(429).json({
+    success: false,
+    code: "TOO_MANY_ATTEMPTS",
+    message: `Please wait ${restriction.retryAfter} seconds before trying again`,
+    retryAfter: restriction.retryAfter,
+  });
+};
+
+module.exports = {
+  sendAttemptRestriction,
+};
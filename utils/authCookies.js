@@ -0,0 +1,116 @@
+const crypto = require("crypto");
+
+// Browser clients can opt into cookie authentication by sending
+// "X-Auth-Mode: cookie" when they sign in. The access and refresh tokens are
+// then set as HttpOnly cookies instead of being returned in the body, and
+// every state-changing request must repeat the (readable) csrfToken cookie
+// in an X-CSRF-Token header. Bearer tokens keep working for other clients.
+const ACCESS_COOKIE = "token";
+const REFRESH_COOKIE = "refreshToken";
+const CSRF_COOKIE = "csrfToken";
+const CSRF_HEADER = "x-csrf-token";
+const OIDC_STATE_COOKIE = "oidcState";
+const OIDC_STATE_PATH = "/api/auth/oidc";
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const getCookieOptions = () => ({
+  maxAge: (parseInt(process.env.JWT_COOKIE_EXPIRE) || 30) * 24 * 60 * 60 * 1000,
+  secure: process.env.NODE_ENV === "production",
+  // "none" is needed when the frontend is served from another site
+  sameSite: process.env.AUTH_COOKIE_SAMESITE || "lax",
+  ...(process.env.AUTH_COOKIE_DOMAIN && {
+    domain: process.env.AUTH_COOKIE_DOMAIN,
+  }),
+});
+
+// Whether the client asked for cookies, or is already using them
+const wantsCookies = (req) =>
+  req.get("x-auth-mode") === "cookie" || req.authMode === "cookie";
+
+const setAuthCookies = (res, { token, refreshToken }) => {
+  const options = getCookieOptions();
+  const csrfToken = crypto.randomBytes(32).toString("hex");
+
+  res.cookie(ACCESS_COOKIE, token, { ...options, httpOnly: true });
+  // The refresh token is only needed by /api/auth (refresh and logout)
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...options,
+    httpOnly: true,
+    path: "/api/auth",
+  });
+  res.cookie(CSRF_COOKIE, csrfToken, options);
+
+  return csrfToken;
+};
+
+const clearAuthCookies = (res) => {
+  const { maxAge, ...options } = getCookieOptions();
+
+  res.clearCookie(ACCESS_COOKIE, options);
+  res.clearCookie(REFRESH_COOKIE, { ...options, path: "/api/auth" });
+  res.clearCookie(CSRF_COOKIE, options);
+};
+
+// Hand out a new token pair: as cookies in cookie mode, otherwise in the
+// response body. Returns the fields to add to the body.
+const sendAuthTokens = (req, res, { token, refreshToken }) => {
+  if (!wantsCookies(req)) {
+    return { token, refreshToken };
+  }
+
+  const csrfToken = setAuthCookies(res, { token, refreshToken });
+  return { csrfToken };
+};
+
+// Double-submit check: the header must match the csrfToken cookie
+const hasValidCsrfToken = (req) => {
+  if (SAFE_METHODS.includes(req.method)) return true;
+
+  const cookie = req.cookies && req.cookies[CSRF_COOKIE];
+  const header = req.get(CSRF_HEADER);
+  if (!cookie || !header || cookie.length !== header.length) return false;
+
+  return crypto.timingSafeEqual(Buffer.from(cookie), Buffer.from(header));
+};
+
+// Tie a social login to the browser that started it: the callback only
+// accepts the state this browser was given, so nobody can finish their own
+// login (or link their provider account) in someone else's browser
+const setOidcStateCookie = (res, state) => {
+  const { maxAge, ...options } = getCookieOptions();
+
+  res.cookie(OIDC_STATE_COOKIE, state, {
+    ...options,
+    maxAge: 10 * 60 * 1000,
+    httpOnly: true,
+    path: OIDC_STATE_PATH,
+  });
+};
+
+const clearOidcStateCookie = (res) => {
+  const { maxAge, ...options } = getCookieOptions();
+
+  res.clearCookie(OIDC_STATE_COOKIE, { ...options, path: OIDC_STATE_PATH });
+};
+
+// Whether the state of a callback is the one set in this browser's cookie
+const hasOidcStateCookie = (req, state) => {
+  const cookie = req.cookies && req.cookies[OIDC_STATE_COOKIE];
+  if (!cookie || typeof state !== "string" || cookie.length !== state.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(cookie), Buffer.from(state));
+};
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  wantsCookies,
+  clearAuthCookies,
+  sendAuthTokens,
+  hasValidCsrfToken,
+  setOidcStateCookie,
+  clearOidcStateCookie,
+  hasOidcStateCookie,
+};
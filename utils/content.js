@@ -0,0 +1,125 @@
+const { marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+const { toSlug } = require("./slug");
+const { detectLanguage } = require("./language");
+
+// Formats post content can be written in. Markdown may contain inline HTML;
+// "html" is for posts written before Markdown and for rich-text editors.
+const CONTENT_FORMATS = ["markdown", "html"];
+
+// What rendered content may contain. Anything else is dropped, including
+// scripts, styles, event handlers, iframes and javascript: links.
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "p",
+    "br",
+    "hr",
+    "blockquote",
+    "pre",
+    "code",
+    "ul",
+    "ol",
+    "li",
+    "strong",
+    "b",
+    "em",
+    "i",
+    "u",
+    "s",
+    "del",
+    "sub",
+    "sup",
+    "a",
+    "img",
+    "figure",
+    "figcaption",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "rel"],
+    img: ["src", "alt", "title", "width", "height"],
+    ol: ["start"],
+    th: ["align"],
+    td: ["align"],
+    code: ["class"],
+  },
+  allowedClasses: {
+    code: ["language-*"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { rel: "nofollow noopener" }),
+  },
+};
+
+const BLOCK_END =
+  /<\/(?:p|h[1-6]|li|blockquote|pre|figcaption|td|th)>|<br\s*\/?>/g;
+const HEADING = /<h([1-6])>([\s\S]*?)<\/h\1>/g;
+
+const HTML_ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": '"' };
+
+const decodeEntities = (text) =>
+  text.replace(/&(?:amp|lt|gt|quot);/g, (entity) => HTML_ENTITIES[entity]);
+
+// Plain text of sanitized HTML, with blocks separated by spaces
+const toPlainText = (html) =>
+  decodeEntities(
+    sanitizeHtml(html.replace(BLOCK_END, "$& "), {
+      allowedTags: [],
+      allowedAttributes: {},
+    })
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Give every heading an id to link to, and list them as a table of contents
+const addHeadingIds = (html) => {
+  const toc = [];
+  const used = new Set();
+
+  const withIds = html.replace(HEADING, (match, level, inner) => {
+    const text = toPlainText(inner);
+    const base = toSlug(text, detectLanguage(text)) || "section";
+
+    let id = base;
+    for (let n = 2; used.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    used.add(id);
+
+    toc.push({ level: Number(level), text, id });
+    return `<h${level} id="${id}">${inner}</h${level}>`;
+  });
+
+  return { html: withIds, toc };
+};
+
+// Render post content to HTML that is safe to insert into a page, along with
+// its plain text and table of contents
+const renderContent = (content, format = "markdown") => {
+  const source = String(content || "");
+  const html = format === "html" ? source : marked.parse(source);
+
+  const { html: rendered, toc } = addHeadingIds(
+    sanitizeHtml(html, SANITIZE_OPTIONS)
+  );
+
+  return { html: rendered, text: toPlainText(rendered), toc };
+};
+
+module.exports = {
+  CONTENT_FORMATS,
+  renderContent,
+};
@@ -0,0 +1,144 @@
+// Build RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents. Every builder takes
+// the same description of the feed and its items:
+//
+//   feed:  { title, description, language, siteUrl, feedUrl, updated }
+//   items: [{ id, title, url, summary, content, image, author, tags,
+//             published, updated }]
+//
+// id is stable (the post's database id); content is HTML; dates are Date
+// objects.
+
+const IMAGE_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+};
+
+const XML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&apos;",
+};
+
+const escapeXml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => XML_ENTITIES[char]);
+
+const cdata = (value) =>
+  `<![CDATA[${String(value ?? "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+const getImageType = (url) => {
+  const extension = (url.match(/\.\w+$/) || [""])[0].toLowerCase();
+  return IMAGE_TYPES[extension] || "image/jpeg";
+};
+
+const buildRss = (feed, items) => {
+  const entries = items.map((item) =>
+    [
+      "<item>",
+      `<title>${escapeXml(item.title)}</title>`,
+      `<link>${escapeXml(item.url)}</link>`,
+      `<guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+      `<pubDate>${item.published.toUTCString()}</pubDate>`,
+      item.author && `<dc:creator>${escapeXml(item.author)}</dc:creator>`,
+      ...item.tags.map((tag) => `<category>${escapeXml(tag)}</category>`),
+      `<description>${escapeXml(item.summary)}</description>`,
+      `<content:encoded>${cdata(item.content)}</content:encoded>`,
+      item.image &&
+        `<enclosure url="${escapeXml(item.image)}" length="0" type="${getImageType(
+          item.image
+        )}"/>`,
+      "</item>",
+    ]
+      .filter(Boolean)
+      .join("")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    "<channel>",
+    `<title>${escapeXml(feed.title)}</title>`,
+    `<link>${escapeXml(feed.siteUrl)}</link>`,
+    `<description>${escapeXml(feed.description)}</description>`,
+    `<language>${escapeXml(feed.language)}</language>`,
+    `<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    `<atom:link href="${escapeXml(
+      feed.feedUrl
+    )}" rel="self" type="application/rss+xml"/>`,
+    ...entries,
+    "</channel>",
+    "</rss>",
+  ].join("\n");
+};
+
+const buildAtom = (feed, items) => {
+  const entries = items.map((item) =>
+    [
+      "<entry>",
+      `<title>${escapeXml(item.title)}</title>`,
+      // Entry ids must be IRIs that never change, unlike a renamed post's URL
+      `<id>${escapeXml(`${feed.siteUrl}/${item.id}`)}</id>`,
+      `<link rel="alternate" href="${escapeXml(item.url)}"/>`,
+      `<published>${item.published.toISOString()}</published>`,
+      `<updated>${item.updated.toISOString()}</updated>`,
+      item.author && `<author><name>${escapeXml(item.author)}</name></author>`,
+      ...item.tags.map((tag) => `<category term="${escapeXml(tag)}"/>`),
+      `<summary type="text">${escapeXml(item.summary)}</summary>`,
+      `<content type="html">${escapeXml(item.content)}</content>`,
+      item.image &&
+        `<link rel="enclosure" href="${escapeXml(
+          item.image
+        )}" type="${getImageType(item.image)}"/>`,
+      "</entry>",
+    ]
+      .filter(Boolean)
+      .join("")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(
+      feed.language
+    )}">`,
+    `<title>${escapeXml(feed.title)}</title>`,
+    `<subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `<id>${escapeXml(feed.feedUrl)}</id>`,
+    `<link rel="self" href="${escapeXml(feed.feedUrl)}"/>`,
+    `<link rel="alternate" href="${escapeXml(feed.siteUrl)}"/>`,
+    `<updated>${feed.updated.toISOString()}</updated>`,
+    ...entries,
+    "</feed>",
+  ].join("\n");
+};
+
+const buildJsonFeed = (feed, items) =>
+  JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    home_page_url: feed.siteUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description,
+    language: feed.language,
+    items: items.map((item) => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.content,
+      image: item.image,
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+      authors: item.author ? [{ name: item.author }] : undefined,
+      tags: item.tags,
+    })),
+  });
+
+module.exports = {
+  buildRss,
+  buildAtom,
+  buildJsonFeed,
+};
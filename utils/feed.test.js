@@ -0,0 +1,82 @@
+const { buildRss, buildAtom, buildJsonFeed } = require("./feed");
+
+const feed = {
+  title: "Blog <News> & Views",
+  description: "Articles",
+  language: "en",
+  siteUrl: "http://localhost:3000/blog",
+  feedUrl: "http://localhost:5000/api/blog/feed.rss",
+  updated: new Date("2026-02-01T10:00:00Z"),
+};
+
+const item = {
+  id: "64b000000000000000000001",
+  title: 'Steel "Frames" & Glass',
+  url: "http://localhost:3000/blog/steel-frames-and-glass",
+  summary: "Why <steel>?",
+  content: "<p>Ends with ]]> in the text</p>",
+  image: "http://localhost:5000/uploads/cover.PNG",
+  author: "Sam",
+  tags: ["construction", "steel"],
+  published: new Date("2026-01-31T08:00:00Z"),
+  updated: new Date("2026-02-01T10:00:00Z"),
+};
+
+describe("buildRss", () => {
+  it("escapes text and keeps HTML content in CDATA", () => {
+    const xml = buildRss(feed, [item]);
+
+    expect(xml).toContain("<title>Blog &lt;News&gt; &amp; Views</title>");
+    expect(xml).toContain(
+      "<title>Steel &quot;Frames&quot; &amp; Glass</title>"
+    );
+    expect(xml).toContain(
+      "<content:encoded><![CDATA[<p>Ends with ]]]]><![CDATA[> in the text</p>]]></content:encoded>"
+    );
+    expect(xml).toContain(
+      `<guid isPermaLink="false">${item.id}</guid><pubDate>Sat, 31 Jan 2026 08:00:00 GMT</pubDate>`
+    );
+    expect(xml).toContain(
+      '<enclosure url="http://localhost:5000/uploads/cover.PNG" length="0" type="image/png"/>'
+    );
+  });
+});
+
+describe("buildAtom", () => {
+  it("uses ids that survive a renamed post", () => {
+    const xml = buildAtom(feed, [item]);
+
+    expect(xml).toContain(`<id>${feed.siteUrl}/${item.id}</id>`);
+    expect(xml).toContain(
+      '<content type="html">&lt;p&gt;Ends with ]]&gt; in the text&lt;/p&gt;</content>'
+    );
+    expect(xml).toContain("<updated>2026-02-01T10:00:00.000Z</updated>");
+  });
+
+  it("leaves out the author and image when there are none", () => {
+    const xml = buildAtom(feed, [{ ...item, author: null, image: null }]);
+
+    expect(xml).not.toContain("<author>");
+    expect(xml).not.toContain('rel="enclosure"');
+  });
+});
+
+describe("buildJsonFeed", () => {
+  it("builds a JSON Feed 1.1 document", () => {
+    const json = JSON.parse(buildJsonFeed(feed, [item]));
+
+    expect(json).toMatchObject({
+      version: "https://jsonfeed.org/version/1.1",
+      feed_url: feed.feedUrl,
+      items: [
+        {
+          id: item.id,
+          content_html: item.content,
+          date_published: "2026-01-31T08:00:00.000Z",
+          authors: [{ name: "Sam" }],
+          tags: ["construction", "steel"],
+        },
+      ],
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const { getVisitorId } = require("./spamFilter");
+
+// Status of a rating for each spam check outcome
+const FEEDBACK_STATUS = {
+  accept: "approved",
+  hold: "pending",
+  reject: "spam",
+};
+
+const RATING_STATUSES = Object.values(FEEDBACK_STATUS);
+
+// The feedback anyone may see: approved entries only, without who left them
+const getPublicFeedback = (feedback) =>
+  feedback
+    .filter((entry) => entry.status === "approved")
+    .map(({ _id, rating, comment, createdAt }) => ({
+      _id,
+      rating,
+      comment,
+      createdAt,
+    }));
+
+// toJSON transform of blogs and courses, so that no response shows held or
+// spam feedback, or the visitors behind it. Moderators use the queues.
+const hideFeedback = (doc, ret) => {
+  if (Array.isArray(ret.feedback)) {
+    ret.feedback = getPublicFeedback(ret.feedback);
+  }
+  return ret;
+};
+
+// Add a rating (with its comment, for courses) to a blog or course. Each
+// visitor has one approved rating per item, which rating again replaces.
+// Held and rejected ratings are added for moderators and do not count.
+const addRating = (req, item, fields, { action, reasons }) => {
+  const visitor = getVisitorId(req);
+  const status = FEEDBACK_STATUS[action];
+
+  const existing =
+    status === "approved" &&
+    item.feedback.find(
+      (entry) => entry.visitor === visitor && entry.status === "approved"
+    );
+
+  let entry = existing;
+  if (existing) {
+    existing.set(fields);
+  } else {
+    item.feedback.push({
+      ...fields,
+      user: req.user && req.user._id,
+      visitor,
+      status,
+      spamReasons: reasons,
+    });
+    entry = item.feedback[item.feedback.length - 1];
+  }
+
+  item.calculateAverageRating();
+  return entry;
+};
+
+// Approve a held or rejected rating, or take one out of the average. An
+// approved rating replaces the visitor's earlier one.
+const moderateRating = (item, entry, status) => {
+  if (status === "approved" && entry.visitor) {
+    const earlier = item.feedback.filter(
+      (other) =>
+        other !== entry &&
+        other.visitor === entry.visitor &&
+        other.status === "approved"
+    );
+    earlier.forEach((other) => other.deleteOne());
+  }
+
+  entry.status = status;
+  item.calculateAverageRating();
+};
+
+// List the ratings of blogs or courses in a moderation status, oldest first
+const getRatingQueue = async (Model, status, { skip = 0, limit = 20 }) => {
+  const [result] = await Model.aggregate([
+    { $match: { "feedback.status": status } },
+    { $unwind: "$feedback" },
+    { $match: { "feedback.status": status } },
+    { $sort: { "feedback.createdAt": 1 } },
+    {
+      $facet: {
+        data: [
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $project: {
+              _id: "$feedback._id",
+              item: { _id: "$_id", title: "$title", slug: "$slug" },
+              rating: "$feedback.rating",
+              comment: "$feedback.comment",
+              user: "$feedback.user",
+              status: "$feedback.status",
+              spamReasons: "$feedback.spamReasons",
+              createdAt: "$feedback.createdAt",
+            },
+          },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  return {
+    ratings: result.data,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+  };
+};
+
+module.exports = {
+  RATING_STATUSES,
+  getPublicFeedback,
+  hideFeedback,
+  addRating,
+  moderateRating,
+  getRatingQueue,
+};
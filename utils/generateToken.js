@@ -1,20 +1,52 @@
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "30d",
+// Access tokens carry the session they were issued for so that a request can
+// tell which device it comes from, and the user's token version so that
+// bumping it revokes them all at once
+const generateToken = (id, sid, ver = 0) => {
+  return jwt.sign({ id, sid, ver }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || "15m",
   });
 };
 
-const generateRefreshToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRE || "7d",
+// Refresh tokens belong to a session, which doubles as their rotation
+// family: replaying an old token lets us revoke everything issued after it.
+const generateRefreshToken = (id, sid) => {
+  return jwt.sign(
+    { id, sid, jti: crypto.randomUUID() },
+    process.env.JWT_REFRESH_SECRET,
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRE || "7d",
+    }
+  );
+};
+
+// Short-lived token proving the password step of a two-factor login passed.
+// The purpose claim keeps protect from accepting it as an access token.
+const generateTwoFactorChallengeToken = (id) => {
+  return jwt.sign({ id, purpose: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || "5m",
   });
 };
 
+// Short-lived access token letting an admin act as another user. It names
+// the admin so that protect can tell the request apart and check them too.
+const generateImpersonationToken = (id, sid, ver, impersonatedBy) => {
+  return jwt.sign({ id, sid, ver, impersonatedBy }, process.env.JWT_SECRET, {
+    expiresIn: process.env.IMPERSONATION_EXPIRE || "15m",
+  });
+};
 
+// Refresh tokens are stored hashed, the same way reset tokens are
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
 
 module.exports = {
   generateToken,
   generateRefreshToken,
+  generateTwoFactorChallengeToken,
+  generateImpersonationToken,
+  hashToken,
 };
@@ -0,0 +1,36 @@
+// Languages the site publishes in. Blog posts are written in one of them;
+// translations of a post are separate posts sharing a translation group.
+const LANGUAGES = ["ar", "en"];
+
+const ARABIC_SCRIPT = /[\u0600-\u06FF]/;
+
+// Guess the language of a text that does not state it
+const detectLanguage = (text) => (ARABIC_SCRIPT.test(text || "") ? "ar" : "en");
+
+// The language a request asks for: ?lang= first, then Accept-Language.
+// Returns null when the client has no preference we can serve.
+const getRequestLanguage = (req) => {
+  if (LANGUAGES.includes(req.query.lang)) {
+    return req.query.lang;
+  }
+
+  if (!req.get("accept-language")) return null;
+  return req.acceptsLanguages(...LANGUAGES) || null;
+};
+
+// Fold the spellings Arabic readers treat as the same word: diacritics and
+// tatweel are dropped, and alef, yaa and taa marbuta variants unified.
+// MongoDB has no Arabic stemmer, so both posts and queries are folded.
+const normalizeArabic = (text) =>
+  String(text || "")
+    .replace(/[\u0610-\u061A\u064B-\u065F\u0670\u0640]/g, "")
+    .replace(/[\u0622\u0623\u0625\u0671]/g, "\u0627")
+    .replace(/\u0649/g, "\u064A")
+    .replace(/\u0629/g, "\u0647");
+
+module.exports = {
+  LANGUAGES,
+  detectLanguage,
+  getRequestLanguage,
+  normalizeArabic,
+};
@@ -0,0 +1,145 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+// Minimal OpenID Connect relying party: discovery, authorization code flow
+// with PKCE, and ID token verification against the provider's JWKS.
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "ES256"];
+
+// Discovery documents and key sets, per issuer
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const randomString = () => crypto.randomBytes(32).toString("base64url");
+
+const createCodeChallenge = (codeVerifier) =>
+  crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.status;
+    throw new Error(`OIDC request to ${url} failed: ${reason}`);
+  }
+
+  return body;
+};
+
+const discover = async (provider) => {
+  if (!discoveryCache.has(provider.issuer)) {
+    const config = await fetchJson(
+      `${provider.issuer}/.well-known/openid-configuration`
+    );
+    discoveryCache.set(provider.issuer, config);
+  }
+  return discoveryCache.get(provider.issuer);
+};
+
+// Find the key an ID token was signed with, fetching the key set again once
+// if it is unknown (providers rotate their keys)
+const getSigningKey = async (provider, kid) => {
+  const { jwks_uri: jwksUri } = await discover(provider);
+
+  for (const refresh of [false, true]) {
+    if (refresh || !jwksCache.has(jwksUri)) {
+      const { keys = [] } = await fetchJson(jwksUri);
+      jwksCache.set(jwksUri, keys);
+    }
+
+    const keys = jwksCache.get(jwksUri);
+    const jwk = kid
+      ? keys.find((key) => key.kid === kid)
+      : keys.length === 1 && keys[0];
+    if (jwk) return crypto.createPublicKey({ key: jwk, format: "jwk" });
+  }
+
+  throw new Error("OIDC signing key not found");
+};
+
+// URL to send the browser to
+const buildAuthorizationUrl = async (
+  provider,
+  { state, nonce, codeVerifier }
+) => {
+  const { authorization_endpoint: endpoint } = await discover(provider);
+
+  const url = new URL(endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: createCodeChallenge(codeVerifier),
+    code_challenge_method: "S256",
+  }).toString();
+
+  return url.toString();
+};
+
+// Exchange an authorization code for the provider's tokens
+const exchangeCode = async (provider, { code, codeVerifier }) => {
+  const { token_endpoint: endpoint } = await discover(provider);
+
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (provider.clientSecret) {
+    params.set("client_secret", provider.clientSecret);
+  }
+
+  return await fetchJson(endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+    },
+    body: params,
+  });
+};
+
+// Verify an ID token and return its claims
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error("Invalid ID token");
+  }
+
+  const { issuer } = await discover(provider);
+  const key = await getSigningKey(provider, decoded.header.kid);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    audience: provider.clientId,
+    issuer,
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error("ID token nonce mismatch");
+  }
+
+  return claims;
+};
+
+// Complete a login: exchange the code and return the verified claims
+const getVerifiedClaims = async (provider, { code, codeVerifier, nonce }) => {
+  const tokens = await exchangeCode(provider, { code, codeVerifier });
+
+  if (!tokens.id_token) {
+    throw new Error("Provider did not return an ID token");
+  }
+
+  return await verifyIdToken(provider, tokens.id_token, nonce);
+};
+
+module.exports = {
+  randomString,
+  buildAuthorizationUrl,
+  getVerifiedClaims,
+};
@@ -0,0 +1,116 @@
+const { normalizeArabic } = require("./language");
+
+// Words too common to say anything about what a post is about
+const STOP_WORDS = new Set(
+  (
+    "about after also been before being between both could does doing during " +
+    "each from further have having here into itself just more most other " +
+    "over same should some such than that their them then there these they " +
+    "this those through under until very were what when where which while " +
+    "will with would your the and for are but not you all any can had her " +
+    "was one our out his how its may new now see two who did get has him " +
+    "على الى عن مع هذا هذه ذلك التي الذي كان كانت"
+  ).split(" ")
+);
+
+// How much each signal counts towards a score between 0 and 1
+const WEIGHTS = { tags: 0.4, category: 0.2, text: 0.4 };
+
+const MARKUP = /<[^>]+>|[#*_`>~[\]()!|-]+/g;
+
+// Words of a post's title, excerpt and content, without markup. The title
+// counts three times and the excerpt twice.
+const getWords = (post) =>
+  normalizeArabic(
+    [
+      post.title,
+      post.title,
+      post.title,
+      post.excerpt,
+      post.excerpt,
+      post.content,
+    ]
+      .join(" ")
+      .replace(MARKUP, " ")
+      .toLowerCase()
+  )
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 2 && !STOP_WORDS.has(word));
+
+// TF-IDF weights of the words of each post, as unit length vectors
+const getVectors = (posts) => {
+  const counts = posts.map((post) => {
+    const count = new Map();
+    for (const word of getWords(post)) {
+      count.set(word, (count.get(word) || 0) + 1);
+    }
+    return count;
+  });
+
+  const documentFrequency = new Map();
+  for (const count of counts) {
+    for (const word of count.keys()) {
+      documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1);
+    }
+  }
+
+  return counts.map((count) => {
+    const total = [...count.values()].reduce((sum, n) => sum + n, 0) || 1;
+    const vector = new Map();
+    let length = 0;
+
+    for (const [word, n] of count) {
+      const idf = Math.log(posts.length / documentFrequency.get(word)) + 1;
+      const weight = (n / total) * idf;
+      vector.set(word, weight);
+      length += weight * weight;
+    }
+
+    length = Math.sqrt(length) || 1;
+    for (const [word, weight] of vector) {
+      vector.set(word, weight / length);
+    }
+    return vector;
+  });
+};
+
+const cosine = (a, b) => {
+  let sum = 0;
+  for (const [word, weight] of a) {
+    sum += weight * (b.get(word) || 0);
+  }
+  return sum;
+};
+
+// Share of the two posts' tags they have in common
+const tagOverlap = (a, b) => {
+  const tags = new Set(a.tags || []);
+  const shared = (b.tags || []).filter((tag) => tags.has(tag)).length;
+  const all = new Set([...tags, ...(b.tags || [])]).size;
+
+  return all > 0 ? shared / all : 0;
+};
+
+// Rank candidate posts by how related they are to a post: shared tags, the
+// same category, and text similarity (TF-IDF over title, excerpt and
+// content). Returns [{ blog, score }], best first, leaving out posts with
+// nothing in common.
+const rankRelatedPosts = (post, candidates) => {
+  const [vector, ...candidateVectors] = getVectors([post, ...candidates]);
+
+  return candidates
+    .map((candidate, index) => {
+      const score =
+        WEIGHTS.tags * tagOverlap(post, candidate) +
+        WEIGHTS.category * (candidate.category === post.category ? 1 : 0) +
+        WEIGHTS.text * cosine(vector, candidateVectors[index]);
+
+      return { blog: candidate._id, score: Math.round(score * 1000) / 1000 };
+    })
+    .filter((item) => item.score > 0)
+    .sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  rankRelatedPosts,
+};
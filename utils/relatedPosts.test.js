@@ -0,0 +1,88 @@
+const { rankRelatedPosts } = require("./relatedPosts");
+
+let ids = 0;
+const post = (fields) => {
+  ids += 1;
+  return {
+    _id: `post-${ids}`,
+    title: "",
+    excerpt: "",
+    content: "",
+    tags: [],
+    category: "construction",
+    ...fields,
+  };
+};
+
+const rank = (target, candidates) =>
+  rankRelatedPosts(target, candidates).map(({ blog }) =>
+    candidates.findIndex((candidate) => candidate._id === blog)
+  );
+
+describe("rankRelatedPosts", () => {
+  it("ranks posts with similar text first", () => {
+    const target = post({
+      title: "Timber frame houses",
+      content: "Timber frames go up quickly and store carbon.",
+    });
+    const candidates = [
+      post({ title: "Pouring concrete", category: "renovation" }),
+      post({
+        title: "Insulating timber frame walls",
+        category: "renovation",
+      }),
+      post({ title: "Choosing timber", category: "renovation" }),
+    ];
+
+    expect(rank(target, candidates)).toEqual([1, 2]);
+  });
+
+  it("weighs rare words above words most posts share", () => {
+    const target = post({ title: "Roofing with cedar shingles" });
+    const candidates = [
+      post({ title: "Roofing costs explained" }),
+      post({ title: "Roofing for flat buildings" }),
+      post({ title: "Cedar cladding care" }),
+    ];
+
+    expect(rank(target, candidates)[0]).toBe(2);
+  });
+
+  it("ignores markup and stop words", () => {
+    const target = post({
+      content: "## About this\n\n<p>They would have been there</p>",
+    });
+    const candidates = [
+      post({
+        category: "architecture",
+        content: "**About** [this](x) - they would have been there",
+      }),
+    ];
+
+    expect(rankRelatedPosts(target, candidates)).toEqual([]);
+  });
+
+  it("scores shared tags and the category on top of the text", () => {
+    const target = post({ tags: ["steel", "glass"] });
+    const candidates = [
+      post({ tags: ["steel", "glass"] }),
+      post({ tags: ["steel", "brick"], category: "architecture" }),
+    ];
+
+    expect(rankRelatedPosts(target, candidates)).toEqual([
+      { blog: candidates[0]._id, score: 0.6 },
+      // One of three tags in common
+      { blog: candidates[1]._id, score: 0.133 },
+    ]);
+  });
+
+  it("matches Arabic words written with different letter forms", () => {
+    const target = post({ title: "إنشاء المباني الخضراء", tags: [] });
+    const candidates = [
+      post({ title: "انشاء الجسور", category: "architecture" }),
+      post({ title: "تصميم الحدائق", category: "architecture" }),
+    ];
+
+    expect(rank(target, candidates)).toEqual([0]);
+  });
+});
@@ -41,7 +41,30 @@ const emailTemplates = {
       </div>
     `,
   }),
-  
+
+  emailVerification: (name, verifyLink) => ({
+    subject: "Please verify your email address",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #2c3e50;">Hello ${name},</h2>
+        <p>Please confirm your email address to finish setting up your account:</p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${verifyLink}"
+             style="background-color: #3498db; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+            Verify Email
+          </a>
+        </div>
+
+        <p>Or copy and paste this link into your browser:</p>
+        <p style="word-break: break-all; color: #3498db;">${verifyLink}</p>
+
+        <p>This link expires in 24 hours. If you didn't create an account, please ignore this email.</p>
+
+        <p>Best regards,<br>The Construction Company Team</p>
+      </div>
+    `,
+  }),
 
   consultationConfirmation: (name, consultationDetails) => ({
     subject: "Consultation Request Confirmation",
@@ -84,6 +107,116 @@ const emailTemplates = {
     `,
   }),
 
+  magicLink: (name, signInLink, expiresInMinutes) => ({
+    subject: "Your sign-in link",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #2c3e50;">Hello ${name},</h2>
+        <p>Click the link below to sign in to your account:</p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${signInLink}"
+             style="background-color: #3498db; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+            Sign In
+          </a>
+        </div>
+
+        <p>Or copy and paste this link into your browser:</p>
+        <p style="word-break: break-all; color: #3498db;">${signInLink}</p>
+
+        <p>This link can be used once and expires in ${expiresInMinutes} minutes. If you didn't ask to sign in, please ignore this email.</p>
+
+        <p>Best regards,<br>The Construction Company Team</p>
+      </div>
+    `,
+  }),
+
+  emailChangeConfirmation: (name, newEmail, confirmLink) => ({
+    subject: "Confirm your new email address",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #2c3e50;">Hello ${name},</h2>
+        <p>Please confirm that you want to use <strong>${newEmail}</strong> as the email address of your account:</p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${confirmLink}"
+             style="background-color: #3498db; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+            Confirm Email
+          </a>
+        </div>
+
+        <p>Or copy and paste this link into your browser:</p>
+        <p style="word-break: break-all; color: #3498db;">${confirmLink}</p>
+
+        <p>This link expires in 24 hours. Your email address won't change until you confirm it.</p>
+
+        <p>Best regards,<br>The Construction Company Team</p>
+      </div>
+    `,
+  }),
+
+  emailChangeNotice: (name, newEmail, revertLink) => ({
+    subject: "Your email address is being changed",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #2c3e50;">Hello ${name},</h2>
+        <p>Someone asked to change the email address of your account to <strong>${newEmail}</strong>.</p>
+        <p>If this was you, there's nothing to do. If it wasn't, undo the change and sign out every device:</p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${revertLink}"
+             style="background-color: #e74c3c; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+            This Wasn't Me
+          </a>
+        </div>
+
+        <p>Or copy and paste this link into your browser:</p>
+        <p style="word-break: break-all; color: #e74c3c;">${revertLink}</p>
+
+        <p>We recommend resetting your password afterwards.</p>
+
+        <p>Best regards,<br>The Construction Company Team</p>
+      </div>
+    `,
+  }),
+
+  accountDeletionScheduled: (name, deletionDate) => ({
+    subject: "Your account is scheduled for deletion",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #2c3e50;">Hello ${name},</h2>
+        <p>We received your request to delete your account. Your account and personal data will be deleted on <strong>${deletionDate}</strong>.</p>
+        <p>Changed your mind? Sign in before then and cancel the deletion from your account settings.</p>
+        <p>If you didn't request this, please sign in and cancel the deletion, then change your password.</p>
+        <p>Best regards,<br>The Construction Company Team</p>
+      </div>
+    `,
+  }),
+
+  invitation: (inviterName, role, acceptLink, expiresInHours) => ({
+    subject: "You have been invited to join The Construction Company",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #2c3e50;">You're invited!</h2>
+        <p>${inviterName} has invited you to join The Construction Company as <strong>${role}</strong>. Click the link below to choose a password and activate your account:</p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${acceptLink}"
+             style="background-color: #3498db; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+            Accept Invitation
+          </a>
+        </div>
+
+        <p>Or copy and paste this link into your browser:</p>
+        <p style="word-break: break-all; color: #3498db;">${acceptLink}</p>
+
+        <p>This invitation expires in ${expiresInHours} hours. If you weren't expecting it, please ignore this email.</p>
+
+        <p>Best regards,<br>The Construction Company Team</p>
+      </div>
+    `,
+  }),
+
   consultationStatusUpdate: (name, consultationDetails) => ({
     subject: "Consultation Status Update",
     html: `
@@ -0,0 +1,44 @@
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const {
+  generateToken,
+  generateRefreshToken,
+  hashToken,
+} = require("./generateToken");
+
+// Issue a new access/refresh token pair for an existing session and store
+// the refresh token hash, retiring the previous one
+const issueSessionTokens = async (user, session) => {
+  const token = generateToken(user._id, session._id, user.tokenVersion);
+  const refreshToken = generateRefreshToken(user._id, session._id);
+
+  session.refreshToken = hashToken(refreshToken);
+  session.lastUsedAt = new Date();
+  session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+  await session.save();
+
+  return { token, refreshToken };
+};
+
+// Start a session for the device making the request and issue its tokens
+const createSession = async (user, req) => {
+  const deviceLabel =
+    req.body && typeof req.body.deviceLabel === "string"
+      ? req.body.deviceLabel.substring(0, 100)
+      : undefined;
+
+  const session = new Session({
+    user: user._id,
+    deviceLabel,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+  const tokens = await issueSessionTokens(user, session);
+  return { session, ...tokens };
+};
+
+module.exports = {
+  createSession,
+  issueSessionTokens,
+};
@@ -0,0 +1,81 @@
+const slugify = require("slugify");
+const SlugHistory = require("../models/SlugHistory");
+const { normalizeArabic } = require("./language");
+
+// Slugs that older code made unique with a Date.now() suffix
+const TIMESTAMP_SUFFIX = /-\d{13}$/;
+
+// slugify spells Arabic in Latin letters, so Arabic slugs keep their script
+const toSlug = (text, lang) => {
+  if (lang === "ar") {
+    return normalizeArabic(text)
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, "-")
+      .replace(/^-+|-+$/g, "");
+  }
+
+  return slugify(text || "", { lower: true, strict: true, trim: true });
+};
+
+// Find a slug for a title that no other document uses or used before: the
+// plain slug, or with -2, -3... appended on collision
+const uniqueSlug = async (Model, title, id, lang) => {
+  const base = toSlug(title, lang) || Model.modelName.toLowerCase();
+
+  for (let n = 1; ; n++) {
+    const slug = n === 1 ? base : `${base}-${n}`;
+
+    const [taken, retired] = await Promise.all([
+      Model.exists({ slug, _id: { $ne: id } }),
+      SlugHistory.exists({
+        model: Model.modelName,
+        slug,
+        target: { $ne: id },
+      }),
+    ]);
+
+    if (!taken && !retired) return slug;
+  }
+};
+
+// Get the slug of a document for a (new) title. The slug it had so far is
+// kept in the slug history so that old links keep working.
+const nextSlug = async (doc, title) => {
+  const Model = doc.constructor;
+  const slug = await uniqueSlug(Model, title, doc._id, doc.lang);
+
+  if (doc.slug && doc.slug !== slug) {
+    await SlugHistory.retire(Model.modelName, doc.slug, doc._id);
+  }
+
+  // A document going back to an earlier title takes its old slug back
+  await SlugHistory.deleteOne({
+    model: Model.modelName,
+    slug,
+    target: doc._id,
+  });
+
+  return slug;
+};
+
+// Give documents saved by older code a clean slug: those without one and
+// those with a timestamp suffix
+const cleanLegacySlugs = async (Model) => {
+  const docs = await Model.find({
+    $or: [{ slug: null }, { slug: TIMESTAMP_SUFFIX }],
+  }).select("title slug lang");
+
+  for (const doc of docs) {
+    const slug = await nextSlug(doc, doc.title);
+    await Model.updateOne({ _id: doc._id }, { $set: { slug } });
+  }
+
+  return docs.length;
+};
+
+module.exports = {
+  toSlug,
+  uniqueSlug,
+  nextSlug,
+  cleanLegacySlugs,
+};
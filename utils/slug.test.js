@@ -0,0 +1,66 @@
+const memoryDb = require("../test/memoryDb");
+const { createBlog } = require("../test/helpers");
+const Blog = require("../models/Blog");
+const SlugHistory = require("../models/SlugHistory");
+const { toSlug, uniqueSlug, cleanLegacySlugs } = require("./slug");
+
+beforeAll(memoryDb.connect);
+beforeEach(memoryDb.clear);
+
+describe("toSlug", () => {
+  it("makes lowercase, dash separated slugs", () => {
+    expect(toSlug("  Steel & Glass: The 2026 Guide! ")).toBe(
+      "steel-and-glass-the-2026-guide"
+    );
+  });
+
+  it("keeps Arabic slugs in Arabic script", () => {
+    expect(toSlug("البناء الحديث", "ar")).toBe("البناء-الحديث");
+  });
+});
+
+describe("uniqueSlug", () => {
+  it("adds a number only on collision", async () => {
+    await createBlog({ title: "Roof Repairs" });
+    await createBlog({ title: "Roof Repairs" });
+
+    const blogs = await Blog.find().sort("createdAt");
+    expect(blogs.map((blog) => blog.slug)).toEqual([
+      "roof-repairs",
+      "roof-repairs-2",
+    ]);
+    expect(await uniqueSlug(Blog, "Roof Repairs")).toBe("roof-repairs-3");
+  });
+
+  it("never hands out a slug another post used before", async () => {
+    const blog = await createBlog({ title: "Roof Repairs" });
+    blog.title = "Roof Maintenance";
+    await blog.save();
+
+    const other = await createBlog({ title: "Roof Repairs" });
+
+    expect(other.slug).toBe("roof-repairs-2");
+    // The post itself can take its old slug back
+    blog.title = "Roof Repairs";
+    await blog.save();
+    expect(blog.slug).toBe("roof-repairs");
+    expect(await SlugHistory.exists({ slug: "roof-repairs" })).toBeNull();
+  });
+});
+
+describe("cleanLegacySlugs", () => {
+  it("replaces timestamp suffixes, keeping the old slugs as redirects", async () => {
+    const blog = await createBlog({ title: "Site Safety" });
+    await Blog.collection.updateOne(
+      { _id: blog._id },
+      { $set: { slug: "site-safety-1700000000000" } }
+    );
+
+    expect(await cleanLegacySlugs(Blog)).toBe(1);
+
+    expect((await Blog.findById(blog._id)).slug).toBe("site-safety");
+    expect(
+      await SlugHistory.findTarget("Blog", "site-safety-1700000000000")
+    ).toEqual(blog._id);
+  });
+});
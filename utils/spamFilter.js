@@ -0,0 +1,117 @@
+const crypto = require("crypto");
+
+// Phrases that mark a submission as spam, on top of those in SPAM_KEYWORDS
+const DEFAULT_KEYWORDS = [
+  "viagra",
+  "cialis",
+  "casino",
+  "porn",
+  "payday loan",
+  "crypto giveaway",
+  "buy followers",
+  "seo services",
+  "forex signals",
+];
+
+const LINK = /(?:https?:\/\/|www\.)\S+/gi;
+
+const getKeywords = () => [
+  ...DEFAULT_KEYWORDS,
+  ...(process.env.SPAM_KEYWORDS || "")
+    .split(",")
+    .map((keyword) => keyword.trim().toLowerCase())
+    .filter(Boolean),
+];
+
+// Submissions with the same text are duplicates within this window
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Key for hashing IPs: VISITOR_ID_SECRET, or else one derived from
+// JWT_SECRET so that deployments without it keep working
+const getVisitorKey = () =>
+  process.env.VISITOR_ID_SECRET ||
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET || "")
+    .update("visitor-id")
+    .digest();
+
+// Keyed hash of the client's IP, so stored IPs can't be read back
+const hashIp = (req) =>
+  crypto
+    .createHmac("sha256", getVisitorKey())
+    .update(req.ip || "")
+    .digest("hex");
+
+// Who submitted something: the signed-in user, or else the client's IP.
+// Nothing the client sends (such as a fingerprint header) is used, since a
+// new value on every request would make every request a new visitor.
+const getVisitorId = (req) => (req.user ? `user:${req.user._id}` : hashIp(req));
+
+// Who viewed a blog post: the client's IP, and the user when signed in
+const getViewerId = (req) =>
+  req.user ? `${hashIp(req)}:user:${req.user._id}` : hashIp(req);
+
+// Checks run on public comments, ratings and feedback. Each one gets the
+// submission ({ text, name, email, honeypot, findDuplicate(since) }) and
+// returns nothing when it passes, or { action, reason } where action is
+// "hold" (wait for a moderator) or "reject" (kept as spam).
+const spamChecks = [
+  // The hidden "website" field is only ever filled in by bots
+  ({ honeypot }) => honeypot && { action: "reject", reason: "honeypot" },
+
+  ({ text }) => {
+    const links = (text || "").match(LINK) || [];
+    const maxLinks = parseInt(process.env.SPAM_MAX_LINKS) || 2;
+
+    return links.length > maxLinks && { action: "hold", reason: "links" };
+  },
+
+  ({ text, name, email }) => {
+    const content = [text, name, email].join(" ").toLowerCase();
+
+    return (
+      getKeywords().some((keyword) => content.includes(keyword)) && {
+        action: "reject",
+        reason: "keywords",
+      }
+    );
+  },
+
+  // The same text sent again by the same visitor or on the same item
+  async ({ text, findDuplicate }) =>
+    text &&
+    findDuplicate &&
+    (await findDuplicate(new Date(Date.now() - DUPLICATE_WINDOW_MS))) && {
+      action: "reject",
+      reason: "duplicate",
+    },
+];
+
+// Add a check to the ones above, e.g. one calling an external spam service
+const addSpamCheck = (check) => {
+  spamChecks.push(check);
+};
+
+// Run every check on a submission. The action is "reject" if any check
+// rejects it, "hold" if any holds it, and "accept" otherwise.
+const checkSpam = async (submission) => {
+  const results = (
+    await Promise.all(spamChecks.map((check) => check(submission)))
+  ).filter(Boolean);
+
+  let action = "accept";
+  if (results.some((result) => result.action === "reject")) {
+    action = "reject";
+  } else if (results.length > 0) {
+    action = "hold";
+  }
+
+  return { action, reasons: results.map((result) => result.reason) };
+};
+
+module.exports = {
+  getVisitorId,
+  getViewerId,
+  addSpamCheck,
+  checkSpam,
+};
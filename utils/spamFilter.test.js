@@ -0,0 +1,100 @@
+const { checkSpam, getVisitorId } = require("./spamFilter");
+
+describe("checkSpam", () => {
+  const submission = (fields) => ({
+    text: "Great article, thanks for the detail on footings.",
+    name: "Sam",
+    email: "sam@example.com",
+    ...fields,
+  });
+
+  it("accepts ordinary submissions", async () => {
+    expect(await checkSpam(submission())).toEqual({
+      action: "accept",
+      reasons: [],
+    });
+  });
+
+  it("rejects submissions that fill in the honeypot", async () => {
+    expect(await checkSpam(submission({ honeypot: "http://spam" }))).toEqual({
+      action: "reject",
+      reasons: ["honeypot"],
+    });
+  });
+
+  it("holds submissions with too many links", async () => {
+    const text = "See http://a.example www.b.example https://c.example";
+
+    expect(await checkSpam(submission({ text }))).toEqual({
+      action: "hold",
+      reasons: ["links"],
+    });
+    expect(
+      (await checkSpam(submission({ text: "http://a.example" }))).action
+    ).toBe("accept");
+  });
+
+  it("rejects spam keywords, including configured ones", async () => {
+    process.env.SPAM_KEYWORDS = "Cheap Bricks, ";
+
+    expect((await checkSpam(submission({ name: "Best CASINO" }))).action).toBe(
+      "reject"
+    );
+    expect(
+      (await checkSpam(submission({ text: "cheap bricks here" }))).reasons
+    ).toEqual(["keywords"]);
+    delete process.env.SPAM_KEYWORDS;
+  });
+
+  it("rejects duplicates sent within a day", async () => {
+    const findDuplicate = jest.fn().mockResolvedValue(true);
+
+    const result = await checkSpam(submission({ findDuplicate }));
+
+    expect(result).toEqual({ action: "reject", reasons: ["duplicate"] });
+    const since = findDuplicate.mock.calls[0][0];
+    expect(Date.now() - since.getTime()).toBeCloseTo(24 * 60 * 60 * 1000, -3);
+  });
+
+  it("lets a rejection outrank a hold", async () => {
+    const result = await checkSpam(
+      submission({
+        text: "http://a.example http://b.example http://c.example",
+        honeypot: "x",
+      })
+    );
+
+    expect(result).toEqual({
+      action: "reject",
+      reasons: ["honeypot", "links"],
+    });
+  });
+});
+
+describe("getVisitorId", () => {
+  afterEach(() => {
+    delete process.env.VISITOR_ID_SECRET;
+  });
+
+  it("uses the signed-in user", () => {
+    expect(getVisitorId({ ip: "10.0.0.1", user: { _id: "abc" } })).toBe(
+      "user:abc"
+    );
+  });
+
+  it("hashes the address of guests so it cannot be read back", () => {
+    const id = getVisitorId({ ip: "10.0.0.1" });
+
+    expect(id).toMatch(/^[0-9a-f]{64}$/);
+    expect(getVisitorId({ ip: "10.0.0.1" })).toBe(id);
+    expect(getVisitorId({ ip: "10.0.0.2" })).not.toBe(id);
+  });
+
+  it("works without VISITOR_ID_SECRET, which changes the hash when set", () => {
+    const derived = getVisitorId({ ip: "10.0.0.1" });
+
+    process.env.VISITOR_ID_SECRET = "visitor-secret";
+
+    expect(getVisitorId({ ip: "10.0.0.1" })).not.toBe(derived);
+  });
+});
@@ -0,0 +1,75 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+} = require("./totp");
+
+// The shared secret of the RFC 4226 and RFC 6238 test vectors
+const SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("base32", () => {
+  it("round-trips secrets", () => {
+    expect(SECRET).toBe("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    expect(base32Decode(SECRET).toString()).toBe("12345678901234567890");
+  });
+});
+
+describe("codes", () => {
+  it("match the RFC 4226 HOTP test vectors", () => {
+    expect(generateHotp(SECRET, 0)).toBe("755224");
+    expect(generateHotp(SECRET, 1)).toBe("287082");
+    expect(generateHotp(SECRET, 9)).toBe("520489");
+  });
+
+  it("match the RFC 6238 TOTP test vectors", () => {
+    expect(generateTotp(SECRET, 59 * 1000)).toBe("287082");
+    expect(generateTotp(SECRET, 1111111109 * 1000)).toBe("081804");
+    expect(generateTotp(SECRET, 1234567890 * 1000)).toBe("005924");
+  });
+});
+
+describe("verifyTotp", () => {
+  const time = 1111111109 * 1000;
+  const step = Math.floor(time / 30000);
+
+  it("returns the time step of a matching code", () => {
+    expect(verifyTotp(SECRET, "081804", { time })).toBe(step);
+    expect(verifyTotp(SECRET, "081 804", { time })).toBe(step);
+  });
+
+  it("allows one step of clock drift either side", () => {
+    const earlier = generateTotp(SECRET, time - 30000);
+    const later = generateTotp(SECRET, time + 30000);
+    const tooLate = generateTotp(SECRET, time + 60000);
+
+    expect(verifyTotp(SECRET, earlier, { time })).toBe(step - 1);
+    expect(verifyTotp(SECRET, later, { time })).toBe(step + 1);
+    expect(verifyTotp(SECRET, tooLate, { time })).toBeNull();
+  });
+
+  it("refuses malformed codes", () => {
+    expect(verifyTotp(SECRET, "81804", { time })).toBeNull();
+    expect(verifyTotp(SECRET, "08180a", { time })).toBeNull();
+    expect(verifyTotp(SECRET, 81804, { time })).toBeNull();
+    expect(verifyTotp(undefined, "081804", { time })).toBeNull();
+  });
+});
+
+describe("buildOtpauthUri", () => {
+  it("builds the URI authenticator apps scan", () => {
+    expect(
+      buildOtpauthUri({
+        secret: SECRET,
+        accountName: "admin@example.com",
+        issuer: "Construction Company",
+      })
+    ).toBe(
+      "otpauth://totp/Construction%20Company%3Aadmin%40example.com" +
+        `?secret=${SECRET}&issuer=Construction%20Company` +
+        "&algorithm=SHA1&digits=6&period=30"
+    );
+  });
+});